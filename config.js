@@ -1,5 +1,95 @@
 module.exports = {
   ROOT_DIR: './sessions',
+  METADATA_CONCURRENCY: 8, // Photos read at once when scanning a session for metadata
+  VIDEO_SESSION_FPS: 2, // Frames per second extracted from a video session (a folder with an .mp4/.mov)
+  FRAME_CACHE_DIR: './frame-cache', // Frames extracted from video sessions, by session, video and fps
   OUTPUT_DIR: './output',
-  PORT: 8081
-};
\ No newline at end of file
+  VIDEO_DIR: './videos',
+  FFMPEG_PATH: 'ffmpeg',
+  // Defaults for POST /api/video/:session (size: original, 1080p, 720p, 4k; codec: h264, h265, vp9).
+  // timing 'realtime' shows each frame for its real capture interval divided by speed.
+  VIDEO_DEFAULTS: { framerate: 30, crf: 23, size: 'original', codec: 'h264', timing: 'fixed', speed: 1 },
+  PORT: 8081,
+  // GPX/TCX/FIT track in a session folder (can be overridden per request)
+  TRACK_CLOCK_OFFSET: 0, // Seconds added to photo timestamps to match the track clock
+  TRACK_MODE: 'fill', // 'fill' images without GPS, or 'override' all images the track covers
+  // GPS cleaning applied to photo coordinates: any of 'outliers', 'kalman', 'average'
+  GPS_FILTERS: [],
+  GPS_FILTER: {
+    maxSpeed: 25, // m/s, faster jumps between fixes are outliers
+    maxAccuracy: 50, // meters, fixes reporting worse accuracy are outliers
+    processNoise: 1, // m/s², how quickly the Kalman filter expects the rider's speed to change
+    window: 5 // fixes in the moving average
+  },
+  // Offline elevation correction from SRTM .hgt or lat/lon GeoTIFF files
+  DEM_DIR: './dem',
+  DEM_MODE: 'off', // 'off', 'replace' recorded altitude, or 'blend' it with the DEM
+  DEM_BLEND: 0.7, // DEM weight when blending (0-1)
+  // Overlay layout templates (<name>.json)
+  LAYOUT_DIR: './layouts',
+  DEFAULT_LAYOUT: 'default',
+  // Stationary segments (coffee stops, breaks) listed by GET /api/session/:name/stops
+  STOP_DETECTION: {
+    minDuration: 120, // seconds, shorter stops are left alone
+    maxSpeed: 1.0, // m/s, a faster fix ends the stop
+    radius: 25 // meters, a fix further from where the stop began ends it
+  },
+  STOP_MODE: 'off', // 'off', 'skip' stops, or 'compress' them to a short time-lapse
+  STOP_COMPRESS_FRAMES: 30, // Frames kept from each compressed stop (1 second at 30 fps)
+  // Map tile providers for the detail and route maps, cached in tile-cache/<provider>/z/x/y.png.
+  // {s} in the URL is replaced by one of the subdomains, {z}/{x}/{y} by the tile address.
+  TILE_PROVIDERS: {
+    cyclosm: {
+      name: 'CyclOSM',
+      url: 'https://{s}.tile-cyclosm.openstreetmap.fr/cyclosm/{z}/{x}/{y}.png',
+      subdomains: ['a', 'b', 'c'],
+      maxZoom: 20,
+      attribution: '© OpenStreetMap contributors, CyclOSM',
+      userAgent: 'BikeTrailProcessor/1.0 (Educational use)'
+    },
+    opentopomap: {
+      name: 'OpenTopoMap',
+      url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+      subdomains: ['a', 'b', 'c'],
+      maxZoom: 17,
+      attribution: '© OpenStreetMap contributors, SRTM, OpenTopoMap (CC-BY-SA)',
+      userAgent: 'BikeTrailProcessor/1.0 (Educational use)'
+    },
+    wikimedia: {
+      name: 'Wikimedia',
+      url: 'https://maps.wikimedia.org/osm-intl/{z}/{x}/{y}.png',
+      maxZoom: 18,
+      attribution: '© OpenStreetMap contributors, Wikimedia',
+      userAgent: 'BikeTrailProcessor/1.0 (Educational use)'
+    },
+    positron: {
+      name: 'CARTO Positron',
+      url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
+      subdomains: ['a', 'b', 'c', 'd'],
+      maxZoom: 20,
+      attribution: '© OpenStreetMap contributors, © CARTO',
+      userAgent: 'BikeTrailProcessor/1.0 (Educational use)'
+    },
+    // tileserver-gl serving the MBTiles built by scripts/setup-osm-data.js
+    local: {
+      name: 'Local Tile Server',
+      url: 'http://localhost:8080/styles/basic/{z}/{x}/{y}.png',
+      maxZoom: 18,
+      attribution: '© OpenStreetMap contributors',
+      userAgent: 'BikeTrailProcessor/1.0 (Educational use)'
+    }
+  },
+  DEFAULT_TILE_PROVIDER: 'cyclosm',
+  // tile-cache/ limits, enforced in the background (archives in TILE_ARCHIVE_DIR are never evicted)
+  TILE_CACHE: {
+    maxSize: 2 * 1024 * 1024 * 1024, // bytes, least recently used tiles go first (0 for no limit)
+    maxAge: 90 * 24 * 60 * 60, // seconds since a tile was fetched before it is dropped and fetched again (0 to keep)
+    evictionInterval: 10 * 60 // seconds between eviction passes
+  },
+  // Offline tile packages: <provider>.mbtiles or <provider>.pmtiles here is read before tile-cache/
+  TILE_ARCHIVE_DIR: './tile-archives',
+  TILE_ARCHIVE_WRITE: false, // Store fetched tiles in <provider>.mbtiles instead of tile-cache/<provider>/
+  PRELOAD_JOB_FILE: './preload-jobs.json', // Tile preload jobs, kept across restarts so unfinished ones resume
+  PRELOAD_CORRIDOR: 300, // meters either side of the route fetched at the detail zoom by corridor preloads
+  PRELOAD_MAX_TILES: 100000 // Larger preloads are refused (about 8 hours of fetching at one tile per 300 ms)
+};
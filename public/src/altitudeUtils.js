@@ -2,6 +2,8 @@
  * Altitude and unit conversion utilities
  */
 
+import { calculateCumulativeDistances } from './gpsUtils.js';
+
 /**
  * Convert meters to feet
  * @param {number} meters - Altitude in meters
@@ -74,13 +76,13 @@ export function formatDistance(meters, unit) {
  * @param {number} distanceMeters - Total distance in meters
  * @param {number} frameCount - Number of frames in video
  * @param {string} unit - Unit preference ('ft' for mph, 'm' for km/h)
+ * @param {number} [videoDurationMs] - Video duration, defaults to frameCount at 30fps
  * @returns {string} Formatted speed string (e.g., "15.2 mph", "24.5 km/h")
  */
-export function calculateVirtualSpeed(distanceMeters, frameCount, unit) {
-    if (frameCount === 0) return unit === 'ft' ? '0.0 mph' : '0.0 km/h';
+export function calculateVirtualSpeed(distanceMeters, frameCount, unit, videoDurationMs = frameCount * 33.33) {
+    if (frameCount === 0 || videoDurationMs <= 0) return unit === 'ft' ? '0.0 mph' : '0.0 km/h';
     
-    // Calculate video duration in hours (30fps = 33.33ms per frame)
-    const videoDurationMs = frameCount * 33.33;
+    // Calculate video duration in hours (30fps = 33.33ms per frame unless a duration is given)
     const videoDurationHours = videoDurationMs / (1000 * 60 * 60);
     
     if (unit === 'ft') {
@@ -94,4 +96,127 @@ export function calculateVirtualSpeed(distanceMeters, frameCount, unit) {
         const kmh = km / videoDurationHours;
         return `${kmh.toFixed(1)} km/h`;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Total ascent and descent, ignoring altitude changes smaller than a threshold
+ * (same deadband as the server-side ride stats)
+ * @param {Array} images - Array of objects with an alt property (meters)
+ * @param {number} threshold - Minimum change in meters that counts
+ * @returns {Object} Totals {ascent, descent} in meters
+ */
+export function calculateElevationGain(images, threshold = 2) {
+    let ascent = 0;
+    let descent = 0;
+    let referenceAlt = null;
+    
+    for (const image of images) {
+        if (!image.alt) continue;
+        if (referenceAlt === null) {
+            referenceAlt = image.alt;
+        } else if (image.alt - referenceAlt >= threshold) {
+            ascent += image.alt - referenceAlt;
+            referenceAlt = image.alt;
+        } else if (referenceAlt - image.alt >= threshold) {
+            descent += referenceAlt - image.alt;
+            referenceAlt = image.alt;
+        }
+    }
+    
+    return { ascent, descent };
+}
+
+/**
+ * Build an elevation profile sampled along cumulative distance
+ * Each sample averages the altitudes inside its distance bin (empty bins are
+ * interpolated), then a moving average over `smoothing` meters is applied.
+ * Rides without GPS fall back to frame index as the distance.
+ * @param {Array} images - Session images with lat/lon/alt
+ * @param {Object} options - {resolution: number of samples, smoothing: window in meters (0 = none)}
+ * @returns {Object} Profile {distances (per image), points [{distance, alt}], totalDistance, distanceBased, min, max, ascent, descent}
+ */
+export function buildElevationProfile(images, { resolution = 100, smoothing = 0 } = {}) {
+    let distances = calculateCumulativeDistances(images);
+    let totalDistance = distances.length > 0 ? distances[distances.length - 1] : 0;
+    const distanceBased = totalDistance > 0;
+    if (!distanceBased) {
+        distances = images.map((image, i) => i);
+        totalDistance = Math.max(1, images.length - 1);
+    }
+    
+    const { ascent, descent } = calculateElevationGain(images);
+    const withAlt = images
+        .map((image, i) => ({ distance: distances[i], alt: image.alt }))
+        .filter(point => point.alt > 0);
+    
+    if (withAlt.length === 0) {
+        return { distances, points: [], totalDistance, distanceBased, min: 0, max: 0, ascent, descent };
+    }
+    
+    // Average the altitudes that fall in each bin
+    const samples = Math.max(2, resolution);
+    const binSize = totalDistance / (samples - 1);
+    const sums = new Array(samples).fill(0);
+    const counts = new Array(samples).fill(0);
+    for (const point of withAlt) {
+        const bin = Math.min(samples - 1, Math.round(point.distance / binSize));
+        sums[bin] += point.alt;
+        counts[bin]++;
+    }
+    
+    // Interpolate empty bins from the altitude points around them
+    let next = 0;
+    const binAltitudes = sums.map((sum, bin) => {
+        if (counts[bin] > 0) return sum / counts[bin];
+        
+        const distance = bin * binSize;
+        while (next < withAlt.length && withAlt[next].distance < distance) next++;
+        const before = withAlt[next - 1];
+        const after = withAlt[next];
+        if (!before) return after.alt;
+        if (!after) return before.alt;
+        const ratio = (distance - before.distance) / ((after.distance - before.distance) || 1);
+        return before.alt + (after.alt - before.alt) * ratio;
+    });
+    
+    // Moving average over the smoothing window
+    const halfWindow = smoothing > 0 ? Math.round(smoothing / binSize / 2) : 0;
+    const points = binAltitudes.map((alt, bin) => {
+        const start = Math.max(0, bin - halfWindow);
+        const end = Math.min(samples - 1, bin + halfWindow);
+        let sum = 0;
+        for (let i = start; i <= end; i++) sum += binAltitudes[i];
+        return { distance: bin * binSize, alt: sum / (end - start + 1) };
+    });
+    
+    const altitudes = points.map(point => point.alt);
+    return {
+        distances,
+        points,
+        totalDistance,
+        distanceBased,
+        min: Math.min(...altitudes),
+        max: Math.max(...altitudes),
+        ascent,
+        descent
+    };
+}
+
+/**
+ * Profile altitude at a distance, interpolated between samples
+ * @param {Object} profile - Profile from buildElevationProfile
+ * @param {number} distance - Distance from the start in meters
+ * @returns {number|null} Altitude in meters, or null for an empty profile
+ */
+export function getProfileAltitudeAt(profile, distance) {
+    const { points } = profile;
+    if (points.length === 0) return null;
+    
+    const binSize = profile.totalDistance / (points.length - 1);
+    const position = Math.max(0, Math.min(points.length - 1, distance / binSize));
+    const index = Math.floor(position);
+    if (index >= points.length - 1) return points[points.length - 1].alt;
+    
+    const t = position - index;
+    return points[index].alt + (points[index + 1].alt - points[index].alt) * t;
+}
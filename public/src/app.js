@@ -1,9 +1,12 @@
-import { formatTimeEstimate, formatVideoDuration } from './timeUtils.js';
-import { calculateBearing, calculateTotalDistance, calculateDistance } from './gpsUtils.js';
-import { metersToFeet, getAltitudeInUnit, getUnitLabel, formatDistance, calculateVirtualSpeed } from './altitudeUtils.js';
+import { formatTimeEstimate, formatVideoDuration, formatPlaybackDuration, calculateRealTimeDuration } from './timeUtils.js';
+import { calculateTotalDistance, calculateDetailBearing, getBikeFacing, calculateCumulativeDistances, selectFramesByDistance, trimStops } from './gpsUtils.js';
+import { formatDistance, calculateVirtualSpeed, buildElevationProfile } from './altitudeUtils.js';
 import { getStorageItem, getStorageInt, getStorageFloat, setStorageItem } from './storageUtils.js';
 import { getElementById, setElementText, showElement, hideElement } from './domUtils.js';
 import { updateProgress, setButtonLoading, setButtonNormal, showProcessingUI, hideProcessingUI, updatePauseButton } from './uiStateUtils.js';
+import { drawLayout, applyFadeToCanvas, drawEndCard, END_CARD_FRAMES } from './overlayUtils.js';
+import { findWidget, getWidgetRect } from './layoutUtils.js';
+import { isVideoEncodingSupported, createVideoEncoder, createVideoUpload, VIDEO_FRAME_RATE } from './videoUtils.js';
 
 class BikeTrailProcessor {
     constructor() {
@@ -16,19 +19,55 @@ class BikeTrailProcessor {
         this.currentIndex = 0;
         this.isProcessing = false;
         this.isPaused = false;
-        this.altitudeRange = { min: 0, max: 0 };
+        this.elevationProfile = null; // Altitude against distance for the chart
         this.totalDistance = 0; // Total route distance in meters
         this.processedDistance = 0; // Distance covered so far in processing
+        this.cumulativeDistances = []; // Distance from the start at every image
+        this.selectedFrames = []; // Image indices the current frame selection renders
+        this.frameQueue = []; // Image indices still to render in this run
+        this.skippedFrames = 0; // Frames already rendered in a previous run
         this.bikeIcon = null;
-        this.routeMap = null;
         this.lastValidBearing = 90; // Default to east
-        this.detailMap = null;
+        this.bikeFacing = 'east'; // Kept while the heading is in the north/south deadbands
         this.routeMapCanvas = null;
         this.detailMapCanvas = null;
         this.altitudeUnit = getStorageItem('altitudeUnit', 'ft'); // Load from localStorage or default to feet
         this.frameInterval = getStorageInt('frameInterval', 1); // Load from localStorage or default to every frame
+        this.frameSelection = getStorageItem('frameSelection', 'interval'); // 'interval' every Nth image, or 'distance' hyperlapse
+        this.distanceStep = getStorageFloat('distanceStep', 5); // Meters between hyperlapse frames
+        this.minSpeed = getStorageFloat('minSpeed', 0); // Hyperlapse drops frames slower than this (m/s)
+        this.targetLength = getStorageInt('targetLength', 0); // Longest hyperlapse video in seconds (0 for no limit)
+        this.stopMode = getStorageItem('stopMode', 'off'); // Stationary segments: 'off', 'skip' or 'compress' to a time-lapse
+        this.minStopDuration = getStorageInt('minStopDuration', 120); // Shortest stop in seconds that is trimmed
+        this.stops = []; // Stationary segments detected in the current session
+        this.keptStops = []; // Start timestamps of stops left in the video, saved per session
         this.processingDelegate = getStorageItem('processingDelegate', 'cpu'); // Load from localStorage or default to CPU
         this.detailZoom = getStorageInt('detailZoom', 17); // Load from localStorage or default to street level
+        this.tileProvider = getStorageItem('tileProvider', ''); // Map style for the detail and route maps, from /api/tiles/providers
+        this.trackMode = getStorageItem('trackMode', 'fill'); // How a GPX/TCX/FIT track in the session folder is applied
+        this.trackOffset = getStorageFloat('trackOffset', 0); // Seconds added to photo timestamps to match the track clock
+        this.videoFps = getStorageFloat('videoFps', 2); // Frames per second extracted from video sessions
+        this.profileResolution = getStorageInt('profileResolution', 100); // Elevation profile samples
+        this.profileSmoothing = getStorageInt('profileSmoothing', 100); // Elevation smoothing window in meters
+        this.gpsFilters = getStorageItem('gpsFilters', '').split(',').filter(Boolean); // Server-side GPS cleaning filters
+        this.demMode = 'off'; // DEM altitude correction, saved per session
+        this.statsDisplay = getStorageItem('statsDisplay', 'off'); // Ride stats: off, panel, endcard or both
+        this.rideStats = null;
+        this.layoutName = getStorageItem('layout', 'default'); // Overlay layout template from layouts/
+        this.layout = null;
+        this.sessionParams = null; // Query params the current session was loaded with
+        this.outputFormat = getStorageItem('outputFormat', 'jpeg'); // JPEG frames, or an mp4/webm encoded in the browser
+        this.videoEncoder = null;
+        this.videoCodec = getStorageItem('videoCodec', 'h264'); // Server-side ffmpeg video settings
+        this.videoSize = getStorageItem('videoSize', 'original');
+        this.videoWhenDone = getStorageItem('videoWhenDone', 'false') === 'true';
+        this.videoTiming = getStorageItem('videoTiming', 'fixed'); // 'fixed' 30 fps, or 'realtime' from photo timestamps
+        this.videoSpeed = getStorageFloat('videoSpeed', 1); // Speed-up factor for real-time videos
+        this.videoJobId = null;
+        this.videoJobTimer = null;
+        this.preloadCorridor = getStorageInt('preloadCorridor', 300); // Meters either side of the route preloaded at the detail zoom, 0 for the whole bounding box
+        this.preloadJobId = null;
+        this.preloadJobTimer = null;
         
         // Worker readiness state
         this.workerDetectionReady = false;
@@ -42,21 +81,6 @@ class BikeTrailProcessor {
         this.currentIntervalFrameTimes = [];
         this.lastFrameEndTime = null;
         
-        // Debug mode for map capture
-        this.debugMapCapture = false;
-        this.debugPanel = document.getElementById('debugPanel');
-        this.debugOutput = [];
-        this.debugLogged = false;
-        
-        // Crop area selector
-        this.cropAreaOverride = null;
-        this.cropPreviewCanvas = getElementById('cropPreviewCanvas');
-        this.cropPreviewCtx = this.cropPreviewCanvas.getContext('2d');
-        
-        // Popup capture canvas
-        this.popupCanvas = null;
-        
-        
         // Initialize web worker
         this.initializeWorker();
         
@@ -138,24 +162,22 @@ class BikeTrailProcessor {
     }
 
     async init() {
-        // Clean up any existing popups from previous sessions
-        this.cleanupExistingPopups();
-        
         // Add cleanup on page unload to prevent memory leaks
         this.setupUnloadCleanup();
         
         await this.loadBikeIcon();
         this.initializeMaps();
         await this.loadSessions();
+        await this.loadLayouts();
+        await this.loadTileProviders();
         this.setupEventListeners();
         this.initializeAltitudeUnit();
         await this.loadCacheStats();
+        await this.loadPreloadJobs();
     }
     
     setupUnloadCleanup() {
         window.addEventListener('beforeunload', () => {
-            this.stopScreenCapture();
-            this.cleanupPopup();
             this.cleanupCanvas();
             this.cleanupWorker();
         });
@@ -200,28 +222,6 @@ class BikeTrailProcessor {
         }
     }
     
-    cleanupExistingPopups() {
-        try {
-            // Try to find and close any existing mapCapture popups
-            if (window.mapCapturePopup && !window.mapCapturePopup.closed) {
-                window.mapCapturePopup.close();
-            }
-            
-            // Also check our instance variable
-            if (this.mapPopup && !this.mapPopup.closed) {
-                this.mapPopup.close();
-            }
-            
-            // Reset popup references
-            this.mapPopup = null;
-            this.mapCoordinates = null;
-            window.mapCapturePopup = null;
-            
-        } catch (error) {
-            console.warn('Error cleaning up existing popups:', error);
-        }
-    }
-
     initializeMaps() {
         // Get canvas references (maps are in iframe now)
         this.routeMapCanvas = document.getElementById('routeMapCanvas');
@@ -280,12 +280,31 @@ class BikeTrailProcessor {
         document.getElementById('frameInterval').addEventListener('change', (e) => {
             this.frameInterval = parseInt(e.target.value);
             setStorageItem('frameInterval', this.frameInterval);
-            // Update the process count display when interval changes
-            this.updateProcessCount();
-            // Update FPS display structure if session is loaded
-            if (this.images && this.images.length > 0) {
-                this.initializeFPSDisplay();
-            }
+            this.updateFrameSelection();
+        });
+        
+        document.getElementById('frameSelection').addEventListener('change', (e) => {
+            this.frameSelection = e.target.value;
+            setStorageItem('frameSelection', this.frameSelection);
+            this.updateFrameSelection();
+        });
+        
+        document.getElementById('distanceStep').addEventListener('change', (e) => {
+            this.distanceStep = Math.max(parseFloat(e.target.value) || 5, 0.1);
+            setStorageItem('distanceStep', this.distanceStep);
+            this.updateFrameSelection();
+        });
+        
+        document.getElementById('minSpeed').addEventListener('change', (e) => {
+            this.minSpeed = Math.max(parseFloat(e.target.value) || 0, 0);
+            setStorageItem('minSpeed', this.minSpeed);
+            this.updateFrameSelection();
+        });
+        
+        document.getElementById('targetLength').addEventListener('change', (e) => {
+            this.targetLength = Math.max(parseInt(e.target.value) || 0, 0);
+            setStorageItem('targetLength', this.targetLength);
+            this.updateFrameSelection();
         });
         
         document.getElementById('processingDelegate').addEventListener('change', (e) => {
@@ -296,51 +315,133 @@ class BikeTrailProcessor {
         document.getElementById('detailZoom').addEventListener('change', (e) => {
             this.detailZoom = parseInt(e.target.value);
             setStorageItem('detailZoom', this.detailZoom);
-            
-            // Immediately update popup with new zoom level if it exists and has loaded images
-            if (this.mapPopup && this.images && this.images.length > 0) {
-                const currentImage = this.images[this.currentIndex] || this.images[0];
-                if (currentImage && currentImage.lat && currentImage.lon) {
-                    this.mapPopup.postMessage({
-                        type: 'updateDetailPosition',
-                        lat: currentImage.lat,
-                        lon: currentImage.lon,
-                        bearing: this.lastValidBearing,
-                        rawCompass: currentImage.compass || null,
-                        zoomLevel: this.detailZoom
-                    }, '*');
-                }
+        });
+        
+        document.getElementById('tileProvider').addEventListener('change', (e) => {
+            this.tileProvider = e.target.value;
+            setStorageItem('tileProvider', this.tileProvider);
+        });
+        
+        // Track settings change the GPS data, so reload the session to apply them
+        document.getElementById('trackMode').addEventListener('change', (e) => {
+            this.trackMode = e.target.value;
+            setStorageItem('trackMode', this.trackMode);
+            if (this.currentSession && !this.isProcessing) this.loadSession();
+        });
+        
+        document.getElementById('trackOffset').addEventListener('change', (e) => {
+            this.trackOffset = parseFloat(e.target.value) || 0;
+            setStorageItem('trackOffset', this.trackOffset);
+            if (this.currentSession && !this.isProcessing) this.loadSession();
+        });
+        
+        document.getElementById('videoFps').addEventListener('change', (e) => {
+            this.videoFps = parseFloat(e.target.value);
+            setStorageItem('videoFps', this.videoFps);
+            if (this.currentSession && !this.isProcessing) this.loadSession();
+        });
+        
+        document.getElementById('profileResolution').addEventListener('change', (e) => {
+            this.profileResolution = parseInt(e.target.value);
+            setStorageItem('profileResolution', this.profileResolution);
+            this.updateElevationProfile();
+        });
+        
+        document.getElementById('profileSmoothing').addEventListener('change', (e) => {
+            this.profileSmoothing = parseInt(e.target.value);
+            setStorageItem('profileSmoothing', this.profileSmoothing);
+            this.updateElevationProfile();
+        });
+        
+        document.getElementById('demMode').addEventListener('change', (e) => {
+            this.demMode = e.target.value;
+            if (this.currentSession) {
+                setStorageItem(`demMode:${this.currentSession}`, this.demMode);
+                if (!this.isProcessing) this.loadSession();
+            }
+        });
+        
+        document.querySelectorAll('#gpsFilters input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.gpsFilters = Array.from(document.querySelectorAll('#gpsFilters input:checked')).map(input => input.value);
+                setStorageItem('gpsFilters', this.gpsFilters.join(','));
+                if (this.currentSession && !this.isProcessing) this.loadSession();
+            });
+        });
+        
+        document.getElementById('statsDisplay').addEventListener('change', (e) => {
+            this.statsDisplay = e.target.value;
+            setStorageItem('statsDisplay', this.statsDisplay);
+        });
+        
+        document.getElementById('outputFormat').addEventListener('change', (e) => {
+            this.outputFormat = e.target.value;
+            setStorageItem('outputFormat', this.outputFormat);
+        });
+        
+        document.getElementById('videoCodec').addEventListener('change', (e) => {
+            this.videoCodec = e.target.value;
+            setStorageItem('videoCodec', this.videoCodec);
+        });
+        
+        document.getElementById('videoSize').addEventListener('change', (e) => {
+            this.videoSize = e.target.value;
+            setStorageItem('videoSize', this.videoSize);
+        });
+        
+        document.getElementById('videoTiming').addEventListener('change', (e) => {
+            this.videoTiming = e.target.value;
+            setStorageItem('videoTiming', this.videoTiming);
+            this.updateProcessCount();
+        });
+        
+        document.getElementById('videoSpeed').addEventListener('change', (e) => {
+            this.videoSpeed = parseFloat(e.target.value) || 1;
+            setStorageItem('videoSpeed', this.videoSpeed);
+            this.updateProcessCount();
+        });
+        
+        document.getElementById('videoWhenDone').addEventListener('change', (e) => {
+            this.videoWhenDone = e.target.checked;
+            setStorageItem('videoWhenDone', String(this.videoWhenDone));
+        });
+        
+        document.getElementById('videoBtn').addEventListener('click', () => this.startVideoJob());
+        document.getElementById('cancelVideoBtn').addEventListener('click', () => this.cancelVideoJob());
+        
+        document.getElementById('stopMode').addEventListener('change', (e) => {
+            this.stopMode = e.target.value;
+            setStorageItem('stopMode', this.stopMode);
+            this.renderStops();
+            this.updateFrameSelection();
+        });
+        
+        document.getElementById('minStopDuration').addEventListener('change', async (e) => {
+            this.minStopDuration = Math.max(parseInt(e.target.value) || 120, 1);
+            setStorageItem('minStopDuration', this.minStopDuration);
+            if (this.currentSession && !this.isProcessing) {
+                await this.loadStops(this.sessionParams);
+                this.updateFrameSelection();
             }
         });
         
+        document.getElementById('layoutSelect').addEventListener('change', (e) => {
+            this.layoutName = e.target.value;
+            setStorageItem('layout', this.layoutName);
+            this.loadLayout(this.layoutName);
+        });
+        
         // Cache management event listeners
         document.getElementById('refreshCacheBtn').addEventListener('click', () => this.loadCacheStats());
         document.getElementById('clearCacheBtn').addEventListener('click', () => this.clearCache());
         document.getElementById('preloadBtn').addEventListener('click', () => this.preloadCurrentRoute());
-        
-        // Debug mode toggle
-        document.getElementById('debugMapBtn').addEventListener('click', () => {
-            this.debugMapCapture = !this.debugMapCapture;
-            const btn = document.getElementById('debugMapBtn');
-            btn.textContent = this.debugMapCapture ? 'Disable Map Debug' : 'Enable Map Debug';
-            btn.style.backgroundColor = this.debugMapCapture ? '#ff6b6b' : '';
-            
-            // Show/hide debug panel
-            this.debugPanel.style.display = this.debugMapCapture ? 'block' : 'none';
-            if (!this.debugMapCapture) {
-                this.debugOutput = [];
-                this.debugPanel.textContent = 'Debug output will appear here...';
-            } else {
-                // Reset debug logging when enabling
-                this.debugLogged = false;
-                this.debugOutput = [];
-            }
-            
-            console.log('Map capture debug mode:', this.debugMapCapture ? 'ENABLED' : 'DISABLED');
+        document.getElementById('preloadCorridor').addEventListener('change', (e) => {
+            this.preloadCorridor = parseInt(e.target.value);
+            setStorageItem('preloadCorridor', this.preloadCorridor);
         });
-        
-        // Crop area selector event listeners
-        this.initializeCropSelector();
+        document.getElementById('pausePreloadBtn').addEventListener('click', () => this.preloadJobAction('pause'));
+        document.getElementById('resumePreloadBtn').addEventListener('click', () => this.preloadJobAction('resume'));
+        document.getElementById('cancelPreloadBtn').addEventListener('click', () => this.preloadJobAction('cancel'));
     }
     
     // Copy offscreen canvas to display canvas for final presentation
@@ -362,6 +463,14 @@ class BikeTrailProcessor {
             frameIntervalSelect.value = this.frameInterval.toString();
         }
         
+        // Set the hyperlapse controls to the loaded/default values
+        getElementById('frameSelection').value = this.frameSelection;
+        getElementById('distanceStep').value = this.distanceStep;
+        getElementById('minSpeed').value = this.minSpeed;
+        getElementById('targetLength').value = this.targetLength;
+        getElementById('stopMode').value = this.stopMode;
+        getElementById('minStopDuration').value = this.minStopDuration;
+        
         // Set the processing delegate dropdown to the loaded/default value
         const processingDelegateSelect = document.getElementById('processingDelegate');
         if (processingDelegateSelect) {
@@ -373,20 +482,76 @@ class BikeTrailProcessor {
         if (detailZoomSelect) {
             detailZoomSelect.value = this.detailZoom;
         }
+        
+        // Set the track controls to the loaded/default values
+        const trackModeSelect = document.getElementById('trackMode');
+        if (trackModeSelect) {
+            trackModeSelect.value = this.trackMode;
+        }
+        const trackOffsetInput = document.getElementById('trackOffset');
+        if (trackOffsetInput) {
+            trackOffsetInput.value = this.trackOffset;
+        }
+        getElementById('videoFps').value = this.videoFps;
+        getElementById('preloadCorridor').value = this.preloadCorridor;
+        
+        // Set the elevation profile dropdowns to the loaded/default values
+        const profileResolutionSelect = document.getElementById('profileResolution');
+        if (profileResolutionSelect) {
+            profileResolutionSelect.value = this.profileResolution;
+        }
+        const profileSmoothingSelect = document.getElementById('profileSmoothing');
+        if (profileSmoothingSelect) {
+            profileSmoothingSelect.value = this.profileSmoothing;
+        }
+        
+        // Check the selected GPS filters
+        document.querySelectorAll('#gpsFilters input').forEach(checkbox => {
+            checkbox.checked = this.gpsFilters.includes(checkbox.value);
+        });
+        
+        // Set the stats dropdown to the loaded/default value
+        const statsDisplaySelect = document.getElementById('statsDisplay');
+        if (statsDisplaySelect) {
+            statsDisplaySelect.value = this.statsDisplay;
+        }
+        
+        // Set the output dropdown to the loaded/default value
+        const outputFormatSelect = document.getElementById('outputFormat');
+        if (outputFormatSelect) {
+            outputFormatSelect.value = this.outputFormat;
+        }
+        
+        // Set the video controls to the loaded/default values
+        getElementById('videoCodec').value = this.videoCodec;
+        getElementById('videoSize').value = this.videoSize;
+        getElementById('videoWhenDone').checked = this.videoWhenDone;
+        getElementById('videoTiming').value = this.videoTiming;
+        getElementById('videoSpeed').value = this.videoSpeed;
     }
     
     updateProcessCount(processed = 0) {
         if (this.images && this.images.length > 0) {
-            const totalToProcess = Math.ceil(this.images.length / this.frameInterval);
-            const processedDuration = formatVideoDuration(processed);
-            const totalDuration = formatVideoDuration(totalToProcess);
+            const totalToProcess = this.selectedFrames.length;
+            let processedDuration = formatVideoDuration(processed);
+            let totalDuration = formatVideoDuration(totalToProcess);
+            let totalDurationMs = totalToProcess * 33.33;
+            
+            // Real-time videos last as long as the ride, divided by the speed-up
+            if (this.videoTiming === 'realtime') {
+                const lastSelected = this.selectedFrames[this.selectedFrames.length - 1] ?? -1;
+                const lastProcessed = processed > 0 ? this.selectedFrames[processed - 1] : -1;
+                totalDurationMs = calculateRealTimeDuration(this.images, lastSelected, this.videoSpeed);
+                processedDuration = formatPlaybackDuration(calculateRealTimeDuration(this.images, lastProcessed, this.videoSpeed));
+                totalDuration = formatPlaybackDuration(totalDurationMs);
+            }
             
             // Use the incrementally calculated processed distance
             const processedDistanceFormatted = formatDistance(this.processedDistance, this.altitudeUnit);
             const totalDistanceFormatted = formatDistance(this.totalDistance, this.altitudeUnit);
             
             // Calculate virtual speed for the output video (available immediately)
-            const virtualSpeed = calculateVirtualSpeed(this.totalDistance, totalToProcess, this.altitudeUnit);
+            const virtualSpeed = calculateVirtualSpeed(this.totalDistance, totalToProcess, this.altitudeUnit, totalDurationMs);
             
             const displayText = `${processed}/${totalToProcess} (Duration: ${processedDuration}/${totalDuration}, Distance: ${processedDistanceFormatted}/${totalDistanceFormatted}, Speed: ${virtualSpeed})`;
             setElementText('processCount', displayText);
@@ -399,54 +564,69 @@ class BikeTrailProcessor {
 
         const loadBtn = document.getElementById('loadBtn');
         
-        // Create popup window FIRST while we have user gesture
-        try {
-            this.mapPopup = window.open(
-                '/map-capture.html',
-                'mapCapture', 
-                'width=1240,height=520,scrollbars=no,resizable=no,menubar=no,toolbar=no,location=no'
-            );
-            
-            // Store global reference for cleanup on reload
-            window.mapCapturePopup = this.mapPopup;
-            
-            if (!this.mapPopup) {
-                alert('Popup was blocked. Please allow popups for this site and try again.');
-                return;
-            }
-        } catch (error) {
-            alert('Failed to create popup window. Please allow popups for this site.');
-            return;
-        }
-        
         // Show loading spinner
         setButtonLoading('loadBtn', 'Loading...');
 
         try {
-            const response = await fetch(`/api/session/${sessionName}`);
+            // DEM correction is chosen per session
+            this.demMode = getStorageItem(`demMode:${sessionName}`, 'off');
+            getElementById('demMode').value = this.demMode;
+            
+            const params = new URLSearchParams({
+                trackMode: this.trackMode,
+                trackOffset: this.trackOffset,
+                filters: this.gpsFilters.join(','),
+                dem: this.demMode,
+                fps: this.videoFps
+            });
+            
+            // Read metadata of new photos (or extract video frames) first so the wait shows progress
+            await this.scanSession(sessionName, params);
+            setButtonLoading('loadBtn', 'Loading...');
+            const response = await fetch(`/api/session/${sessionName}?${params}`);
             const data = await response.json();
             
             this.currentSession = sessionName;
+            this.sessionParams = params;
             this.images = data.images;
             this.currentIndex = 0;
             
             // Calculate total distance from GPS points
             this.totalDistance = calculateTotalDistance(this.images);
+            this.cumulativeDistances = calculateCumulativeDistances(this.images);
             
-            // Reset iframe route flag for new session
-            this.iframeRouteUpdated = false;
+            // Build the elevation profile for the entire dataset
+            this.updateElevationProfile();
             
-            // Calculate altitude range for the entire dataset
-            this.calculateAltitudeRange();
+            // Ride summary for the stats panel and end card
+            await this.loadRideStats(params);
             
-            // Initialize popup maps after data is loaded
-            await this.initializePopupMaps();
+            // Stationary segments that can be skipped or compressed
+            await this.loadStops(params);
             
             setElementText('imageCount', data.count);
-            this.updateProcessCount();
             
-            // Pre-calculate and display FPS intervals structure
-            this.initializeFPSDisplay();
+            // Pick the frames to render, update the count and FPS display
+            this.updateFrameSelection();
+            
+            // Export links use the same track settings as the loaded data
+            getElementById('exportGpx').href = `/api/session/${sessionName}/export.gpx?${params}`;
+            getElementById('exportGeoJson').href = `/api/session/${sessionName}/export.geojson?${params}`;
+            
+            if (data.track) {
+                setElementText('trackSummary', `${data.track.file} (${data.track.matched} images matched)`);
+                showElement('trackInfo');
+            } else {
+                hideElement('trackInfo');
+            }
+            
+            if (data.video) {
+                const gps = data.video.telemetry ? `GPS from ${data.video.telemetry}` : 'no GPS';
+                setElementText('videoSummary', `${data.video.file} (${data.count} frames at ${data.video.fps} fps, ${gps})`);
+                showElement('videoInfo');
+            } else {
+                hideElement('videoInfo');
+            }
             
             showElement('sessionInfo');
             
@@ -456,23 +636,217 @@ class BikeTrailProcessor {
         } catch (error) {
             console.error('Failed to load session:', error);
             
-            // Close popup if session loading failed
-            if (this.mapPopup && !this.mapPopup.closed) {
-                this.mapPopup.close();
-            }
-            this.cleanupPopup();
-            
             // Reset button on error
             setButtonNormal('loadBtn', 'Load Session');
         }
     }
 
+    // Scan the session folder on the server, showing "N of M images scanned" on the load button.
+    // Resolves when the scan ends either way; loading the session reports any error.
+    scanSession(sessionName, params) {
+        return new Promise(resolve => {
+            const events = new EventSource(`/api/session/${sessionName}/scan?${params}`);
+            
+            events.addEventListener('progress', (e) => {
+                const { scanned, total } = JSON.parse(e.data);
+                if (total > 0) {
+                    setButtonLoading('loadBtn', `${scanned} of ${total} images scanned`);
+                }
+            });
+            
+            const finish = () => {
+                events.close();
+                resolve();
+            };
+            events.addEventListener('done', finish);
+            events.addEventListener('failed', (e) => {
+                console.warn('Session scan failed:', JSON.parse(e.data).error);
+                finish();
+            });
+            events.onerror = finish;
+        });
+    }
+
+    async loadLayouts() {
+        try {
+            const response = await fetch('/api/layouts');
+            const layouts = await response.json();
+            
+            const select = getElementById('layoutSelect');
+            select.innerHTML = '';
+            layouts.forEach(layout => {
+                const option = document.createElement('option');
+                option.value = layout.id;
+                option.textContent = layout.name;
+                option.title = layout.description;
+                select.appendChild(option);
+            });
+            
+            // Fall back to the first template if the saved one is gone
+            if (!layouts.some(layout => layout.id === this.layoutName) && layouts.length > 0) {
+                this.layoutName = layouts[0].id;
+            }
+            select.value = this.layoutName;
+            await this.loadLayout(this.layoutName);
+        } catch (error) {
+            console.error('Failed to load layouts:', error);
+        }
+    }
+
+    async loadTileProviders() {
+        try {
+            const response = await fetch('/api/tiles/providers');
+            const providers = await response.json();
+            
+            const select = getElementById('tileProvider');
+            select.innerHTML = '';
+            providers.forEach(provider => {
+                const option = document.createElement('option');
+                option.value = provider.id;
+                option.textContent = provider.name;
+                option.title = `${provider.attribution} (max zoom ${provider.maxZoom})`;
+                select.appendChild(option);
+            });
+            
+            // Fall back to the server default if the saved style is gone
+            if (!providers.some(provider => provider.id === this.tileProvider)) {
+                const fallback = providers.find(provider => provider.default) || providers[0];
+                this.tileProvider = fallback ? fallback.id : '';
+            }
+            select.value = this.tileProvider;
+        } catch (error) {
+            console.error('Failed to load tile providers:', error);
+        }
+    }
+
+    async loadLayout(name) {
+        try {
+            const response = await fetch(`/api/layouts/${name}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.layout = await response.json();
+        } catch (error) {
+            console.error(`Failed to load layout ${name}:`, error);
+        }
+    }
+
+    async loadRideStats(params) {
+        try {
+            const response = await fetch(`/api/session/${this.currentSession}/stats?${params}`);
+            this.rideStats = response.ok ? await response.json() : null;
+        } catch (error) {
+            console.warn('Failed to load ride stats:', error);
+            this.rideStats = null;
+        }
+    }
+
+    async loadStops(params) {
+        try {
+            const query = new URLSearchParams(params);
+            query.set('minDuration', this.minStopDuration);
+            const response = await fetch(`/api/session/${this.currentSession}/stops?${query}`);
+            this.stops = response.ok ? (await response.json()).stops : [];
+        } catch (error) {
+            console.warn('Failed to detect stops:', error);
+            this.stops = [];
+        }
+        
+        this.keptStops = getStorageItem(`keptStops:${this.currentSession}`, '').split(',').filter(Boolean).map(Number);
+        this.renderStops();
+    }
+
+    // Stops whose frames are skipped or compressed; unticked stops stay in the video
+    getTrimmedStops() {
+        if (this.stopMode === 'off') return [];
+        return this.stops.filter(stop => !this.keptStops.includes(stop.start));
+    }
+
+    renderStops() {
+        const list = getElementById('stopsList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        this.stops.forEach(stop => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.keptStops.includes(stop.start);
+            checkbox.disabled = this.stopMode === 'off';
+            checkbox.addEventListener('change', () => {
+                this.keptStops = checkbox.checked
+                    ? this.keptStops.filter(start => start !== stop.start)
+                    : [...this.keptStops, stop.start];
+                setStorageItem(`keptStops:${this.currentSession}`, this.keptStops.join(','));
+                this.renderStops();
+                this.updateFrameSelection();
+            });
+            
+            const from = new Date(stop.start).toLocaleTimeString();
+            const to = new Date(stop.end).toLocaleTimeString();
+            const label = document.createElement('label');
+            label.style.display = 'block';
+            label.append(checkbox, ` ${from} - ${to} (${formatTimeEstimate(stop.duration * 1000)}, ${stop.images} images)`);
+            list.appendChild(label);
+        });
+        
+        const action = this.stopMode === 'compress' ? 'compressed' : 'skipped';
+        const summary = this.stopMode === 'off'
+            ? `${this.stops.length} found (kept)`
+            : `${this.stops.length} found, ${this.getTrimmedStops().length} ${action}`;
+        setElementText('stopsSummary', summary);
+        
+        if (this.stops.length > 0) {
+            showElement('stopsPanel');
+        } else {
+            hideElement('stopsPanel');
+        }
+    }
+
     async startProcessing() {
         if (!this.images.length) return;
         
+        if (!this.layout) {
+            alert('No overlay layout loaded');
+            return;
+        }
+
+        this.updateFrameSelection();
+        if (this.selectedFrames.length === 0) {
+            alert('No frames match the frame selection (distance mode needs GPS and images above the minimum speed)');
+            return;
+        }
+
+        if (this.outputFormat === 'jpeg') {
+            // Offer to resume from frames already in output/<session>/
+            const renderedTimestamps = await this.prepareResume();
+            this.buildFrameQueue(renderedTimestamps);
+        } else {
+            // A video is encoded in one pass, so every frame is rendered
+            const { width, height } = this.canvas;
+            if (!await isVideoEncodingSupported(this.outputFormat, width, height)) {
+                alert(`This browser can't encode ${this.outputFormat.toUpperCase()} at ${width}x${height}. Choose JPEG frames instead.`);
+                return;
+            }
+            this.buildFrameQueue();
+            try {
+                const upload = await createVideoUpload(this.currentSession, this.outputFormat);
+                this.videoEncoder = createVideoEncoder({ format: this.outputFormat, width, height, upload });
+            } catch (error) {
+                console.error('Video upload could not be started:', error);
+                alert(`The video could not be started: ${error.message}`);
+                return;
+            }
+        }
+        
+        if (this.frameQueue.length === 0) {
+            alert('All frames of this session are already rendered');
+            return;
+        }
+        
         this.isProcessing = true;
         this.isPaused = false;
-        this.processedDistance = 0; // Reset processed distance for new processing run
+        
+        // Count distance up to the first frame of this run
+        const firstIndex = this.frameQueue[0];
+        this.processedDistance = this.cumulativeDistances[firstIndex] || 0;
         
         showProcessingUI();
         
@@ -489,28 +863,135 @@ class BikeTrailProcessor {
             }
         }
         
-        // Initialize screen capture once at the start (or reinitialize if needed)
-        if (!this.captureStream) {
-            await this.initializeScreenCapture();
+        await this.processImages();
+    }
+
+    getRenderSettings() {
+        return {
+            altitudeUnit: this.altitudeUnit,
+            frameInterval: this.frameInterval,
+            frameSelection: this.frameSelection,
+            distanceStep: this.distanceStep,
+            minSpeed: this.minSpeed,
+            targetLength: this.targetLength,
+            stopMode: this.stopMode,
+            minStopDuration: this.minStopDuration,
+            keptStops: this.keptStops,
+            detailZoom: this.detailZoom,
+            tileProvider: this.tileProvider,
+            trackMode: this.trackMode,
+            trackOffset: this.trackOffset,
+            videoFps: this.videoFps,
+            gpsFilters: this.gpsFilters.join(','),
+            demMode: this.demMode,
+            profileResolution: this.profileResolution,
+            profileSmoothing: this.profileSmoothing,
+            statsDisplay: this.statsDisplay,
+            layout: this.layoutName
+        };
+    }
+
+    // Check the manifest for frames from an earlier run and ask whether to resume; returns timestamps to skip
+    async prepareResume() {
+        const settings = this.getRenderSettings();
+        let rendered = new Set();
+        let resume = false;
+        
+        try {
+            const response = await fetch(`/api/manifest/${this.currentSession}`);
+            const manifest = await response.json();
+            rendered = new Set(manifest.rendered || []);
+            
+            const alreadyRendered = this.images.filter(image => rendered.has(image.timestamp));
+            if (alreadyRendered.length > 0) {
+                const lastRendered = alreadyRendered[alreadyRendered.length - 1];
+                const settingsChanged = manifest.settings && JSON.stringify(manifest.settings) !== JSON.stringify(settings);
+                
+                let message = `${alreadyRendered.length} frames are already rendered (last: ${lastRendered.filename}).`;
+                if (settingsChanged) {
+                    message += '\nThey were rendered with different settings.';
+                } else if (manifest.mixedSettings) {
+                    message += '\nSome of them were rendered with different settings.';
+                }
+                message += '\n\nResume from the last rendered frame? Cancel renders every frame again.';
+                resume = confirm(message);
+            }
+            
+            await fetch(`/api/manifest/${this.currentSession}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ settings, reset: !resume })
+            });
+        } catch (error) {
+            console.warn('Failed to read progress manifest, rendering every frame:', error);
+        }
+        
+        return resume ? rendered : new Set();
+    }
+
+    // Work out which images to render before processing so counts, progress and ETA match the output
+    updateFrameSelection() {
+        if (!this.images || this.images.length === 0) return;
+        
+        if (this.frameSelection === 'distance') {
+            this.selectedFrames = selectFramesByDistance(this.images, {
+                step: this.distanceStep,
+                minSpeed: this.minSpeed,
+                maxFrames: this.targetLength * VIDEO_FRAME_RATE
+            });
+        } else {
+            this.selectedFrames = [];
+            for (let i = 0; i < this.images.length; i += this.frameInterval) {
+                this.selectedFrames.push(i);
+            }
+        }
+        
+        // Drop or compress the frames of detected stops (one second of time-lapse each)
+        if (this.stopMode !== 'off') {
+            this.selectedFrames = trimStops(this.images, this.selectedFrames, this.getTrimmedStops(), {
+                mode: this.stopMode,
+                compressFrames: VIDEO_FRAME_RATE
+            });
         }
         
-        await this.processImages();
+        this.updateProcessCount();
+        this.initializeFPSDisplay();
+    }
+
+    buildFrameQueue(skipTimestamps = new Set()) {
+        this.frameQueue = [];
+        this.skippedFrames = 0;
+        
+        for (const i of this.selectedFrames) {
+            if (skipTimestamps.has(this.images[i].timestamp)) {
+                this.skippedFrames++;
+            } else {
+                this.frameQueue.push(i);
+            }
+        }
+    }
+
+    async reportFailure(timestamp, error) {
+        try {
+            await fetch(`/api/manifest/${this.currentSession}/failures`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timestamp, error: error?.message || String(error) })
+            });
+        } catch (reportError) {
+            console.warn('Failed to record failure in manifest:', reportError);
+        }
     }
 
     pauseProcessing() {
         this.isPaused = !this.isPaused;
         updatePauseButton(this.isPaused);
-        
-        // If pausing for a long time, clean up screen capture to save resources
-        if (this.isPaused) {
-            this.stopScreenCapture();
-        }
     }
 
     async processImages() {
-        // Calculate total frames to be processed with the current interval
-        const totalFramesToProcess = Math.ceil(this.images.length / this.frameInterval);
-        let processedFrames = 0;
+        // Total frames in the current selection, including ones rendered in an earlier run
+        const totalFramesToProcess = this.selectedFrames.length;
+        let processedFrames = this.skippedFrames;
         
         // Reset time tracking at start
         this.processingStartTime = Date.now();
@@ -521,10 +1002,7 @@ class BikeTrailProcessor {
         this.currentIntervalFrameTimes = [];
         this.lastFrameEndTime = null;
         
-        // Reset debug logging for new session
-        this.debugLogged = false;
-        
-        for (let i = this.currentIndex; i < this.images.length; i += this.frameInterval) {
+        for (const i of this.frameQueue) {
             if (!this.isProcessing) break;
             
             while (this.isPaused) {
@@ -535,23 +1013,18 @@ class BikeTrailProcessor {
             const image = this.images[i];
             
             const frameStartTime = Date.now();
-            await this.processImage(image, i);
+            try {
+                await this.processImage(image, i);
+            } catch (error) {
+                this.abortProcessing(error);
+                break;
+            }
             const frameEndTime = Date.now();
             
             processedFrames++;
             
-            // Add incremental distance if this isn't the first image
-            if (i > 0) {
-                const prevImage = this.images[i - 1];
-                const currentImage = this.images[i];
-                if (prevImage.lat && prevImage.lon && currentImage.lat && currentImage.lon) {
-                    const incrementalDistance = calculateDistance(
-                        prevImage.lat, prevImage.lon,
-                        currentImage.lat, currentImage.lon
-                    );
-                    this.processedDistance += incrementalDistance;
-                }
-            }
+            // Distance along the route at this frame (frames may skip images)
+            this.processedDistance = this.cumulativeDistances[i];
             
             // Track frame processing time
             const frameProcessingTime = frameEndTime - frameStartTime;
@@ -573,12 +1046,53 @@ class BikeTrailProcessor {
             this.updateProcessCount(processedFrames);
         }
         
-        if (this.currentIndex >= this.images.length) {
+        if (this.isProcessing) {
+            if (this.statsDisplay === 'endcard' || this.statsDisplay === 'both') {
+                try {
+                    await this.renderEndCard();
+                } catch (error) {
+                    this.abortProcessing(error);
+                    return;
+                }
+            }
+            if (this.videoEncoder) {
+                await this.finishVideo();
+            }
             this.finishProcessing();
+        } else if (this.videoEncoder) {
+            this.videoEncoder.close();
+            this.videoEncoder = null;
+        }
+    }
+    
+    // Finalize the in-browser video; its chunks were uploaded to videos/ while encoding
+    async finishVideo() {
+        const encoder = this.videoEncoder;
+        this.videoEncoder = null;
+        
+        try {
+            setElementText('progressText', `Finalizing video (${encoder.frameCount()} frames)...`);
+            const result = await encoder.finish();
+            setElementText('progressText', `Video saved to videos/${result.file}`);
+        } catch (error) {
+            console.error('Video encoding failed:', error);
+            encoder.close();
+            alert(`The video could not be saved: ${error.message}`);
         }
     }
     
     
+    // Stop the render after a frame or the end card failed in a way that can't be skipped,
+    // e.g. a failed video encoder or upload; there may be no encoder in JPEG mode
+    abortProcessing(error) {
+        console.error('Processing failed:', error);
+        this.videoEncoder?.close();
+        this.videoEncoder = null;
+        this.isProcessing = false;
+        hideProcessingUI();
+        alert(`Processing stopped: ${error.message}`);
+    }
+    
     trackFrameFPS(frameStartTime, frameEndTime, processedFrames, totalFramesToProcess) {
         // Calculate delta since last frame (for pause detection)
         let frameDelta = frameEndTime - frameStartTime;
@@ -645,20 +1159,20 @@ class BikeTrailProcessor {
     calculatePreProcessingFPS() {
         // Calculate FPS intervals from JSON timestamp data
         const segments = 10;
-        const totalFramesToProcess = Math.ceil(this.images.length / this.frameInterval);
+        const totalFramesToProcess = this.selectedFrames.length;
         const segmentSize = Math.ceil(totalFramesToProcess / segments);
         this.preCalculatedFPS = [];
         
         for (let seg = 0; seg < segments; seg++) {
-            const startIdx = seg * segmentSize * this.frameInterval;
-            const endIdx = Math.min(startIdx + (segmentSize * this.frameInterval), this.images.length);
+            const startIdx = seg * segmentSize;
+            const endIdx = Math.min(startIdx + segmentSize, totalFramesToProcess);
             
             let totalTime = 0;
             let frameCount = 0;
             
-            for (let i = startIdx; i < endIdx - this.frameInterval; i += this.frameInterval) {
-                const currentFrame = this.images[i];
-                const nextFrame = this.images[i + this.frameInterval];
+            for (let i = startIdx; i < endIdx - 1; i++) {
+                const currentFrame = this.images[this.selectedFrames[i]];
+                const nextFrame = this.images[this.selectedFrames[i + 1]];
                 
                 if (currentFrame?.timestamp && nextFrame?.timestamp) {
                     const timeDelta = nextFrame.timestamp - currentFrame.timestamp;
@@ -705,7 +1219,8 @@ class BikeTrailProcessor {
 
     async processImage(imageData, index) {
         try {
-            const imagePath = `/sessions/${this.currentSession}/${imageData.filename}`;
+            // Images of a composite session live in their source folders
+            const imagePath = `/sessions/${imageData.source || this.currentSession}/${imageData.filename}`;
             
             const img = new Image();
             img.crossOrigin = 'anonymous';
@@ -729,25 +1244,20 @@ class BikeTrailProcessor {
                 this.applyPrivacyBlurring(detectionResult, img);
             }
             
-            // Draw date/time in upper left corner
-            this.drawDateTime(imageData.timestamp);
-            
-            // Draw speed in bottom right corner
-            this.drawSpeed(imageData.speed);
+            // Render the layout's maps for this position on the server
+            await this.renderMapWidgets(imageData);
             
-            // Update detail map position (maps are now in popup)
-            this.updateDetailMapPosition(imageData);
-            
-            
-            // Capture iframe maps to hidden canvases
-            await this.captureMapToCanvas();
-            
-            await this.addOverlays(imageData, index);
+            this.addOverlays(imageData, index);
             
             // Copy composed frame to display canvas for user viewing
             this.copyToDisplayCanvas();
             
-            // Save all processed images
+            if (this.videoEncoder) {
+                await this.videoEncoder.addFrame(this.canvas);
+                return;
+            }
+            
+            // Save all processed images
             const blob = await new Promise(resolve => {
                 this.canvas.toBlob(resolve, 'image/jpeg', 0.9);
             });
@@ -757,74 +1267,60 @@ class BikeTrailProcessor {
             });
             
         } catch (error) {
+            // A failed encoder stops the render instead of skipping frames
+            if (this.videoEncoder && this.videoEncoder.error()) throw error;
+            
             console.error('Error processing image:', error);
+            this.reportFailure(imageData.timestamp, error);
         }
     }
 
-    async addOverlays(imageData, index) {
-        const overlaySize = Math.floor(this.canvas.width * 0.12); // Scale to 12% of canvas width
-        const margin = Math.floor(this.canvas.width * 0.015); // Scale margin proportionally
-        
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.strokeStyle = '#fff';
-        this.ctx.lineWidth = Math.ceil(this.canvas.width / 800); // Thicker lines
-        this.ctx.font = `${Math.floor(this.canvas.width / 80)}px Arial`; // Much larger font
-        this.ctx.fillStyle = '#fff';
-        
-        // Define altitude meter dimensions: taller height, 3x width
-        const altitudeWidth = overlaySize * 3;
-        const altitudeHeight = overlaySize * 0.75;
-        
-        // Map dimensions to match captured map size (600x400 -> scale to fit overlay size)
-        const mapWidth = overlaySize * 2;
-        const mapHeight = Math.floor(mapWidth * 400/600); // Exact 600:400 aspect ratio
-        
-        // Account for 125% scaling - maps will be 25% larger
-        // Maps are now 900x600, so position them accordingly
-        const actualMapWidth = 900;
-        const actualMapHeight = 600;
-        
-        const upperLeft = { x: margin - 30, y: margin - 24 };
-        const topRight = { x: this.canvas.width - altitudeWidth - margin, y: margin, width: altitudeWidth, height: altitudeHeight };
-        
-        // Skip black rectangle backgrounds - just draw altitude meter background
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-        this.ctx.fillRect(topRight.x, topRight.y, altitudeWidth, altitudeHeight);
-        this.ctx.strokeRect(topRight.x, topRight.y, altitudeWidth, altitudeHeight);
-        
-        // Draw detail map in upper left corner
-        await this.drawDetailView(upperLeft, mapWidth, mapHeight, imageData);
-        this.drawAltitudeChart(topRight, altitudeWidth, altitudeHeight, index);
-        
-        // Luis bike icons are already rendered inside the captured maps
+    getOverlayContext() {
+        return {
+            ctx: this.ctx,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            images: this.images,
+            elevationProfile: this.elevationProfile,
+            altitudeUnit: this.altitudeUnit,
+            bikeIcon: this.bikeIcon
+        };
     }
 
-
-    async drawDetailView(pos, width, height, imageData) {
-        if (!this.detailMapCanvas) return;
+    addOverlays(imageData, index) {
+        const showPanel = this.statsDisplay === 'panel' || this.statsDisplay === 'both';
         
-        // Update detailMapCanvas dimensions from crop selector values
-        const cropWidth = getStorageInt('cropWidth', 600);
-        const cropHeight = getStorageInt('cropHeight', 400);
+        drawLayout(this.getOverlayContext(), this.layout, {
+            index,
+            detailMap: findWidget(this.layout, 'detailMap') ? this.detailMapCanvas : null,
+            routeMap: findWidget(this.layout, 'routeMap') ? this.routeMapCanvas : null,
+            stats: showPanel ? this.rideStats : null
+        });
+    }
+    
+    // Ride stats over the dimmed last frame, saved as extra frames after the last photo (or appended to the video)
+    async renderEndCard() {
+        if (!this.rideStats) return;
         
-        if (this.detailMapCanvas.width !== cropWidth || this.detailMapCanvas.height !== cropHeight) {
-            this.detailMapCanvas.width = cropWidth;
-            this.detailMapCanvas.height = cropHeight;
-        }
+        drawEndCard(this.getOverlayContext(), this.rideStats, this.currentSession);
+        this.copyToDisplayCanvas();
         
-        // Get paint zoom multiplier
-        const paintZoom = getStorageFloat('detailPaintZoom', 1.0);
+        if (this.videoEncoder) {
+            for (let i = 0; i < END_CARD_FRAMES; i++) {
+                await this.videoEncoder.addFrame(this.canvas);
+            }
+            return;
+        }
         
-        // Calculate zoomed dimensions
-        const zoomedWidth = this.detailMapCanvas.width * paintZoom;
-        const zoomedHeight = this.detailMapCanvas.height * paintZoom;
+        const blob = await new Promise(resolve => {
+            this.canvas.toBlob(resolve, 'image/jpeg', 0.9);
+        });
         
-        // Draw the detail map canvas with zoom applied (position stays same, size changes)
-        this.ctx.drawImage(
-            this.detailMapCanvas, 
-            pos.x, pos.y, 
-            zoomedWidth, zoomedHeight
-        );
+        // Timestamps just past the last photo so the card sorts last in output/<session>/
+        const lastTimestamp = this.images[this.images.length - 1].timestamp;
+        for (let i = 1; i <= END_CARD_FRAMES; i++) {
+            await this.uploadImage(blob, lastTimestamp + i);
+        }
     }
     
     createRoundedRectPath(x, y, width, height, radius) {
@@ -887,1236 +1383,110 @@ class BikeTrailProcessor {
         }
     }
     
-    applyFadeToCanvas(ctx, width, height) {
-        // Apply transparency gradient to an isolated canvas
-        ctx.save();
-        ctx.globalCompositeOperation = 'destination-out';
-        
-        const fadeWidth = width * 0.07; // Fade zone width
-        const fadeHeight = height * 0.07; // Fade zone height
-        
-        // Left edge fade
-        const leftGradient = ctx.createLinearGradient(0, 0, fadeWidth, 0);
-        leftGradient.addColorStop(0, 'rgba(0, 0, 0, 1)'); // Remove at edge
-        leftGradient.addColorStop(1, 'rgba(0, 0, 0, 0)'); // Keep at center
-        ctx.fillStyle = leftGradient;
-        ctx.fillRect(0, 0, fadeWidth, height);
-        
-        // Right edge fade
-        const rightGradient = ctx.createLinearGradient(width - fadeWidth, 0, width, 0);
-        rightGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-        rightGradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
-        ctx.fillStyle = rightGradient;
-        ctx.fillRect(width - fadeWidth, 0, fadeWidth, height);
-        
-        // Top edge fade
-        const topGradient = ctx.createLinearGradient(0, 0, 0, fadeHeight);
-        topGradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
-        topGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        ctx.fillStyle = topGradient;
-        ctx.fillRect(0, 0, width, fadeHeight);
-        
-        // Bottom edge fade
-        const bottomGradient = ctx.createLinearGradient(0, height - fadeHeight, 0, height);
-        bottomGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-        bottomGradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
-        ctx.fillStyle = bottomGradient;
-        ctx.fillRect(0, height - fadeHeight, width, fadeHeight);
-        
-        ctx.restore();
-    }
-
-    async captureMapAsImage(map, width, height) {
-        return new Promise((resolve) => {
-            // Create a clean canvas for the map
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-            const ctx = canvas.getContext('2d');
-            
-            // Get map bounds and center
-            const bounds = map.getBounds();
-            const center = map.getCenter();
-            const zoom = map.getZoom();
-            
-            // Draw background
-            ctx.fillStyle = '#e5e3df'; // OSM-like background color
-            ctx.fillRect(0, 0, width, height);
-            
-            // Draw simple map representation
-            if (this.images.length > 0) {
-                // Draw route as a simple line
-                const gpsImages = this.images.filter(img => img.lat && img.lon);
-                if (gpsImages.length > 1) {
-                    ctx.strokeStyle = '#e74c3c';
-                    ctx.lineWidth = 3;
-                    ctx.beginPath();
-                    
-                    // Convert lat/lng to canvas coordinates
-                    const mapBounds = {
-                        north: bounds.getNorth(),
-                        south: bounds.getSouth(),
-                        east: bounds.getEast(),
-                        west: bounds.getWest()
-                    };
-                    
-                    gpsImages.forEach((img, i) => {
-                        const x = ((img.lon - mapBounds.west) / (mapBounds.east - mapBounds.west)) * width;
-                        const y = height - ((img.lat - mapBounds.south) / (mapBounds.north - mapBounds.south)) * height;
-                        
-                        if (i === 0) ctx.moveTo(x, y);
-                        else ctx.lineTo(x, y);
-                    });
-                    
-                    ctx.stroke();
-                    
-                    // Draw current position if we have a route marker
-                    if (this.routeMarker && this.bikeIcon) {
-                        const markerPos = this.routeMarker.getLatLng();
-                        const markerX = ((markerPos.lng - mapBounds.west) / (mapBounds.east - mapBounds.west)) * width;
-                        const markerY = height - ((markerPos.lat - mapBounds.south) / (mapBounds.north - mapBounds.south)) * height;
-                        
-                        // Draw bike icon at marker position
-                        const iconSize = map === this.detailMap ? 30 : 20;
-                        ctx.drawImage(this.bikeIcon, markerX - iconSize/2, markerY - iconSize, iconSize, iconSize);
-                    }
-                }
-            }
-            
-            // Add map attribution
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-            ctx.fillRect(0, height - 20, width, 20);
-            ctx.fillStyle = '#333';
-            ctx.font = '10px Arial';
-            ctx.fillText('© OpenStreetMap', 5, height - 8);
-            
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.src = canvas.toDataURL();
-        });
-    }
-
-    calculateAltitudeRange() {
+    updateElevationProfile() {
         if (!this.images.length) return;
         
-        const altitudes = this.images.map(img => img.alt || 0).filter(alt => alt > 0);
-        if (altitudes.length === 0) return;
-        
-        this.altitudeRange.min = Math.min(...altitudes);
-        this.altitudeRange.max = Math.max(...altitudes);
-        
-    }
-
-    updateMapsWithRoute() {
-        if (!this.images.length || !this.mapPopup) return;
-
-        // Filter images with valid GPS data
-        const gpsImages = this.images.filter(img => img.lat && img.lon);
-        if (gpsImages.length === 0) return;
-
-        const routeCoords = gpsImages.map(img => [img.lat, img.lon]);
-        
-        
-        // Send route data to popup via postMessage
-        this.mapPopup.postMessage({
-            type: 'updateRoute',
-            routeCoords: routeCoords
-        }, '*');
-        
-        // Set detail map to first GPS point with bearing
-        const firstPoint = gpsImages[0];
-        
-        // Calculate bearing for first point
-        let bearing = 90; // Default to east
-        if (firstPoint.compass !== null && firstPoint.compass !== undefined) {
-            let rawBearing = firstPoint.compass;
-            bearing = (rawBearing + 180) % 360;
-        }
-        
-        
-        this.mapPopup.postMessage({
-            type: 'updateDetailPosition',
-            lat: firstPoint.lat,
-            lon: firstPoint.lon,
-            bearing: bearing,
-            rawCompass: firstPoint.compass,
-            zoomLevel: this.detailZoom
-        }, '*');
-    }
-
-    updateDetailMapPosition(currentImage) {
-        if (!currentImage || !currentImage.lat || !currentImage.lon || !this.mapPopup) return;
-        
-        
-        const currentIndex = this.images.indexOf(currentImage);
-        let bearing = 90; // Default east
-        
-        if (currentIndex === 0) {
-            // First frame: use its bearing
-            
-            if (currentImage.compass !== null && currentImage.compass !== undefined) {
-                bearing = currentImage.compass;
-            } else {
-                bearing = 90; // fallback
-            }
-        } else {
-            // Subsequent frames: check velocity and find next GPS-significant frame
-            const speedMPS = currentImage.speed || 0;
-            const MIN_SPEED_MPS = 1.39; // 5 km/h = 1.39 m/s
-            const MIN_TIME_DIFF_MS = 100; // 100ms minimum between GPS points
-            
-            if (speedMPS > MIN_SPEED_MPS) {
-                // Jump ahead ~45 frames (assuming 30fps, ~1.5 seconds)
-                const targetIndex = currentIndex + 45;
-                const nextImage = this.images[targetIndex];
-                
-                if (nextImage && nextImage.lat && nextImage.lon) {
-                    bearing = calculateBearing(currentImage.lat, currentImage.lon, nextImage.lat, nextImage.lon);
-                } else {
-                    bearing = this.lastValidBearing || 90;
-                }
-            } else {
-                bearing = this.lastValidBearing || 90;
-            }
-        }
-        
-        this.lastValidBearing = bearing;
-        
-        
-        // Send position update to popup
-        this.mapPopup.postMessage({
-            type: 'updateDetailPosition',
-            lat: currentImage.lat,
-            lon: currentImage.lon,
-            bearing: bearing,
-            rawCompass: currentIndex === 0 ? currentImage.compass || null : null,
-            zoomLevel: this.detailZoom
-        }, '*');
-        
-        // Also update route marker position
-        this.mapPopup.postMessage({
-            type: 'updateRouteMarker', 
-            lat: currentImage.lat,
-            lon: currentImage.lon,
-            bearing: bearing,
-            rawCompass: currentIndex === 0 ? currentImage.compass || null : null
-        }, '*');
-    }
-    
-    
-    // Wait for maps to be ready after an update
-    waitForMapReady() {
-        return new Promise((resolve) => {
-            this.mapUpdateResolver = resolve;
-            
-            // Fallback timeout in case message is missed
-            setTimeout(() => {
-                if (this.mapUpdateResolver) {
-                    console.warn('⚠️ Map ready timeout, proceeding anyway');
-                    this.mapUpdateResolver();
-                    this.mapUpdateResolver = null;
-                }
-            }, 1000);
+        this.elevationProfile = buildElevationProfile(this.images, {
+            resolution: this.profileResolution,
+            smoothing: this.profileSmoothing
         });
     }
 
-    async initializePopupMaps() {
-        if (!this.mapPopup) return;
-        
-        // Set up message listener for popup coordinates
-        this.setupPopupMessageListener();
-        
-        return new Promise((resolve) => {
-            // Listen for popup ready message
-            const readyListener = (event) => {
-                if (event.data && event.data.type === 'popupReady') {
-                    window.removeEventListener('message', readyListener);
-                    
-                    // Send current route data to popup if we have it
-                    if (this.images.length > 0) {
-                        this.updateMapsWithRoute();
-                    }
-                    
-                    resolve();
-                }
-            };
-            
-            window.addEventListener('message', readyListener);
-            
-            // Timeout fallback in case message is missed
-            setTimeout(() => {
-                window.removeEventListener('message', readyListener);
-                
-                // Try to manually trigger coordinate sending
-                try {
-                    if (this.mapPopup && !this.mapPopup.closed) {
-                        if (typeof this.mapPopup.sendMapCoordinates === 'function') {
-                            this.mapPopup.sendMapCoordinates();
-                        } else {
-                            console.warn('sendMapCoordinates function not available on popup');
-                        }
-                    } else {
-                        console.warn('Popup window not available or closed');
-                    }
-                } catch (e) {
-                    console.warn('Manual coordinate sending failed:', e);
-                }
-                
-                if (this.images.length > 0) {
-                    this.updateMapsWithRoute();
-                }
-                resolve();
-            }, 2000);
-            
-            // Handle popup being closed - store interval reference for cleanup
-            this.popupCheckInterval = setInterval(() => {
-                if (this.mapPopup.closed) {
-                    clearInterval(this.popupCheckInterval);
-                    this.popupCheckInterval = null;
-                    this.cleanupPopup();
-                }
-            }, 1000);
-        });
-    }
-    
-    setupPopupMessageListener() {
-        // Listen for messages from popup window
-        this.popupMessageListener = (event) => {
-            
-            if (event.data && event.data.type === 'mapCoordinates') {
-                this.mapCoordinates = event.data.coordinates;
-                
-                // Store globally for debugging
-                window.debugMapCoordinates = this.mapCoordinates;
-            }
-            
-            if (event.data && event.data.type === 'mapReady') {
-                
-                // Resolve pending map update if we're waiting for it
-                if (this.mapUpdateResolver) {
-                    this.mapUpdateResolver();
-                    this.mapUpdateResolver = null;
-                }
-            }
-        };
-        
-        window.addEventListener('message', this.popupMessageListener);
-    }
-    
-    cleanupPopup() {
-        // Clear popup check interval
-        if (this.popupCheckInterval) {
-            clearInterval(this.popupCheckInterval);
-            this.popupCheckInterval = null;
+    // Render the map widgets of the current layout at the size they take on the frame
+    async renderMapWidgets(currentImage) {
+        const detailWidget = findWidget(this.layout, 'detailMap');
+        if (detailWidget) {
+            this.resizeWidgetCanvas(this.detailMapCanvas, detailWidget);
+            await this.renderDetailMapToCanvas(currentImage);
         }
         
-        // Remove message listener
-        if (this.popupMessageListener) {
-            window.removeEventListener('message', this.popupMessageListener);
-            this.popupMessageListener = null;
+        const routeWidget = findWidget(this.layout, 'routeMap');
+        if (routeWidget) {
+            this.resizeWidgetCanvas(this.routeMapCanvas, routeWidget);
+            await this.renderRouteMapToCanvas(currentImage);
         }
-        
-        // Clear map update resolver
-        if (this.mapUpdateResolver) {
-            this.mapUpdateResolver();
-            this.mapUpdateResolver = null;
-        }
-        
-        // Clear references
-        this.mapPopup = null;
-        this.mapCoordinates = null;
-        window.mapCapturePopup = null;
-        
     }
-
-    async capturePopupToCanvas() {
-        if (!this.captureVideo || !this.mapPopup) return null;
-        
-        try {
-            // Create popupCanvas if it doesn't exist or size changed
-            const videoWidth = this.captureVideo.videoWidth;
-            const videoHeight = this.captureVideo.videoHeight;
-            
-            if (!this.popupCanvas || 
-                this.popupCanvas.width !== videoWidth || 
-                this.popupCanvas.height !== videoHeight) {
-                
-                this.popupCanvas = document.createElement('canvas');
-                this.popupCanvas.width = videoWidth;
-                this.popupCanvas.height = videoHeight;
-            }
-            
-            const ctx = this.popupCanvas.getContext('2d');
-            
-            // Capture the entire screen to popupCanvas
-            ctx.drawImage(this.captureVideo, 0, 0, videoWidth, videoHeight);
-            
-            return this.popupCanvas;
-            
-        } catch (error) {
-            console.error('Error capturing popup to canvas:', error);
-            return null;
-        }
-    }
-
-    async cropFromPopupCanvas() {
-        if (!this.popupCanvas || !this.detailMapCanvas) return;
-        
-        try {
-            // Get crop coordinates from localStorage
-            const cropX = getStorageInt('cropX', 200);
-            const cropY = getStorageInt('cropY', 100);
-            const cropWidth = getStorageInt('cropWidth', 600);
-            const cropHeight = getStorageInt('cropHeight', 400);
-            
-            // Update detailMapCanvas size to match crop dimensions
-            this.detailMapCanvas.width = cropWidth;
-            this.detailMapCanvas.height = cropHeight;
-            
-            const detailCtx = this.detailMapCanvas.getContext('2d');
-            
-            // Clear the canvas first
-            detailCtx.clearRect(0, 0, cropWidth, cropHeight);
-            
-            // Crop from popupCanvas to detailMapCanvas
-            detailCtx.drawImage(
-                this.popupCanvas,
-                cropX, cropY, cropWidth, cropHeight,  // Source rectangle from popup
-                0, 0, cropWidth, cropHeight           // Fill entire detail canvas
-            );
-            
-            // Apply transparent gradient around edges
-            this.applyFadeToCanvas(detailCtx, cropWidth, cropHeight);
-            
-        } catch (error) {
-            console.error('Error cropping from popup canvas:', error);
-        }
+    
+    resizeWidgetCanvas(canvas, widget) {
+        const rect = getWidgetRect(this.layout, widget, this.canvas.width, this.canvas.height);
+        if (canvas.width !== rect.width) canvas.width = rect.width;
+        if (canvas.height !== rect.height) canvas.height = rect.height;
     }
 
-    async captureMapToCanvas() {
-        if (!this.routeMapCanvas || !this.detailMapCanvas || !this.mapPopup) return;
+    async renderRouteMapToCanvas(currentImage) {
+        if (!this.routeMapCanvas || !currentImage) return;
         
-        try {
-            // First capture the full popup to popupCanvas
-            await this.capturePopupToCanvas();
-            
-            // Then crop from popupCanvas to detail map
-            await this.cropFromPopupCanvas();
-            
-        } catch (error) {
-            console.error('Error capturing maps from popup:', error);
-            // Fallback placeholders
-            const routeCtx = this.routeMapCanvas.getContext('2d');
-            const detailCtx = this.detailMapCanvas.getContext('2d');
-            
-            routeCtx.fillStyle = '#e5e3df';
-            routeCtx.fillRect(0, 0, 600, 400);
-            detailCtx.fillStyle = '#e5e3df'; 
-            detailCtx.fillRect(0, 0, 600, 400);
-        }
-    }
-    
-    async captureSpecificMapArea(mapType) {
+        const width = this.routeMapCanvas.width;
+        const height = this.routeMapCanvas.height;
         
-        if (!this.captureVideo || !this.mapCoordinates) {
-            console.warn(`❌ Cannot capture ${mapType}: captureVideo=${!!this.captureVideo}, mapCoordinates=${!!this.mapCoordinates}`);
-            return null;
-        }
+        // Same track/filter/DEM settings as the loaded session so the route matches
+        const params = new URLSearchParams(this.sessionParams);
+        params.set('timestamp', currentImage.timestamp);
+        params.set('bearing', this.lastValidBearing);
+        params.set('facing', this.bikeFacing);
+        params.set('w', width);
+        params.set('h', height);
+        params.set('provider', this.tileProvider);
         
+        const routeCtx = this.routeMapCanvas.getContext('2d');
         try {
-            // Get platform info for debugging
-            const platform = this.getPlatformInfo();
-            
-            // Get specific map coordinates (these are in CSS pixels relative to popup content)
-            const mapCoords = this.mapCoordinates[mapType];
-            if (!mapCoords) return null;
-            
-            // Get actual div dimensions and account for pixel density
-            let actualDivWidth = 450;
-            let actualDivHeight = 300;
-            
-            try {
-                const popupDoc = this.mapPopup.document;
-                const mapDiv = popupDoc.querySelector(`#${mapType}`);
-                if (mapDiv) {
-                    const rect = mapDiv.getBoundingClientRect();
-                    actualDivWidth = rect.width;
-                    actualDivHeight = rect.height;
-                }
-            } catch (e) {
-                // Use defaults
-            }
-            
-            // Account for pixel density - multiply by device pixel ratio
-            const pixelRatio = window.devicePixelRatio || 1;
-            let cropWidth = actualDivWidth * pixelRatio;
-            let cropHeight = actualDivHeight * pixelRatio;
-            
-            // Calculate the scale between video capture and popup content
-            const videoWidth = this.captureVideo.videoWidth;
-            const videoHeight = this.captureVideo.videoHeight;
-            
-            // Your debug shows the video is 2724x1430, but popup reports negative decorations
-            // This suggests the video is capturing content area only, not full window
-            // Let's use direct scaling from video to popup content
-            
-            // Get actual popup content dimensions
-            let actualPopupWidth, actualPopupHeight;
-            try {
-                const popupDoc = this.mapPopup.document;
-                const mapContainer = popupDoc.querySelector('.map-previews');
-                if (mapContainer) {
-                    const containerRect = mapContainer.getBoundingClientRect();
-                    // Use the container's parent dimensions as reference
-                    actualPopupWidth = containerRect.width || this.mapPopup.innerWidth;
-                    actualPopupHeight = containerRect.height || this.mapPopup.innerHeight;
-                } else {
-                    actualPopupWidth = this.mapPopup.innerWidth;
-                    actualPopupHeight = this.mapPopup.innerHeight;
-                }
-            } catch (e) {
-                actualPopupWidth = this.mapPopup.innerWidth;
-                actualPopupHeight = this.mapPopup.innerHeight;
-            }
-            
-            // Calculate scale factors
-            const scaleX = videoWidth / actualPopupWidth;
-            const scaleY = videoHeight / actualPopupHeight;
-            
-            // Calculate center crop area - crop from center of the map element
-            const centerOffsetX = (mapCoords.width - cropWidth) / 2;
-            const centerOffsetY = (mapCoords.height - cropHeight) / 2;
-            
-            // Get actual div coordinates from popup and account for window position
-            let divLeft = 0;
-            let divTop = 0;
-            
-            try {
-                const popupDoc = this.mapPopup.document;
-                const mapDiv = popupDoc.querySelector(`#${mapType}`);
-                if (mapDiv) {
-                    const rect = mapDiv.getBoundingClientRect();
-                    // These coordinates are relative to the popup viewport
-                    divLeft = rect.left;
-                    divTop = rect.top;
-                }
-            } catch (e) {
-                // Use stored coordinates as fallback
-                if (mapCoords) {
-                    divLeft = mapCoords.left;
-                    divTop = mapCoords.top;
-                }
-            }
-            
-            // Use the pixel ratio already defined above
-            
-            // Use crop area override if available, otherwise calculate from div position
-            let sourceX, sourceY, sourceWidth, sourceHeight;
-            
-            if (this.cropAreaOverride) {
-                // Use manual crop values and update canvas size
-                sourceX = this.cropAreaOverride.x;
-                sourceY = this.cropAreaOverride.y;
-                sourceWidth = this.cropAreaOverride.width;
-                sourceHeight = this.cropAreaOverride.height;
-                
-                // Update crop size to match crop area
-                cropWidth = sourceWidth;
-                cropHeight = sourceHeight;
-            } else {
-                // Calculate from div position * pixel ratio
-                sourceX = Math.round(divLeft * pixelRatio);
-                sourceY = Math.round(divTop * pixelRatio);
-                sourceWidth = cropWidth;  // Already adjusted for pixel ratio
-                sourceHeight = cropHeight; // Already adjusted for pixel ratio
-            }
-            
-            // Create canvas with final dimensions
-            const canvas = document.createElement('canvas');
-            canvas.width = cropWidth;
-            canvas.height = cropHeight;
-            const ctx = canvas.getContext('2d');
-            
-            // Linux adjustment: if the vertical offset is still wrong, try adding a title bar offset
-            // This is a heuristic based on your debug showing consistent -320 vertical offset
-            if (platform.name === 'Linux') {
-                // Try to detect if we need a title bar offset
-                // If the crop would be in the top portion of the video, add an offset
-                const videoTopThird = videoHeight / 3;
-                if (sourceY < videoTopThird) {
-                    // Estimate title bar height and add it
-                    const estimatedTitleBarHeight = Math.round(40 * scaleY); // ~40px title bar
-                    sourceY += estimatedTitleBarHeight;
-                }
-            }
-            
-            // Check if coordinates seem unreasonable and try to center them
-            const cropCenterX = sourceX + sourceWidth / 2;
-            const cropCenterY = sourceY + sourceHeight / 2;
-            const videoCenterX = videoWidth / 2;
-            const videoCenterY = videoHeight / 2;
-            
-            // Apply small adjustments instead of full centering
-            let adjustedSourceX = sourceX;
-            let adjustedSourceY = sourceY;
-            
-            // Small horizontal adjustment - just nudge towards center
-            const horizontalOffset = cropCenterX - videoCenterX;
-            if (Math.abs(horizontalOffset) > 200) {
-                const adjustmentAmount = Math.round(horizontalOffset * 0.3); // Move 30% towards center
-                adjustedSourceX = sourceX - adjustmentAmount;
-            }
-            
-            // Small vertical adjustment
-            const verticalOffset = cropCenterY - videoCenterY;
-            if (Math.abs(verticalOffset) > 50) {
-                const adjustmentAmount = Math.round(verticalOffset * 0.5); // Move 50% towards center
-                adjustedSourceY = sourceY - adjustmentAmount;
-            }
-            
-            // Use adjusted coordinates if they changed
-            if (adjustedSourceX !== sourceX || adjustedSourceY !== sourceY) {
-                return this.captureWithCoords(mapType, adjustedSourceX, adjustedSourceY, sourceWidth, sourceHeight, cropWidth, cropHeight);
-            }
-            
-            // Ensure coordinates are within video bounds
-            const clampedSourceX = Math.max(0, Math.min(sourceX, videoWidth - sourceWidth));
-            const clampedSourceY = Math.max(0, Math.min(sourceY, videoHeight - sourceHeight));
-            
-            
-            // Capture crop area from screen capture and fill entire canvas
-            ctx.drawImage(
-                this.captureVideo,
-                clampedSourceX, clampedSourceY, sourceWidth, sourceHeight,  // Source rectangle from video
-                0, 0, canvas.width, canvas.height                          // Fill entire canvas
-            );
-            
-            // Add debug info to text panel (easy to copy/paste) - only once per session
-            if (this.debugMapCapture && !this.debugLogged) {
-                this.logDebugInfo(mapType, clampedSourceX, clampedSourceY, sourceWidth, sourceHeight);
-            }
-            
-            return canvas;
-        } catch (error) {
-            console.warn(`Failed to capture ${mapType}:`, error);
-            return null;
-        }
-    }
-    
-    getPlatformInfo() {
-        const userAgent = navigator.userAgent.toLowerCase();
-        
-        if (userAgent.includes('mac')) {
-            return { name: 'Mac', os: 'macOS' };
-        } else if (userAgent.includes('win')) {
-            return { name: 'Windows', os: 'Windows' };
-        } else if (userAgent.includes('linux')) {
-            return { name: 'Linux', os: 'Linux' };
-        } else {
-            return { name: 'Unknown', os: userAgent };
-        }
-    }
-    
-    getEffectivePixelRatio() {
-        // Get base device pixel ratio
-        const devicePixelRatio = window.devicePixelRatio || 1;
-        
-        // Platform-specific handling
-        const platform = this.getPlatformInfo();
-        
-        if (platform.name === 'Windows') {
-            // Windows can have fractional scaling (1.25, 1.5, etc.)
-            // Screen capture might behave differently
-            return devicePixelRatio;
-        } else if (platform.name === 'Mac') {
-            // Mac typically has clean 1x or 2x scaling
-            return devicePixelRatio;
-        } else if (platform.name === 'Linux') {
-            // Linux can vary widely depending on desktop environment
-            return devicePixelRatio;
-        }
-        
-        return devicePixelRatio;
-    }
-    
-    initializeCropSelector() {
-        const sliders = ['cropX', 'cropY', 'cropWidth', 'cropHeight', 'detailPaintZoom'];
-        const defaults = { cropX: 200, cropY: 100, cropWidth: 600, cropHeight: 400, detailPaintZoom: 1.0 };
-        
-        // Load values from localStorage and update sliders
-        sliders.forEach(id => {
-            const slider = document.getElementById(id);
-            const valueSpan = document.getElementById(id + 'Value');
-            
-            // Load from localStorage or use default
-            const savedValue = getStorageItem(id, defaults[id]);
-            slider.value = savedValue;
-            valueSpan.textContent = savedValue;
-            
-            slider.addEventListener('input', () => {
-                valueSpan.textContent = slider.value;
-                // Save to localStorage on change
-                setStorageItem(id, slider.value);
-                this.updateCropPreview();
-            });
-        });
-        
-        // Capture preview button
-        document.getElementById('capturePreviewBtn').addEventListener('click', () => {
-            this.capturePopupPreview();
-        });
-        
-        // Auto-enable crop area override on slider change
-        sliders.forEach(id => {
-            const slider = document.getElementById(id);
-            slider.addEventListener('input', () => {
-                this.updateCropAreaOverride();
+            const mapImage = new Image();
+            await new Promise((resolve, reject) => {
+                mapImage.onload = resolve;
+                mapImage.onerror = reject;
+                mapImage.src = `/api/map/route/${this.currentSession}?${params}`;
             });
-        });
-        
-        // Initialize crop area override
-        this.updateCropAreaOverride();
-        
-        // Crop values now apply automatically - no button needed
-    }
-    
-    updateCropAreaOverride() {
-        const x = parseInt(document.getElementById('cropX').value);
-        const y = parseInt(document.getElementById('cropY').value);
-        const w = parseInt(document.getElementById('cropWidth').value);
-        const h = parseInt(document.getElementById('cropHeight').value);
-        
-        this.cropAreaOverride = { x, y, width: w, height: h };
-    }
-    
-    async capturePopupPreview() {
-        if (!this.captureVideo || !this.mapPopup) {
-            alert('Need active screen capture and popup window');
-            return;
-        }
-        
-        try {
-            const videoWidth = this.captureVideo.videoWidth;
-            const videoHeight = this.captureVideo.videoHeight;
-            
-            // Scale down for preview (fit to 400x300 canvas)
-            const scale = Math.min(400 / videoWidth, 300 / videoHeight);
-            const previewWidth = videoWidth * scale;
-            const previewHeight = videoHeight * scale;
-            
-            this.cropPreviewCanvas.width = previewWidth;
-            this.cropPreviewCanvas.height = previewHeight;
-            this.cropPreviewCanvas.style.display = 'block';
-            
-            // Draw full video capture scaled down
-            this.cropPreviewCtx.drawImage(
-                this.captureVideo,
-                0, 0, videoWidth, videoHeight,
-                0, 0, previewWidth, previewHeight
-            );
-            
-            this.updateCropPreview();
             
+            routeCtx.clearRect(0, 0, width, height);
+            routeCtx.drawImage(mapImage, 0, 0, width, height);
         } catch (error) {
-            console.error('Preview capture failed:', error);
+            console.error('Error rendering route map:', error);
+            routeCtx.clearRect(0, 0, width, height);
         }
     }
-    
-    updateCropPreview() {
-        if (!this.cropPreviewCanvas.style.display || this.cropPreviewCanvas.style.display === 'none') return;
-        
-        const x = parseInt(document.getElementById('cropX').value);
-        const y = parseInt(document.getElementById('cropY').value);
-        const w = parseInt(document.getElementById('cropWidth').value);
-        const h = parseInt(document.getElementById('cropHeight').value);
-        
-        // Use popupCanvas if available, otherwise fall back to captureVideo
-        const sourceCanvas = this.popupCanvas || this.captureVideo;
-        if (!sourceCanvas) return;
-        
-        const sourceWidth = sourceCanvas.width || sourceCanvas.videoWidth;
-        const sourceHeight = sourceCanvas.height || sourceCanvas.videoHeight;
-        
-        // Calculate scale factor for preview
-        const scale = this.cropPreviewCanvas.width / sourceWidth;
-        
-        // Clear previous rectangle
-        this.cropPreviewCtx.save();
-        this.cropPreviewCtx.globalCompositeOperation = 'source-over';
-        
-        // Redraw the popup/video 
-        this.cropPreviewCtx.drawImage(
-            sourceCanvas,
-            0, 0, sourceWidth, sourceHeight,
-            0, 0, this.cropPreviewCanvas.width, this.cropPreviewCanvas.height
-        );
-        
-        // Draw red crop rectangle
-        this.cropPreviewCtx.strokeStyle = 'red';
-        this.cropPreviewCtx.lineWidth = 2;
-        this.cropPreviewCtx.strokeRect(x * scale, y * scale, w * scale, h * scale);
-        
-        this.cropPreviewCtx.restore();
-    }
-    
-    captureWithCoords(mapType, sourceX, sourceY, sourceWidth, sourceHeight, cropWidth, cropHeight) {
-        try {
-            const canvas = document.createElement('canvas');
-            canvas.width = cropWidth;
-            canvas.height = cropHeight;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.drawImage(
-                this.captureVideo,
-                sourceX, sourceY, sourceWidth, sourceHeight,
-                0, 0, cropWidth, cropHeight
-            );
-            
-            return canvas;
-        } catch (error) {
-            console.warn(`Failed to capture ${mapType} with coords:`, error);
-            return null;
-        }
-    }
-    
-    logDebugInfo(mapType, sourceX, sourceY, sourceWidth, sourceHeight) {
-        if (!this.captureVideo) return;
-        
-        const videoWidth = this.captureVideo.videoWidth;
-        const videoHeight = this.captureVideo.videoHeight;
-        
-        // Get window info
-        const popupInnerWidth = this.mapPopup ? this.mapPopup.innerWidth : 'N/A';
-        const popupInnerHeight = this.mapPopup ? this.mapPopup.innerHeight : 'N/A';
-        const popupOuterWidth = this.mapPopup ? this.mapPopup.outerWidth : 'N/A';
-        const popupOuterHeight = this.mapPopup ? this.mapPopup.outerHeight : 'N/A';
-        const devicePixelRatio = window.devicePixelRatio || 1;
-        
-        // Calculate scales
-        const scaleToInner = popupInnerWidth !== 'N/A' ? (videoWidth / popupInnerWidth).toFixed(3) : 'N/A';
-        const scaleToOuter = popupOuterWidth !== 'N/A' ? (videoWidth / popupOuterWidth).toFixed(3) : 'N/A';
-        
-        const debugInfo = `
-=== MAP CAPTURE DEBUG: ${mapType.toUpperCase()} ===
-Timestamp: ${new Date().toLocaleTimeString()}
-
-SYSTEM INFO:
-- OS: ${navigator.platform}
-- User Agent: ${navigator.userAgent.split(' ').slice(-2).join(' ')}
-- Device Pixel Ratio: ${devicePixelRatio}
-
-VIDEO CAPTURE:
-- Video Dimensions: ${videoWidth} x ${videoHeight}
-
-POPUP WINDOW:
-- Inner Dimensions: ${popupInnerWidth} x ${popupInnerHeight}
-- Outer Dimensions: ${popupOuterWidth} x ${popupOuterHeight}
-- Decorations: ${popupOuterWidth - popupInnerWidth} x ${popupOuterHeight - popupInnerHeight}
-
-SCALING:
-- Video/Inner Scale: ${scaleToInner}x
-- Video/Outer Scale: ${scaleToOuter}x
-
-CROP COORDINATES:
-- Source X: ${sourceX}
-- Source Y: ${sourceY}
-- Source Width: ${sourceWidth}
-- Source Height: ${sourceHeight}
-- Crop Center: ${sourceX + sourceWidth/2}, ${sourceY + sourceHeight/2}
-- Video Center: ${videoWidth/2}, ${videoHeight/2}
-- Horizontal Offset: ${(sourceX + sourceWidth/2) - (videoWidth/2)}
-- Vertical Offset: ${(sourceY + sourceHeight/2) - (videoHeight/2)}
-
-===============================================
-`;
 
-        this.debugOutput.push(debugInfo);
+    async renderDetailMapToCanvas(currentImage) {
+        if (!this.detailMapCanvas || !currentImage || !currentImage.lat || !currentImage.lon) return;
         
-        // Update debug panel
-        this.debugPanel.textContent = this.debugOutput.join('\n');
-        
-        // Mark as logged so we don't spam
-        if (this.debugOutput.length >= 2) { // Both routeMap and detailMap
-            this.debugLogged = true;
-        }
-    }
-
-    // Maps are now in iframe, so updates happen automatically via existing methods
-
-    async initializeScreenCapture() {
-        if (this.captureStream) return; // Already initialized
+        const bearing = calculateDetailBearing(this.images, this.images.indexOf(currentImage), this.lastValidBearing);
+        this.lastValidBearing = bearing;
+        this.bikeFacing = getBikeFacing(bearing, this.bikeFacing);
+        const width = this.detailMapCanvas.width;
+        const height = this.detailMapCanvas.height;
         
-        try {
-            console.log('Requesting screen capture permission...');
-            this.captureStream = await navigator.mediaDevices.getDisplayMedia({
-                video: {
-                    mediaSource: 'window'
-                }
-            });
-
-            // Create video element for capturing frames
-            this.captureVideo = document.createElement('video');
-            this.captureVideo.srcObject = this.captureStream;
-            this.captureVideo.play();
-            
-            // Wait for video to be ready
-            await new Promise((resolve) => {
-                this.captureVideo.addEventListener('loadedmetadata', resolve);
-            });
-            
-            console.log('Screen capture initialized');
-        } catch (error) {
-            console.warn('Screen capture initialization failed:', error);
-            this.captureStream = null;
-            this.captureVideo = null;
-        }
-    }
-
-    async captureIframeToCanvas() {
-        // Initialize screen capture if not already done
-        if (!this.captureStream) {
-            await this.initializeScreenCapture();
-        }
+        const params = new URLSearchParams({
+            lat: currentImage.lat,
+            lon: currentImage.lon,
+            zoom: this.detailZoom,
+            bearing: bearing,
+            facing: this.bikeFacing,
+            w: width,
+            h: height,
+            provider: this.tileProvider
+        });
         
-        if (!this.captureVideo || !this.mapPopup) {
-            // Fallback: create placeholder canvas
-            const canvas = document.createElement('canvas');
-            canvas.width = 800;
-            canvas.height = 500;
-            const ctx = canvas.getContext('2d');
-            ctx.fillStyle = '#e5e3df';
-            ctx.fillRect(0, 0, 800, 500);
-            ctx.fillStyle = '#666';
-            ctx.font = '24px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('Maps (Screen Capture Required)', 400, 250);
-            return canvas;
-        }
-
         try {
-            // Get the actual video dimensions from the capture stream
-            const videoWidth = this.captureVideo.videoWidth;
-            const videoHeight = this.captureVideo.videoHeight;
-            
-            // Get device pixel ratio for both windows
-            const mainPixelRatio = window.devicePixelRatio || 1;
-            const popupPixelRatio = this.mapPopup.devicePixelRatio || 1;
-            
-            // Get the popup window's dimensions
-            const popupInnerWidth = this.mapPopup.innerWidth;
-            const popupInnerHeight = this.mapPopup.innerHeight;
-            const popupOuterWidth = this.mapPopup.outerWidth;
-            const popupOuterHeight = this.mapPopup.outerHeight;
-            
-            console.log('Screen capture dimensions:', {
-                video: [videoWidth, videoHeight],
-                popupInner: [popupInnerWidth, popupInnerHeight],
-                popupOuter: [popupOuterWidth, popupOuterHeight],
-                decorations: [popupOuterWidth - popupInnerWidth, popupOuterHeight - popupInnerHeight],
-                devicePixelRatios: { main: mainPixelRatio, popup: popupPixelRatio }
-            });
-            
-            // Get the map container bounds within the popup
-            let mapContainerBounds = null;
-            try {
-                const mapContainer = this.mapPopup.document.querySelector('.map-previews');
-                if (mapContainer) {
-                    mapContainerBounds = mapContainer.getBoundingClientRect();
-                    console.log('Map container bounds relative to viewport:', mapContainerBounds);
-                }
-            } catch (e) {
-                console.warn('Could not get map container bounds:', e);
-            }
-            
-            const canvas = document.createElement('canvas');
-            canvas.width = 800;
-            canvas.height = 500;
-            const ctx = canvas.getContext('2d');
-            
-            // Calculate the actual scale between video and window
-            // Don't assume pixel ratio - calculate it directly
-            const actualScaleX = videoWidth / popupOuterWidth;
-            const actualScaleY = videoHeight / popupOuterHeight;
-            
-            console.log('Scale calculation:', {
-                videoSize: [videoWidth, videoHeight],
-                windowOuter: [popupOuterWidth, popupOuterHeight],
-                windowInner: [popupInnerWidth, popupInnerHeight],
-                actualScale: [actualScaleX, actualScaleY],
-                devicePixelRatios: { main: mainPixelRatio, popup: popupPixelRatio }
-            });
-            
-            // Calculate window decoration sizes
-            const decorationHeight = popupOuterHeight - popupInnerHeight;
-            const decorationWidth = popupOuterWidth - popupInnerWidth;
-            
-            // Default crop area - will be refined based on what we detect
-            let sourceX = 0;
-            let sourceY = 0;
-            let sourceWidth = videoWidth;
-            let sourceHeight = videoHeight;
-            
-            if (mapContainerBounds) {
-                console.log('Container bounds in popup:', {
-                    left: mapContainerBounds.left,
-                    top: mapContainerBounds.top,  
-                    width: mapContainerBounds.width,
-                    height: mapContainerBounds.height,
-                    windowInner: [popupInnerWidth, popupInnerHeight]
-                });
-                
-                // The most reliable approach: use the ratio of video to window inner dimensions
-                // This works regardless of DPI scaling
-                const scaleX = videoWidth / popupInnerWidth;
-                const scaleY = videoHeight / popupInnerHeight;
-                
-                // Try direct mapping first (assumes video captures content area)
-                sourceX = mapContainerBounds.left * scaleX;
-                sourceY = mapContainerBounds.top * scaleY;
-                sourceWidth = mapContainerBounds.width * scaleX;
-                sourceHeight = mapContainerBounds.height * scaleY;
-                
-                // Check if we're capturing the whole window (with decorations) by comparing aspect ratios
-                const videoAspect = videoWidth / videoHeight;
-                const innerAspect = popupInnerWidth / popupInnerHeight;
-                const outerAspect = popupOuterWidth / popupOuterHeight;
-                
-                const matchesInner = Math.abs(videoAspect - innerAspect) < 0.05;
-                const matchesOuter = Math.abs(videoAspect - outerAspect) < 0.05;
-                
-                // If aspect ratio matches outer better than inner, we have decorations
-                if (!matchesInner && matchesOuter) {
-                    // Recalculate with outer dimensions and decoration offset
-                    const outerScaleX = videoWidth / popupOuterWidth;
-                    const outerScaleY = videoHeight / popupOuterHeight;
-                    
-                    sourceX = mapContainerBounds.left * outerScaleX;
-                    sourceY = (mapContainerBounds.top + decorationHeight) * outerScaleY;
-                    sourceWidth = mapContainerBounds.width * outerScaleX;
-                    sourceHeight = mapContainerBounds.height * outerScaleY;
-                    
-                    console.log('Using outer window scaling (includes decorations)');
-                } else {
-                    console.log('Using inner window scaling (content only)');
-                }
-                
-                console.log('Scaling calculation:', {
-                    scale: [scaleX, scaleY],
-                    videoAspect,
-                    innerAspect,
-                    outerAspect,
-                    matchesInner,
-                    matchesOuter,
-                    source: { x: sourceX, y: sourceY, w: sourceWidth, h: sourceHeight }
-                });
-                
-                // Ensure we stay within video bounds
-                sourceX = Math.max(0, Math.min(sourceX, videoWidth - 1));
-                sourceY = Math.max(0, Math.min(sourceY, videoHeight - 1));
-                sourceWidth = Math.min(sourceWidth, videoWidth - sourceX);
-                sourceHeight = Math.min(sourceHeight, videoHeight - sourceY);
-            }
-            
-            console.log('Final crop area:', { 
-                sourceX, sourceY, sourceWidth, sourceHeight,
-                actualScale: [actualScaleX, actualScaleY],
-                decorations: [decorationWidth, decorationHeight]
+            const mapImage = new Image();
+            await new Promise((resolve, reject) => {
+                mapImage.onload = resolve;
+                mapImage.onerror = reject;
+                mapImage.src = `/api/map/detail?${params}`;
             });
             
-            // Capture and crop the video frame
-            ctx.drawImage(
-                this.captureVideo, 
-                sourceX, sourceY, sourceWidth, sourceHeight,  // Source rectangle (what to crop)
-                0, 0, canvas.width, canvas.height              // Destination rectangle (scale to fit)
-            );
-            
-            // Add debug overlay if debug mode is enabled
-            if (this.debugMapCapture) {
-                // Draw the full video scaled down in corner for reference
-                const debugScale = 0.2;
-                const debugWidth = videoWidth * debugScale;
-                const debugHeight = videoHeight * debugScale;
-                
-                ctx.globalAlpha = 0.8;
-                ctx.fillStyle = 'white';
-                ctx.fillRect(0, 0, debugWidth + 10, debugHeight + 10);
-                
-                // Draw full video
-                ctx.drawImage(this.captureVideo, 0, 0, debugWidth, debugHeight);
-                
-                // Draw red rectangle showing what we cropped
-                ctx.strokeStyle = 'red';
-                ctx.lineWidth = 2;
-                ctx.strokeRect(
-                    sourceX * debugScale,
-                    sourceY * debugScale,
-                    sourceWidth * debugScale,
-                    sourceHeight * debugScale
-                );
-                
-                ctx.globalAlpha = 1;
-                
-                // Add text info
-                ctx.fillStyle = 'black';
-                ctx.font = '10px monospace';
-                ctx.fillText(`Video: ${videoWidth}x${videoHeight}`, 5, debugHeight + 20);
-                ctx.fillText(`Crop: ${Math.round(sourceX)},${Math.round(sourceY)} ${Math.round(sourceWidth)}x${Math.round(sourceHeight)}`, 5, debugHeight + 32);
-                ctx.fillText(`Scale: ${actualScaleX.toFixed(2)}x${actualScaleY.toFixed(2)}`, 5, debugHeight + 44);
-            }
+            const detailCtx = this.detailMapCanvas.getContext('2d');
+            detailCtx.clearRect(0, 0, width, height);
+            detailCtx.drawImage(mapImage, 0, 0, width, height);
             
-            return canvas;
+            // Apply transparent gradient around edges
+            applyFadeToCanvas(detailCtx, width, height);
         } catch (error) {
-            console.warn('Frame capture failed:', error);
-            // Return fallback canvas
-            const canvas = document.createElement('canvas');
-            canvas.width = 800;
-            canvas.height = 500;
-            const ctx = canvas.getContext('2d');
-            ctx.fillStyle = '#e5e3df';
-            ctx.fillRect(0, 0, 800, 500);
-            return canvas;
-        }
-    }
-
-    stopScreenCapture() {
-        if (this.captureStream) {
-            this.captureStream.getTracks().forEach(track => {
-                track.stop();
-                console.log(`Stopped track: ${track.kind}, state: ${track.readyState}`);
-            });
-            this.captureStream = null;
-        }
-        
-        if (this.captureVideo) {
-            this.captureVideo.srcObject = null;
-            this.captureVideo.pause();
-            this.captureVideo.removeAttribute('src');
-            this.captureVideo.load();
-            this.captureVideo = null;
+            console.error('Error rendering detail map:', error);
+            const detailCtx = this.detailMapCanvas.getContext('2d');
+            detailCtx.fillStyle = '#e5e3df';
+            detailCtx.fillRect(0, 0, width, height);
         }
-        
-        console.log('Screen capture stopped and cleaned up');
     }
-
-    drawAltitudeChart(pos, width, height, currentIndex) {
-        if (!this.images.length || this.altitudeRange.max === 0) return;
-        
-        // Better margins for the wider, shorter rectangle
-        const chartWidth = width - 80;
-        const chartHeight = height - 50;
-        const chartX = pos.x + 60; // More left margin for labels
-        const chartY = pos.y + 30;
-        
-        const altRange = this.altitudeRange.max - this.altitudeRange.min || 1;
-        const currentAlt = this.images[currentIndex]?.alt || 0;
-        
-        // Convert altitude range to selected unit for display
-        const displayedAltRange = getAltitudeInUnit(this.altitudeRange.max, this.altitudeUnit) - getAltitudeInUnit(this.altitudeRange.min, this.altitudeUnit);
-        
-        // Create 20 smoothed segments with averaged altitudes
-        const segments = 20;
-        const segmentSize = Math.ceil(this.images.length / segments);
-        const smoothedAltitudes = [];
-        
-        for (let seg = 0; seg < segments; seg++) {
-            const startIdx = seg * segmentSize;
-            const endIdx = Math.min(startIdx + segmentSize, this.images.length);
-            
-            // Calculate average altitude for this segment
-            let altSum = 0;
-            let altCount = 0;
-            
-            for (let i = startIdx; i < endIdx; i++) {
-                const alt = this.images[i]?.alt || 0;
-                if (alt > 0) {
-                    altSum += alt;
-                    altCount++;
-                }
-            }
-            
-            if (altCount > 0) {
-                smoothedAltitudes.push(altSum / altCount);
-            }
-        }
-        
-        // Draw smooth altitude line chart with averaged segments
-        this.ctx.strokeStyle = 'rgba(52, 152, 219, 0.8)';
-        this.ctx.lineWidth = 3;
-        this.ctx.beginPath();
-        
-        // Also fill area under the curve
-        this.ctx.fillStyle = 'rgba(52, 152, 219, 0.2)';
-        const fillPath = new Path2D();
-        
-        let firstPoint = true;
-        smoothedAltitudes.forEach((alt, segmentIndex) => {
-            // Relative altitude: 0 = min altitude, max = total elevation gain
-            const relativeAlt = alt - this.altitudeRange.min;
-            const normalizedHeight = (relativeAlt / altRange) * chartHeight;
-            const x = chartX + (segmentIndex / (segments - 1)) * chartWidth;
-            const y = chartY + chartHeight - normalizedHeight;
-            
-            if (firstPoint) {
-                this.ctx.moveTo(x, y);
-                fillPath.moveTo(x, chartY + chartHeight);
-                fillPath.lineTo(x, y);
-                firstPoint = false;
-            } else {
-                this.ctx.lineTo(x, y);
-                fillPath.lineTo(x, y);
-            }
-        });
-        
-        // Complete fill path
-        if (!firstPoint) {
-            const lastX = chartX + chartWidth;
-            fillPath.lineTo(lastX, chartY + chartHeight);
-            fillPath.closePath();
-            
-            // Draw fill and stroke
-            this.ctx.fill(fillPath);
-            this.ctx.stroke();
-        }
-        
-        // Draw bike marker at current position following the smoothed curve
-        if (currentAlt > 0 && smoothedAltitudes.length > 0) {
-            // Find which smoothed segment the current index falls into
-            const progressThroughData = currentIndex / this.images.length;
-            const segmentFloat = progressThroughData * (segments - 1);
-            const segmentIndex = Math.min(Math.floor(segmentFloat), smoothedAltitudes.length - 1);
-            
-            // Interpolate between segments for smooth bike movement
-            let smoothedAlt;
-            if (segmentIndex < smoothedAltitudes.length - 1) {
-                const t = segmentFloat - segmentIndex;
-                const alt1 = smoothedAltitudes[segmentIndex];
-                const alt2 = smoothedAltitudes[segmentIndex + 1];
-                smoothedAlt = alt1 + (alt2 - alt1) * t;
-            } else {
-                smoothedAlt = smoothedAltitudes[segmentIndex];
-            }
-            
-            // Position bike marker on smoothed curve
-            const markerX = chartX + progressThroughData * chartWidth;
-            const relativeSmoothedAlt = smoothedAlt - this.altitudeRange.min;
-            const markerHeight = (relativeSmoothedAlt / altRange) * chartHeight;
-            const markerY = chartY + chartHeight - markerHeight;
-            
-            // Draw bike icon without tilt (looks better)
-            this.drawBikeIconAtPosition(markerX, markerY);
-        }
-        
-        // Labels with larger font - show relative altitude in selected unit
-        this.ctx.fillStyle = '#fff';
-        this.ctx.font = `${Math.floor(this.canvas.width / 80)}px Arial`; // Larger font for labels
-        
-        // Total elevation gain (top)
-        this.ctx.fillText(`${displayedAltRange}${getUnitLabel(this.altitudeUnit)}`, pos.x + 15, pos.y + 40);
-        
-        // Base level (bottom)  
-        this.ctx.fillText(`0`, pos.x + 15, pos.y + height - 20);
-    }
-
+    
     drawBikeIcon(x, y) {
         this.ctx.fillStyle = '#f39c12';
         this.ctx.beginPath();
@@ -2130,107 +1500,6 @@ CROP COORDINATES:
         this.ctx.textAlign = 'left';
     }
 
-    drawBikeIconAtPosition(x, y) {
-        if (!this.bikeIcon) return;
-        
-        // Scale the icon size based on canvas resolution
-        const iconSize = Math.floor(this.canvas.width / 35); // Much larger size
-        
-        // Draw glowing green outline
-        this.ctx.shadowColor = '#00ff00';
-        this.ctx.shadowBlur = 8;
-        this.ctx.shadowOffsetX = 0;
-        this.ctx.shadowOffsetY = 0;
-        
-        // Draw the bike icon with bottom center at position
-        this.ctx.drawImage(
-            this.bikeIcon, 
-            x - iconSize/2, 
-            y - iconSize, 
-            iconSize, 
-            iconSize
-        );
-        
-        // Reset shadow
-        this.ctx.shadowColor = 'transparent';
-        this.ctx.shadowBlur = 0;
-    }
-
-    drawDateTime(timestamp) {
-        if (!timestamp) return;
-        
-        // Create date object from timestamp
-        const date = new Date(timestamp);
-        
-        // Format: dd-MMM-yyyy hh:mm am/pm TZ
-        const day = date.getDate().toString().padStart(2, '0');
-        const month = date.toLocaleDateString('en-US', { month: 'short' });
-        const year = date.getFullYear();
-        
-        let hours = date.getHours();
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        const ampm = hours >= 12 ? 'pm' : 'am';
-        
-        // Convert to 12-hour format
-        if (hours === 0) hours = 12;
-        else if (hours > 12) hours = hours - 12;
-        
-        const dateTimeString = `${day}-${month}-${year} ${hours}:${minutes} ${ampm}`;
-        
-        // Set up text styling
-        const fontSize = Math.floor(this.canvas.width / 40); // Double the font size
-        this.ctx.font = `${fontSize}px Arial`;
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.strokeStyle = '#000000';
-        this.ctx.lineWidth = 2;
-        
-        // Position in bottom left corner with padding
-        const x = 20;
-        const y = this.canvas.height - 20;
-        
-        // Draw text with black outline for visibility
-        this.ctx.strokeText(dateTimeString, x, y);
-        this.ctx.fillText(dateTimeString, x, y);
-    }
-
-    drawSpeed(speedMPS) {
-        if (!speedMPS && speedMPS !== 0) return;
-        
-        // Convert speed based on altitude unit preference
-        let speed, units;
-        if (this.altitudeUnit === 'ft') {
-            // Convert m/s to mph: multiply by 2.237
-            speed = speedMPS * 2.237;
-            units = 'mph';
-        } else {
-            // Convert m/s to km/h: multiply by 3.6
-            speed = speedMPS * 3.6;
-            units = 'km/h';
-        }
-        
-        // Format speed to 1 decimal place
-        const speedString = `bike ${speed.toFixed(1)} ${units}`;
-        
-        // Set up text styling (same size as date/time)
-        const fontSize = Math.floor(this.canvas.width / 40);
-        this.ctx.font = `${fontSize}px Arial`;
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.strokeStyle = '#000000';
-        this.ctx.lineWidth = 2;
-        
-        // Measure text width for right alignment
-        const textMetrics = this.ctx.measureText(speedString);
-        const textWidth = textMetrics.width;
-        
-        // Position in bottom right corner with padding
-        const x = this.canvas.width - textWidth - 20;
-        const y = this.canvas.height - 20;
-        
-        // Draw text with black outline for visibility
-        this.ctx.strokeText(speedString, x, y);
-        this.ctx.fillText(speedString, x, y);
-    }
-
     applyPrivacyBlurring(detectionResult, img) {
         // Scale factors to convert from detection coordinates to main canvas
         const scaleX = this.canvas.width / img.width;
@@ -2546,6 +1815,7 @@ CROP COORDINATES:
             }
         } catch (error) {
             console.error('Upload error:', error);
+            this.reportFailure(timestamp, error);
         }
     }
 
@@ -2569,9 +1839,90 @@ CROP COORDINATES:
             statusElement.style.display = 'block';
         }
         
-        // Clean up screen capture
-        this.stopScreenCapture();
+        // Assemble the JPEG frames into a video on the server
+        if (this.outputFormat === 'jpeg' && this.videoWhenDone) {
+            this.startVideoJob();
+        }
+    }
+
+    // Video Job Methods
+    async startVideoJob() {
+        if (!this.currentSession) return;
+        
+        try {
+            const response = await fetch(`/api/video/${this.currentSession}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    codec: this.videoCodec,
+                    size: this.videoSize,
+                    timing: this.videoTiming,
+                    speed: this.videoSpeed,
+                    // Real-time videos leave out the time spent in trimmed stops
+                    stops: this.getTrimmedStops().map(({ start, end }) => ({ start, end }))
+                })
+            });
+            const job = await response.json();
+            if (!response.ok) {
+                throw new Error(job.error || `HTTP ${response.status}`);
+            }
+            
+            this.videoJobId = job.id;
+            hideElement('videoDownload');
+            showElement('cancelVideoBtn');
+            showElement('videoJob');
+            this.updateVideoJob(job);
+            
+            clearInterval(this.videoJobTimer);
+            this.videoJobTimer = setInterval(() => this.pollVideoJob(), 1000);
+        } catch (error) {
+            console.error('Failed to start video:', error);
+            alert(`Could not start the video: ${error.message}`);
+        }
+    }
+
+    async pollVideoJob() {
+        try {
+            const response = await fetch(`/api/video/jobs/${this.videoJobId}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.updateVideoJob(await response.json());
+        } catch (error) {
+            console.warn('Failed to get video job status:', error);
+            clearInterval(this.videoJobTimer);
+        }
+    }
+
+    updateVideoJob(job) {
+        getElementById('videoJobFill').style.width = `${Math.round(job.progress * 100)}%`;
+        
+        if (job.status === 'running') {
+            setElementText('videoJobText', `Making video: ${job.frame}/${job.totalFrames} frames (${Math.round(job.progress * 100)}%)`);
+            return;
+        }
         
+        clearInterval(this.videoJobTimer);
+        hideElement('cancelVideoBtn');
+        
+        if (job.status === 'done') {
+            setElementText('videoJobText', `Video ready: ${job.file}`);
+            getElementById('videoDownload').href = `/api/videos/${job.file}`;
+            showElement('videoDownload');
+        } else if (job.status === 'cancelled') {
+            setElementText('videoJobText', 'Video cancelled');
+        } else {
+            setElementText('videoJobText', `Video failed: ${job.error}`);
+        }
+    }
+
+    async cancelVideoJob() {
+        if (!this.videoJobId) return;
+        
+        try {
+            const response = await fetch(`/api/video/jobs/${this.videoJobId}`, { method: 'DELETE' });
+            this.updateVideoJob(await response.json());
+        } catch (error) {
+            console.error('Failed to cancel video:', error);
+        }
     }
 
     // Cache Management Methods
@@ -2596,8 +1947,34 @@ CROP COORDINATES:
                     html += `<p>&nbsp;&nbsp;Zoom ${zoom}: ${level.tiles} tiles (${level.sizeHuman})</p>`;
                 }
                 
-                if (sortedZooms.length === 0) {
+                if (stats.totalTiles === 0) {
                     html += '<p>No cached tiles found.</p>';
+                } else {
+                    html += '<p><strong>Map Styles:</strong></p>';
+                    for (const [provider, providerStats] of Object.entries(stats.providers)) {
+                        html += `<p>&nbsp;&nbsp;${provider}: ${providerStats.tiles} tiles (${providerStats.sizeHuman})</p>`;
+                    }
+                    for (const [provider, archive] of Object.entries(stats.archives)) {
+                        html += `<p>&nbsp;&nbsp;${provider} (${archive.format}): ${archive.tiles.toLocaleString()} tiles (${archive.sizeHuman})</p>`;
+                    }
+                }
+                
+                if (stats.ages) {
+                    html += '<p><strong>Tile Age:</strong></p>';
+                    for (const [label, bucket] of Object.entries(stats.ages)) {
+                        if (bucket.tiles > 0) html += `<p>&nbsp;&nbsp;${label}: ${bucket.tiles} tiles (${bucket.sizeHuman})</p>`;
+                    }
+                    
+                    const limits = [
+                        stats.limits.maxSizeHuman ? `max ${stats.limits.maxSizeHuman}` : null,
+                        stats.limits.maxAgeDays ? `max ${stats.limits.maxAgeDays} days old` : null
+                    ].filter(Boolean).join(', ') || 'no limits';
+                    const pending = stats.pendingEvictions;
+                    html += `<p><strong>Eviction:</strong> ${limits}; ${pending.tiles} tiles (${pending.sizeHuman}) pending`;
+                    if (stats.lastEviction) {
+                        html += `, last run ${new Date(stats.lastEviction.at).toLocaleTimeString()} freed ${stats.lastEviction.freedHuman}`;
+                    }
+                    html += '</p>';
                 }
                 
                 cacheStatsDiv.innerHTML = html;
@@ -2661,27 +2038,152 @@ CROP COORDINATES:
         bounds.east += lonPadding;
         bounds.west -= lonPadding;
         
+        // Corridor mode fetches the box for the overview map and only the route's
+        // surroundings at the detail map's zoom
+        const options = this.preloadCorridor > 0
+            ? {
+                bounds,
+                minZoom: 10,
+                maxZoom: 14,
+                provider: this.tileProvider,
+                mode: 'corridor',
+                route: gpsImages.map(img => [img.lat, img.lon]),
+                radius: this.preloadCorridor,
+                detailZoom: this.detailZoom
+            }
+            : {
+                bounds,
+                minZoom: 10,
+                maxZoom: 16,
+                provider: this.tileProvider
+            };
+        
         try {
+            const estimateResponse = await fetch('/api/cache/preload/estimate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(options)
+            });
+            const estimate = await estimateResponse.json();
+            if (!estimateResponse.ok) {
+                throw new Error(estimate.error || `HTTP ${estimateResponse.status}`);
+            }
+            
+            const comparison = estimate.mode === 'corridor'
+                ? ` (${estimate.boundingBoxTiles.toLocaleString()} for the whole bounding box)`
+                : '';
+            const question = `Preload up to ${estimate.tiles.toLocaleString()} ${estimate.provider} tiles${comparison}? ` +
+                `This takes about ${formatTimeEstimate(estimate.seconds * 1000)} if none are cached yet.`;
+            if (!confirm(question)) return;
+            
             const response = await fetch('/api/cache/preload', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    bounds,
-                    minZoom: 10,
-                    maxZoom: 16
-                })
+                body: JSON.stringify(options)
             });
             
-            const result = await response.json();
-            alert(`Preload started! Check the console for progress. ${result.message}`);
+            const job = await response.json();
+            if (!response.ok) {
+                throw new Error(job.error || `HTTP ${response.status}`);
+            }
             
-            // Refresh stats after a delay to show progress
-            setTimeout(() => this.loadCacheStats(), 2000);
+            this.watchPreloadJob(job);
         } catch (error) {
             console.error('Failed to start preload:', error);
-            alert('Failed to start preload');
+            alert(`Could not start the preload: ${error.message}`);
+        }
+    }
+
+    // Show an unfinished preload from before the page was loaded (it keeps running on the server)
+    async loadPreloadJobs() {
+        try {
+            const response = await fetch('/api/cache/jobs');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const jobs = await response.json();
+            const job = jobs.find(j => ['running', 'queued', 'paused'].includes(j.status));
+            if (job) this.watchPreloadJob(job);
+        } catch (error) {
+            console.warn('Failed to load preload jobs:', error);
+        }
+    }
+
+    watchPreloadJob(job) {
+        this.preloadJobId = job.id;
+        showElement('preloadJob');
+        this.updatePreloadJob(job);
+        
+        clearInterval(this.preloadJobTimer);
+        this.preloadJobTimer = setInterval(() => this.pollPreloadJob(), 1000);
+    }
+
+    async pollPreloadJob() {
+        try {
+            const response = await fetch(`/api/cache/jobs/${this.preloadJobId}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.updatePreloadJob(await response.json());
+        } catch (error) {
+            console.warn('Failed to get preload job status:', error);
+            clearInterval(this.preloadJobTimer);
+        }
+    }
+
+    updatePreloadJob(job) {
+        const percent = Math.round(job.progress * 100);
+        const counts = `${job.next}/${job.total} tiles (${percent}%)`;
+        getElementById('preloadJobFill').style.width = `${percent}%`;
+        
+        const active = job.status === 'running' || job.status === 'queued';
+        const resumable = job.status === 'paused' || job.status === 'failed';
+        getElementById('pausePreloadBtn').style.display = active ? '' : 'none';
+        getElementById('resumePreloadBtn').style.display = resumable ? '' : 'none';
+        getElementById('cancelPreloadBtn').style.display = active || job.status === 'paused' ? '' : 'none';
+        
+        if (job.status === 'running') {
+            setElementText('preloadJobText', `Preloading ${job.provider}: ${counts}`);
+            return;
+        }
+        if (job.status === 'queued') {
+            setElementText('preloadJobText', `Preload waiting for another job: ${counts}`);
+            return;
+        }
+        
+        // Paused and finished jobs don't change until a button is pressed
+        clearInterval(this.preloadJobTimer);
+        
+        if (job.status === 'paused') {
+            setElementText('preloadJobText', `Preload paused: ${counts}`);
+        } else if (job.status === 'done') {
+            setElementText('preloadJobText', `Preload done: ${job.loaded} fetched, ${job.cached} already cached, ${job.failed} failed`);
+            this.loadCacheStats();
+        } else if (job.status === 'cancelled') {
+            setElementText('preloadJobText', `Preload cancelled: ${counts}`);
+            this.loadCacheStats();
+        } else {
+            setElementText('preloadJobText', `Preload failed: ${job.error}`);
+        }
+    }
+
+    // Pause, resume or cancel the preload job shown in the cache panel
+    async preloadJobAction(action) {
+        if (!this.preloadJobId) return;
+        
+        try {
+            const url = `/api/cache/jobs/${this.preloadJobId}`;
+            const response = action === 'cancel'
+                ? await fetch(url, { method: 'DELETE' })
+                : await fetch(`${url}/${action}`, { method: 'POST' });
+            const job = await response.json();
+            if (!response.ok) throw new Error(job.error || `HTTP ${response.status}`);
+            
+            if (action === 'resume') {
+                this.watchPreloadJob(job);
+            } else {
+                this.updatePreloadJob(job);
+            }
+        } catch (error) {
+            console.error(`Failed to ${action} preload:`, error);
         }
     }
 }
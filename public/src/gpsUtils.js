@@ -65,4 +65,214 @@ export function calculateTotalDistance(points) {
     }
     
     return totalDistance;
-}
\ No newline at end of file
+}
+
+/**
+ * East or west bike icon for a heading
+ * Within the north (355-5°) and south (175-185°) deadbands the previous facing is kept,
+ * so a rider heading roughly north doesn't flip the icon every frame
+ * @param {number} bearing - Heading in degrees
+ * @param {string} previousFacing - 'east' or 'west', the facing of the previous frame
+ * @returns {string} 'east' or 'west'
+ */
+export function getBikeFacing(bearing, previousFacing = 'east') {
+    if (bearing === null || bearing === undefined || isNaN(bearing)) return previousFacing;
+    
+    const normalized = ((bearing % 360) + 360) % 360;
+    if (normalized > 5 && normalized < 175) return 'east';
+    if (normalized > 185 && normalized < 355) return 'west';
+    return previousFacing;
+}
+
+/**
+ * Calculate the heading used for the detail map marker at a frame
+ * Looks ~45 frames ahead while moving, otherwise keeps the previous heading
+ * @param {Array} images - Session images with lat/lon/speed/compass
+ * @param {number} index - Index of the current image
+ * @param {number} lastValidBearing - Heading used for the previous frame
+ * @returns {number} Bearing in degrees (0-360)
+ */
+export function calculateDetailBearing(images, index, lastValidBearing = 90) {
+    const currentImage = images[index];
+    
+    if (index === 0) {
+        // First frame: use its compass
+        if (currentImage.compass !== null && currentImage.compass !== undefined) {
+            return currentImage.compass;
+        }
+        return 90; // fallback
+    }
+    
+    // Subsequent frames: check velocity and find next GPS-significant frame
+    const speedMPS = currentImage.speed || 0;
+    const MIN_SPEED_MPS = 1.39; // 5 km/h = 1.39 m/s
+    
+    if (speedMPS > MIN_SPEED_MPS) {
+        // Jump ahead ~45 frames (assuming 30fps, ~1.5 seconds)
+        const nextImage = images[index + 45];
+        
+        if (nextImage && nextImage.lat && nextImage.lon) {
+            return calculateBearing(currentImage.lat, currentImage.lon, nextImage.lat, nextImage.lon);
+        }
+    }
+    
+    return lastValidBearing || 90;
+}
+
+/**
+ * Cumulative distance along the route at every image
+ * Images without GPS keep the distance of the last fix before them
+ * @param {Array} images - Array of objects with lat and lon properties
+ * @returns {Array<number>} Distance from the start in meters, one entry per image
+ */
+export function calculateCumulativeDistances(images) {
+    const distances = [];
+    let total = 0;
+    let lastFix = null;
+    
+    for (const image of images) {
+        if (image.lat && image.lon) {
+            if (lastFix) {
+                total += calculateDistance(lastFix.lat, lastFix.lon, image.lat, image.lon);
+            }
+            lastFix = image;
+        }
+        distances.push(total);
+    }
+    
+    return distances;
+}
+
+/**
+ * Speed at an image in m/s: the recorded speed, or the distance from the previous image over the time between them
+ * @param {Array} images - Session images with lat/lon/speed/timestamp
+ * @param {Array<number>} distances - Cumulative distances from calculateCumulativeDistances
+ * @param {number} index - Index of the image
+ * @returns {number|null} Speed in m/s, or null when it can't be worked out
+ */
+function getImageSpeed(images, distances, index) {
+    const speed = parseFloat(images[index].speed);
+    if (Number.isFinite(speed)) return speed;
+    
+    // First image uses the segment to the next one
+    const from = index > 0 ? index - 1 : index;
+    const to = index > 0 ? index : index + 1;
+    if (!images[to]) return null;
+    
+    const seconds = (images[to].timestamp - images[from].timestamp) / 1000;
+    return seconds > 0 ? (distances[to] - distances[from]) / seconds : null;
+}
+
+/**
+ * Pick frames at equal distance steps along the route for a hyperlapse
+ * Images without GPS or slower than minSpeed are dropped. When more than maxFrames
+ * remain the step is stretched to cover the route, and any excess is thinned evenly.
+ * @param {Array} images - Session images with lat/lon/speed/timestamp
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.step=5] - Distance between frames in meters
+ * @param {number} [options.minSpeed=0] - Drop frames slower than this, in m/s
+ * @param {number} [options.maxFrames=0] - Most frames to return (0 for no limit)
+ * @returns {Array<number>} Indices of the selected images in order
+ */
+export function selectFramesByDistance(images, { step = 5, minSpeed = 0, maxFrames = 0 } = {}) {
+    const distances = calculateCumulativeDistances(images);
+    const candidates = [];
+    
+    images.forEach((image, index) => {
+        if (!image.lat || !image.lon) return;
+        if (minSpeed > 0) {
+            const speed = getImageSpeed(images, distances, index);
+            if (speed === null || speed < minSpeed) return;
+        }
+        candidates.push(index);
+    });
+    
+    if (candidates.length === 0) return [];
+    
+    const pickEvery = (stepSize) => {
+        const selected = [];
+        let nextDistance = -Infinity;
+        for (const index of candidates) {
+            if (distances[index] >= nextDistance) {
+                selected.push(index);
+                // Snap to the step grid so overshoot doesn't accumulate
+                nextDistance = (Math.floor(distances[index] / stepSize) + 1) * stepSize;
+            }
+        }
+        return selected;
+    };
+    
+    let selected = pickEvery(Math.max(step, 0.01));
+    
+    if (maxFrames > 0 && selected.length > maxFrames) {
+        const routeLength = distances[candidates[candidates.length - 1]] - distances[candidates[0]];
+        selected = pickEvery(Math.max(step, routeLength / maxFrames));
+        
+        if (selected.length > maxFrames) {
+            selected = pickEvenly(selected, maxFrames);
+        }
+    }
+    
+    return selected;
+}
+
+/**
+ * Evenly spaced entries of a list, keeping the first and last
+ * @param {Array} items - List to thin out
+ * @param {number} count - Number of entries to keep
+ * @returns {Array} At most count entries in their original order
+ */
+function pickEvenly(items, count) {
+    if (items.length <= count) return items;
+    if (count <= 0) return [];
+    
+    const picked = [];
+    for (let i = 0; i < count; i++) {
+        picked.push(items[Math.round(i * (items.length - 1) / Math.max(count - 1, 1))]);
+    }
+    return picked;
+}
+
+/**
+ * Remove stationary segments from a frame selection
+ * Frames taken while stopped are dropped ('skip') or thinned to a short time-lapse ('compress').
+ * The first and last frame of each stop are kept so arriving and leaving stay in the video.
+ * @param {Array} images - Session images with timestamps
+ * @param {Array<number>} frames - Selected image indices in order
+ * @param {Array} stops - Segments with start/end timestamps, from /api/session/:name/stops
+ * @param {Object} [options] - Trimming options
+ * @param {string} [options.mode='skip'] - 'skip' or 'compress'
+ * @param {number} [options.compressFrames=30] - Frames kept inside each compressed stop
+ * @returns {Array<number>} Remaining image indices in order
+ */
+export function trimStops(images, frames, stops, { mode = 'skip', compressFrames = 30 } = {}) {
+    if (!stops || stops.length === 0) return frames;
+    
+    const trimmed = [];
+    let stopFrames = [];
+    let currentStop = null;
+    
+    const flushStop = () => {
+        if (mode === 'compress') trimmed.push(...pickEvenly(stopFrames, compressFrames));
+        stopFrames = [];
+    };
+    
+    for (const index of frames) {
+        const timestamp = images[index].timestamp;
+        const stop = stops.find(s => timestamp > s.start && timestamp < s.end) || null;
+        
+        if (stop !== currentStop) {
+            flushStop();
+            currentStop = stop;
+        }
+        
+        if (stop) {
+            stopFrames.push(index);
+        } else {
+            trimmed.push(index);
+        }
+    }
+    flushStop();
+    
+    return trimmed;
+}
@@ -0,0 +1,98 @@
+/**
+ * Overlay layout template utilities
+ *
+ * A layout (layouts/*.json) is a list of widgets drawn in order on each frame:
+ * { name, margin, widgets: [{ type, enabled, anchor, size, offset, margin, opacity, font, background, border }] }
+ * - anchor: 'top-left', 'top-center', 'top-right', 'center-left', 'center', ... 'bottom-right'
+ * - size: [width, height] as fractions of the frame width and height
+ * - offset: [x, y] shift from the anchored position, as fractions of the frame width and height
+ * - margin: distance from the frame edge as a fraction of the frame width (defaults to the layout margin)
+ * - font: { family, size (fraction of frame width), weight, color, outline }
+ */
+
+export const WIDGET_TYPES = ['detailMap', 'routeMap', 'altitude', 'speed', 'clock', 'distance', 'stats'];
+
+const DEFAULT_MARGIN = 0.015;
+const DEFAULT_FONT = { family: 'Arial', size: 0.025, weight: '', color: '#ffffff', outline: null };
+
+/**
+ * Split an anchor name into its vertical and horizontal parts
+ * @param {string} anchor - Anchor name (e.g. 'top-left', 'center')
+ * @returns {{vertical: string, horizontal: string}} Parts ('top'|'center'|'bottom', 'left'|'center'|'right')
+ */
+export function parseAnchor(anchor = 'top-left') {
+    if (anchor === 'center') return { vertical: 'center', horizontal: 'center' };
+    const [vertical = 'top', horizontal = 'left'] = anchor.split('-');
+    return { vertical, horizontal };
+}
+
+/**
+ * Widgets of a layout that should be drawn
+ * @param {Object} layout - Layout template
+ * @returns {Array<Object>} Enabled widgets in drawing order
+ */
+export function getEnabledWidgets(layout) {
+    if (!layout || !Array.isArray(layout.widgets)) return [];
+    return layout.widgets.filter(widget => widget.enabled !== false && WIDGET_TYPES.includes(widget.type));
+}
+
+/**
+ * First enabled widget of a type
+ * @param {Object} layout - Layout template
+ * @param {string} type - Widget type
+ * @returns {Object|null} Widget or null when the layout doesn't show it
+ */
+export function findWidget(layout, type) {
+    return getEnabledWidgets(layout).find(widget => widget.type === type) || null;
+}
+
+/**
+ * Pixel rectangle of a widget on a frame. Widgets without a size (text) get a zero-size
+ * rectangle at the anchor point, e.g. the bottom-right corner inside the margin.
+ * @param {Object} layout - Layout template
+ * @param {Object} widget - Widget from the layout
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle in pixels
+ */
+export function getWidgetRect(layout, widget, width, height) {
+    const margin = Math.floor(width * (widget.margin ?? layout.margin ?? DEFAULT_MARGIN));
+    const [sizeX = 0, sizeY = 0] = widget.size || [];
+    const [offsetX = 0, offsetY = 0] = widget.offset || [];
+    const { vertical, horizontal } = parseAnchor(widget.anchor);
+
+    const rectWidth = Math.round(sizeX * width);
+    const rectHeight = Math.round(sizeY * height);
+
+    let x = margin;
+    if (horizontal === 'center') x = (width - rectWidth) / 2;
+    else if (horizontal === 'right') x = width - rectWidth - margin;
+
+    let y = margin;
+    if (vertical === 'center') y = (height - rectHeight) / 2;
+    else if (vertical === 'bottom') y = height - rectHeight - margin;
+
+    return {
+        x: Math.round(x + offsetX * width),
+        y: Math.round(y + offsetY * height),
+        width: rectWidth,
+        height: rectHeight
+    };
+}
+
+/**
+ * Resolved font settings of a widget
+ * @param {Object} widget - Widget from the layout
+ * @param {number} width - Frame width
+ * @returns {{css: string, size: number, color: string, outline: string|null}} Canvas font string and colours
+ */
+export function getWidgetFont(widget, width) {
+    const font = { ...DEFAULT_FONT, ...widget.font };
+    const size = Math.floor(width * font.size);
+    return {
+        css: `${font.weight ? font.weight + ' ' : ''}${size}px ${font.family}`,
+        size,
+        color: font.color,
+        outline: font.outline
+    };
+}
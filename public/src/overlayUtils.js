@@ -0,0 +1,435 @@
+/**
+ * Frame overlay drawing utilities
+ *
+ * Used by both the browser processor and the headless renderer
+ * (scripts/render-session.js), so only the plain 2D canvas API is used here.
+ * Every function takes an overlay context object:
+ * { ctx, width, height, images, altitudeUnit, bikeIcon, elevationProfile }
+ * Widget positions come from a layout template (see layoutUtils.js).
+ */
+
+import { getAltitudeInUnit, getUnitLabel, formatDistance, buildElevationProfile, getProfileAltitudeAt } from './altitudeUtils.js';
+import { formatTimeEstimate } from './timeUtils.js';
+import { getEnabledWidgets, getWidgetRect, getWidgetFont, parseAnchor } from './layoutUtils.js';
+
+// End card length in frames (3 seconds at 30 fps)
+export const END_CARD_FRAMES = 90;
+
+/**
+ * Format a timestamp as dd-MMM-yyyy hh:mm am/pm in local time
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Formatted date/time string (e.g., "05-Aug-2025 2:47 pm")
+ */
+export function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = date.toLocaleDateString('en-US', { month: 'short' });
+    const year = date.getFullYear();
+
+    let hours = date.getHours();
+    const minutes = date.getMinutes().toString().padStart(2, '0');
+    const ampm = hours >= 12 ? 'pm' : 'am';
+
+    // Convert to 12-hour format
+    if (hours === 0) hours = 12;
+    else if (hours > 12) hours = hours - 12;
+
+    return `${day}-${month}-${year} ${hours}:${minutes} ${ampm}`;
+}
+
+/**
+ * Format a speed for display in the unit system of the altitude unit preference
+ * @param {number} speedMPS - Speed in meters per second
+ * @param {string} unit - Unit preference ('ft' for mph, 'm' for km/h)
+ * @returns {string} Formatted speed (e.g., "12.3 mph")
+ */
+export function formatSpeed(speedMPS, unit) {
+    // m/s to mph: multiply by 2.237, m/s to km/h: multiply by 3.6
+    return unit === 'ft'
+        ? `${(speedMPS * 2.237).toFixed(1)} mph`
+        : `${(speedMPS * 3.6).toFixed(1)} km/h`;
+}
+
+/**
+ * Draw a line of text at a widget's anchor point, aligned to the anchor
+ * @param {Object} overlay - Overlay context
+ * @param {string} text - Text to draw
+ * @param {Object} widget - Layout widget
+ * @param {Object} rect - Widget rectangle from getWidgetRect
+ */
+function drawTextWidget(overlay, text, widget, rect) {
+    const { ctx } = overlay;
+    const font = getWidgetFont(widget, overlay.width);
+    const { vertical, horizontal } = parseAnchor(widget.anchor);
+
+    ctx.font = font.css;
+    ctx.fillStyle = font.color;
+    ctx.textAlign = horizontal;
+    ctx.textBaseline = vertical === 'top' ? 'top' : vertical === 'center' ? 'middle' : 'alphabetic';
+
+    let x = rect.x;
+    if (horizontal === 'center') x += rect.width / 2;
+    else if (horizontal === 'right') x += rect.width;
+    const y = vertical === 'top' ? rect.y : vertical === 'center' ? rect.y + rect.height / 2 : rect.y + rect.height;
+
+    // Outline for visibility on bright frames
+    if (font.outline) {
+        ctx.strokeStyle = font.outline;
+        ctx.lineWidth = 2;
+        ctx.strokeText(text, x, y);
+    }
+    ctx.fillText(text, x, y);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Draw the bike icon with its bottom center at the given position
+ * @param {Object} overlay - Overlay context
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ */
+export function drawBikeIconAtPosition(overlay, x, y) {
+    if (!overlay.bikeIcon) return;
+
+    const { ctx } = overlay;
+
+    // Scale the icon size based on canvas resolution
+    const iconSize = Math.floor(overlay.width / 35);
+
+    // Draw glowing green outline
+    ctx.shadowColor = '#00ff00';
+    ctx.shadowBlur = 8;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+
+    ctx.drawImage(overlay.bikeIcon, x - iconSize/2, y - iconSize, iconSize, iconSize);
+
+    // Reset shadow
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;
+}
+
+/**
+ * Fade the edges of a canvas to transparent
+ * @param {CanvasRenderingContext2D} ctx - Context of the canvas to fade
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export function applyFadeToCanvas(ctx, width, height) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+
+    const fadeWidth = width * 0.07; // Fade zone width
+    const fadeHeight = height * 0.07; // Fade zone height
+
+    // Left edge fade
+    const leftGradient = ctx.createLinearGradient(0, 0, fadeWidth, 0);
+    leftGradient.addColorStop(0, 'rgba(0, 0, 0, 1)'); // Remove at edge
+    leftGradient.addColorStop(1, 'rgba(0, 0, 0, 0)'); // Keep at center
+    ctx.fillStyle = leftGradient;
+    ctx.fillRect(0, 0, fadeWidth, height);
+
+    // Right edge fade
+    const rightGradient = ctx.createLinearGradient(width - fadeWidth, 0, width, 0);
+    rightGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    rightGradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+    ctx.fillStyle = rightGradient;
+    ctx.fillRect(width - fadeWidth, 0, fadeWidth, height);
+
+    // Top edge fade
+    const topGradient = ctx.createLinearGradient(0, 0, 0, fadeHeight);
+    topGradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    topGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = topGradient;
+    ctx.fillRect(0, 0, width, fadeHeight);
+
+    // Bottom edge fade
+    const bottomGradient = ctx.createLinearGradient(0, height - fadeHeight, 0, height);
+    bottomGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    bottomGradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+    ctx.fillStyle = bottomGradient;
+    ctx.fillRect(0, height - fadeHeight, width, fadeHeight);
+
+    ctx.restore();
+}
+
+/**
+ * Line colour for a profile segment by grade (climbs warm, descents green, flat blue)
+ * @param {number} grade - Grade in percent
+ * @returns {string} CSS colour
+ */
+function getGradeColor(grade) {
+    if (grade >= 8) return '#c0392b';
+    if (grade >= 3) return '#e67e22';
+    if (grade >= 1) return '#f1c40f';
+    if (grade <= -3) return '#27ae60';
+    if (grade <= -1) return '#2ecc71';
+    return 'rgba(52, 152, 219, 0.8)';
+}
+
+/**
+ * Draw the elevation profile against distance with the bike marker at the current frame
+ * @param {Object} overlay - Overlay context (uses overlay.elevationProfile when present)
+ * @param {Object} pos - Top-left corner {x, y}
+ * @param {number} width - Chart box width
+ * @param {number} height - Chart box height
+ * @param {number} currentIndex - Index of the current image
+ */
+export function drawAltitudeChart(overlay, pos, width, height, currentIndex) {
+    const { ctx, images } = overlay;
+    const profile = overlay.elevationProfile || buildElevationProfile(images);
+    if (!images.length || profile.points.length === 0) return;
+
+    // Better margins for the wider, shorter rectangle
+    const chartWidth = width - 80;
+    const chartHeight = height - 50;
+    const chartX = pos.x + 60; // More left margin for labels
+    const chartY = pos.y + 30;
+
+    const altRange = profile.max - profile.min || 1;
+    const toX = distance => chartX + (distance / profile.totalDistance) * chartWidth;
+    const toY = alt => chartY + chartHeight - ((alt - profile.min) / altRange) * chartHeight;
+
+    // Convert altitude range to selected unit for display
+    const displayedAltRange = getAltitudeInUnit(profile.max, overlay.altitudeUnit) - getAltitudeInUnit(profile.min, overlay.altitudeUnit);
+
+    // Fill the area under the profile
+    const fillPath = new Path2D();
+    fillPath.moveTo(toX(0), chartY + chartHeight);
+    profile.points.forEach(point => fillPath.lineTo(toX(point.distance), toY(point.alt)));
+    fillPath.lineTo(toX(profile.totalDistance), chartY + chartHeight);
+    fillPath.closePath();
+    ctx.fillStyle = 'rgba(52, 152, 219, 0.2)';
+    ctx.fill(fillPath);
+
+    // Stroke each segment in the colour of its grade
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    for (let i = 1; i < profile.points.length; i++) {
+        const prev = profile.points[i - 1];
+        const point = profile.points[i];
+        const run = point.distance - prev.distance;
+        const grade = profile.distanceBased && run > 0 ? (point.alt - prev.alt) / run * 100 : 0;
+
+        ctx.strokeStyle = getGradeColor(grade);
+        ctx.beginPath();
+        ctx.moveTo(toX(prev.distance), toY(prev.alt));
+        ctx.lineTo(toX(point.distance), toY(point.alt));
+        ctx.stroke();
+    }
+    ctx.lineCap = 'butt';
+
+    // Bike marker at the current distance, sitting on the profile
+    const currentDistance = profile.distances[currentIndex] ?? 0;
+    const markerAlt = getProfileAltitudeAt(profile, currentDistance);
+    if (markerAlt !== null) {
+        drawBikeIconAtPosition(overlay, toX(currentDistance), toY(markerAlt));
+    }
+
+    // Labels with larger font - show relative altitude in selected unit
+    const unitLabel = getUnitLabel(overlay.altitudeUnit);
+    ctx.fillStyle = '#fff';
+    ctx.font = `${Math.floor(overlay.width / 80)}px Arial`;
+
+    // Total elevation range (top)
+    ctx.fillText(`${displayedAltRange}${unitLabel}`, pos.x + 15, pos.y + 40);
+
+    // Base level (bottom)
+    ctx.fillText(`0`, pos.x + 15, pos.y + height - 20);
+
+    // Ascent/descent totals (top right)
+    const totals = `↑ ${getAltitudeInUnit(profile.ascent, overlay.altitudeUnit)}${unitLabel}  ↓ ${getAltitudeInUnit(profile.descent, overlay.altitudeUnit)}${unitLabel}`;
+    ctx.font = `${Math.floor(overlay.width / 110)}px Arial`;
+    const totalsWidth = ctx.measureText(totals).width;
+    ctx.fillText(totals, pos.x + width - totalsWidth - 10, pos.y + 20);
+}
+
+/**
+ * Draw every enabled widget of a layout for a frame
+ * @param {Object} overlay - Overlay context
+ * @param {Object} layout - Layout template (see layoutUtils.js)
+ * @param {Object} frame - Frame data
+ * @param {number} frame.index - Index of the current image
+ * @param {CanvasImageSource|null} [frame.detailMap] - Detail map rendered at the detailMap widget size
+ * @param {CanvasImageSource|null} [frame.routeMap] - Route map rendered at the routeMap widget size
+ * @param {Object|null} [frame.stats] - Ride stats for the stats widget (the panel is skipped without them)
+ */
+export function drawLayout(overlay, layout, frame) {
+    const { ctx, images } = overlay;
+    const image = images[frame.index] || {};
+
+    for (const widget of getEnabledWidgets(layout)) {
+        const rect = getWidgetRect(layout, widget, overlay.width, overlay.height);
+
+        // Skip widgets with nothing to show on this frame
+        let text = null;
+        if (widget.type === 'clock') {
+            if (!image.timestamp) continue;
+            text = formatDateTime(image.timestamp);
+        } else if (widget.type === 'speed') {
+            if (image.speed === null || image.speed === undefined) continue;
+            text = `bike ${formatSpeed(image.speed, overlay.altitudeUnit)}`;
+        } else if (widget.type === 'distance') {
+            const profile = overlay.elevationProfile;
+            if (!profile || !profile.distanceBased) continue;
+            const distance = profile.distances[frame.index] ?? 0;
+            text = `${formatDistance(distance, overlay.altitudeUnit)} / ${formatDistance(profile.totalDistance, overlay.altitudeUnit)}`;
+        } else if (widget.type === 'detailMap' && !frame.detailMap) {
+            continue;
+        } else if (widget.type === 'routeMap' && !frame.routeMap) {
+            continue;
+        } else if (widget.type === 'stats' && !frame.stats) {
+            continue;
+        }
+
+        ctx.save();
+        ctx.globalAlpha = widget.opacity ?? 1;
+
+        if (widget.background) {
+            ctx.fillStyle = widget.background;
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        }
+        if (widget.border) {
+            ctx.strokeStyle = widget.border;
+            ctx.lineWidth = Math.ceil(overlay.width / 800);
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        }
+
+        switch (widget.type) {
+            case 'detailMap':
+                ctx.drawImage(frame.detailMap, rect.x, rect.y, rect.width, rect.height);
+                break;
+            case 'routeMap':
+                ctx.drawImage(frame.routeMap, rect.x, rect.y, rect.width, rect.height);
+                break;
+            case 'altitude':
+                drawAltitudeChart(overlay, rect, rect.width, rect.height, frame.index);
+                break;
+            case 'stats':
+                drawStatsPanel(overlay, frame.stats, widget, rect);
+                break;
+            default:
+                drawTextWidget(overlay, text, widget, rect);
+        }
+
+        ctx.restore();
+    }
+}
+
+/**
+ * Format ride stats (from GET /api/session/:name/stats) as label/value rows
+ * @param {Object} stats - Ride stats in meters, seconds and m/s
+ * @param {string} unit - Unit preference ('ft' for imperial, 'm' for metric)
+ * @returns {Array<{label: string, value: string}>} Display rows
+ */
+export function formatRideStats(stats, unit) {
+    const formatClock = timestamp => {
+        const dateTime = formatDateTime(timestamp);
+        return dateTime.slice(dateTime.indexOf(' ') + 1);
+    };
+
+    return [
+        { label: 'Distance', value: formatDistance(stats.distance, unit) },
+        { label: 'Moving Time', value: formatTimeEstimate(stats.movingTime * 1000) },
+        { label: 'Stopped Time', value: formatTimeEstimate(stats.stoppedTime * 1000) },
+        { label: 'Avg Speed', value: formatSpeed(stats.averageSpeed, unit) },
+        { label: 'Max Speed', value: formatSpeed(stats.maxSpeed, unit) },
+        { label: 'Ascent', value: `${getAltitudeInUnit(stats.ascent, unit)}${getUnitLabel(unit)}` },
+        { label: 'Descent', value: `${getAltitudeInUnit(stats.descent, unit)}${getUnitLabel(unit)}` },
+        { label: 'Max Grade', value: `${stats.maxGrade.toFixed(1)}%` },
+        { label: 'Start', value: stats.startTimestamp ? formatClock(stats.startTimestamp) : '-' },
+        { label: 'End', value: stats.endTimestamp ? formatClock(stats.endTimestamp) : '-' }
+    ];
+}
+
+/**
+ * Draw a ride stats panel as two columns of label/value rows
+ * @param {Object} overlay - Overlay context
+ * @param {Object} stats - Ride stats
+ * @param {Object} widget - Layout widget (for the font)
+ * @param {Object} rect - Panel rectangle from getWidgetRect
+ */
+export function drawStatsPanel(overlay, stats, widget, rect) {
+    if (!stats) return;
+
+    const { ctx } = overlay;
+    const font = getWidgetFont(widget, overlay.width);
+    const fontSize = font.size;
+    const lineHeight = Math.floor(fontSize * 1.5);
+    const rows = formatRideStats(stats, overlay.altitudeUnit);
+
+    const columnWidth = rect.width / 2;
+    const rowsPerColumn = Math.ceil(rows.length / 2);
+
+    ctx.font = font.css;
+    rows.forEach((row, i) => {
+        const column = Math.floor(i / rowsPerColumn);
+        const rowX = rect.x + column * columnWidth + fontSize / 2;
+        const rowY = rect.y + (i % rowsPerColumn + 1) * lineHeight;
+
+        // Labels dimmer than values
+        const alpha = ctx.globalAlpha;
+        ctx.globalAlpha = alpha * 0.7;
+        ctx.fillStyle = font.color;
+        ctx.fillText(row.label, rowX, rowY);
+        ctx.globalAlpha = alpha;
+        const valueWidth = ctx.measureText(row.value).width;
+        ctx.fillText(row.value, rowX + columnWidth - fontSize - valueWidth, rowY);
+    });
+}
+
+/**
+ * Draw the end card: the current frame dimmed with the ride stats on top
+ * @param {Object} overlay - Overlay context
+ * @param {Object} stats - Ride stats
+ * @param {string} title - Card title (e.g. the session name)
+ */
+export function drawEndCard(overlay, stats, title) {
+    if (!stats) return;
+
+    const { ctx, width, height } = overlay;
+    const rows = formatRideStats(stats, overlay.altitudeUnit);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, width, height);
+
+    const titleSize = Math.floor(width / 30);
+    const fontSize = Math.floor(width / 55);
+    const lineHeight = Math.floor(fontSize * 1.8);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.font = `bold ${titleSize}px Arial`;
+    ctx.fillText(title, width / 2, height * 0.2);
+
+    if (stats.startTimestamp) {
+        ctx.font = `${fontSize}px Arial`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(formatDateTime(stats.startTimestamp), width / 2, height * 0.2 + titleSize);
+    }
+
+    // Two columns of label/value rows around the centre line
+    ctx.font = `${fontSize}px Arial`;
+    const rowsPerColumn = Math.ceil(rows.length / 2);
+    const top = height * 0.2 + titleSize * 2.5;
+    const columnWidth = width * 0.25;
+
+    rows.forEach((row, i) => {
+        const column = Math.floor(i / rowsPerColumn);
+        const columnX = width / 2 + (column === 0 ? -columnWidth - fontSize : fontSize);
+        const rowY = top + (i % rowsPerColumn) * lineHeight;
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillText(row.label, columnX, rowY);
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(row.value, columnX + columnWidth, rowY);
+    });
+
+    ctx.textAlign = 'left';
+}
@@ -29,7 +29,15 @@ export function formatTimeEstimate(milliseconds) {
  * @returns {string} Formatted duration string (e.g., "1m 30s", "45s")
  */
 export function formatVideoDuration(frameCount) {
-    const totalMs = frameCount * 33.33; // 30fps = 33.33ms per frame
+    return formatPlaybackDuration(frameCount * 33.33); // 30fps = 33.33ms per frame
+}
+
+/**
+ * Format a video playback length
+ * @param {number} totalMs - Duration in milliseconds
+ * @returns {string} Formatted duration string (e.g., "1m 30s", "45s")
+ */
+export function formatPlaybackDuration(totalMs) {
     const totalSeconds = Math.floor(totalMs / 1000);
     const minutes = Math.floor(totalSeconds / 60);
     const seconds = totalSeconds % 60;
@@ -39,4 +47,17 @@ export function formatVideoDuration(frameCount) {
     } else {
         return `${seconds}s`;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Playback length of a real-time video: the capture time covered by the frames, divided by the speed-up
+ * @param {Array} images - Session images in capture order
+ * @param {number} lastIndex - Index of the last image in the video so far
+ * @param {number} speed - Speed-up factor (1 = true ride pace)
+ * @returns {number} Duration in milliseconds
+ */
+export function calculateRealTimeDuration(images, lastIndex, speed = 1) {
+    if (!images.length || lastIndex <= 0) return 0;
+    const last = images[Math.min(lastIndex, images.length - 1)];
+    return (last.timestamp - images[0].timestamp) / speed;
+}
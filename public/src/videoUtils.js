@@ -0,0 +1,252 @@
+/**
+ * In-browser video encoding with WebCodecs
+ *
+ * Frames from the composition canvas go through a VideoEncoder and are muxed into
+ * MP4 (H.264) or WebM (VP9) with the mp4-muxer / webm-muxer globals loaded in index.html
+ * (served from node_modules under /vendor). The muxer output is uploaded to the server as it
+ * is produced, so the finished video never has to fit in browser memory.
+ */
+
+export const VIDEO_FRAME_RATE = 30; // Same rate formatVideoDuration assumes
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // Stays under the server's per-request limit
+
+const KEYFRAME_INTERVAL = VIDEO_FRAME_RATE * 2; // Keyframe every 2 seconds
+const MAX_ENCODE_QUEUE = 8; // Frames waiting in the encoder before addFrame waits
+const MAX_PENDING_UPLOAD = UPLOAD_CHUNK_SIZE * 4; // Muxed bytes waiting for upload before addFrame waits
+const DEFAULT_BITRATE = 20_000_000; // 20 Mbps suits 1440p
+
+export const VIDEO_FORMATS = {
+    mp4: {
+        codec: 'avc1.640033', // H.264 High profile, level 5.1 (up to 4K at 30 fps)
+        muxerCodec: 'avc',
+        getMuxer: () => window.Mp4Muxer
+    },
+    webm: {
+        codec: 'vp09.00.51.08', // VP9 profile 0, level 5.1, 8-bit
+        muxerCodec: 'V_VP9',
+        getMuxer: () => window.WebMMuxer
+    }
+};
+
+/**
+ * Encoder configuration for a format and frame size
+ * @param {string} format - 'mp4' or 'webm'
+ * @param {number} width - Frame width (even)
+ * @param {number} height - Frame height (even)
+ * @param {number} bitrate - Target bitrate in bits per second
+ * @returns {Object} VideoEncoderConfig
+ */
+function getEncoderConfig(format, width, height, bitrate) {
+    return {
+        codec: VIDEO_FORMATS[format].codec,
+        width,
+        height,
+        bitrate,
+        framerate: VIDEO_FRAME_RATE,
+        latencyMode: 'quality'
+    };
+}
+
+/**
+ * Check whether this browser can encode and mux a format at the given size
+ * @param {string} format - 'mp4' or 'webm'
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} [bitrate] - Target bitrate in bits per second
+ * @returns {Promise<boolean>} True when WebCodecs, the codec and the muxer are all available
+ */
+export async function isVideoEncodingSupported(format, width, height, bitrate = DEFAULT_BITRATE) {
+    const videoFormat = VIDEO_FORMATS[format];
+    if (!videoFormat || typeof VideoEncoder === 'undefined' || !videoFormat.getMuxer()) return false;
+
+    try {
+        const { supported } = await VideoEncoder.isConfigSupported(getEncoderConfig(format, width, height, bitrate));
+        return supported;
+    } catch (error) {
+        console.warn(`Video encoder check failed for ${format}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Upload muxer output to videos/<session>_browser.<format> while the video is being encoded
+ *
+ * Writes go out one request at a time in the order the muxer produced them, each at its own
+ * file offset, since the muxer goes back to patch headers once the video is finalized.
+ * @param {string} session - Session name
+ * @param {string} format - 'mp4' or 'webm'
+ * @returns {Promise<{write: Function, complete: Function, pendingBytes: Function, error: Function}>} Upload handle
+ */
+export async function createVideoUpload(session, format) {
+    const uploadUrl = `/api/video/${encodeURIComponent(session)}/upload?format=${format}`;
+
+    // Start with an empty part file, replacing any earlier unfinished upload
+    const response = await fetch(`${uploadUrl}&offset=0&start=1`, { method: 'POST' });
+    if (!response.ok) {
+        throw new Error(`Video upload could not be started: HTTP ${response.status}`);
+    }
+
+    let queue = Promise.resolve();
+    let pendingBytes = 0;
+    let size = 0;
+    let uploadError = null;
+
+    const sendChunk = async (data, position) => {
+        const response = await fetch(`${uploadUrl}&offset=${position}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: data
+        });
+        if (!response.ok) {
+            throw new Error(`Video chunk upload failed at ${position}: HTTP ${response.status}`);
+        }
+        size = Math.max(size, position + data.byteLength);
+    };
+
+    return {
+        /**
+         * Queue muxer output for upload
+         * @param {Uint8Array} data - Bytes to write
+         * @param {number} position - File offset of the first byte
+         */
+        write(data, position) {
+            pendingBytes += data.byteLength;
+            queue = queue.then(async () => {
+                try {
+                    if (!uploadError) await sendChunk(data, position);
+                } catch (error) {
+                    console.error('Video upload error:', error);
+                    uploadError = error;
+                } finally {
+                    pendingBytes -= data.byteLength;
+                }
+            });
+        },
+
+        /**
+         * Wait for queued writes and move the finished file into place
+         * @returns {Promise<Object>} Server response with the saved file name and size
+         */
+        async complete() {
+            await queue;
+            if (uploadError) throw uploadError;
+
+            const response = await fetch(`/api/video/${encodeURIComponent(session)}/upload/complete?format=${format}&size=${size}`, {
+                method: 'POST'
+            });
+            if (!response.ok) {
+                throw new Error(`Video upload could not be completed: HTTP ${response.status}`);
+            }
+            return response.json();
+        },
+
+        pendingBytes() {
+            return pendingBytes;
+        },
+
+        /**
+         * The error a chunk upload failed with; later writes are dropped once set
+         * @returns {Error|null}
+         */
+        error() {
+            return uploadError;
+        }
+    };
+}
+
+/**
+ * Create an encoder that turns canvas frames into a video file streamed to an upload
+ * @param {Object} options - Encoder options
+ * @param {string} options.format - 'mp4' or 'webm'
+ * @param {number} options.width - Frame width (even)
+ * @param {number} options.height - Frame height (even)
+ * @param {Object} options.upload - Upload handle from createVideoUpload
+ * @param {number} [options.bitrate] - Target bitrate in bits per second (default 20 Mbps)
+ * @returns {{addFrame: Function, finish: Function, close: Function, frameCount: Function, error: Function}} Encoder handle
+ */
+export function createVideoEncoder({ format, width, height, upload, bitrate = DEFAULT_BITRATE }) {
+    const videoFormat = VIDEO_FORMATS[format];
+    const { Muxer, StreamTarget } = videoFormat.getMuxer();
+
+    const muxer = new Muxer({
+        target: new StreamTarget({
+            onData: (data, position) => upload.write(data, position),
+            chunked: true,
+            chunkSize: UPLOAD_CHUNK_SIZE
+        }),
+        video: {
+            codec: videoFormat.muxerCodec,
+            width,
+            height,
+            frameRate: VIDEO_FRAME_RATE
+        },
+        // Fragmented MP4 writes each fragment once instead of holding every sample for the index
+        ...(format === 'mp4' ? { fastStart: 'fragmented' } : {})
+    });
+
+    let encoderError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+        error: error => {
+            console.error('Video encoder error:', error);
+            encoderError = error;
+        }
+    });
+    encoder.configure(getEncoderConfig(format, width, height, bitrate));
+
+    let frameIndex = 0;
+    const frameDuration = 1_000_000 / VIDEO_FRAME_RATE; // microseconds
+
+    return {
+        /**
+         * Encode the current contents of a canvas as the next frame
+         * @param {HTMLCanvasElement} canvas - Canvas at the encoder size
+         */
+        async addFrame(canvas) {
+            if (encoderError) throw encoderError;
+            if (upload.error()) throw upload.error();
+
+            // Let the encoder and the upload catch up so frames don't pile up in memory
+            while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE || upload.pendingBytes() > MAX_PENDING_UPLOAD) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            const frame = new VideoFrame(canvas, {
+                timestamp: Math.round(frameIndex * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            encoder.encode(frame, { keyFrame: frameIndex % KEYFRAME_INTERVAL === 0 });
+            frame.close();
+            frameIndex++;
+        },
+
+        /**
+         * Flush the encoder, finalize the container and complete the upload
+         * @returns {Promise<Object>} Server response with the saved file name and size
+         */
+        async finish() {
+            await encoder.flush();
+            encoder.close();
+            if (encoderError) throw encoderError;
+
+            muxer.finalize();
+            return upload.complete();
+        },
+
+        close() {
+            if (encoder.state !== 'closed') encoder.close();
+        },
+
+        frameCount() {
+            return frameIndex;
+        },
+
+        /**
+         * The error the encoder or the upload failed with; once set, addFrame and finish reject with it
+         * @returns {Error|null}
+         */
+        error() {
+            return encoderError || upload.error();
+        }
+    };
+}
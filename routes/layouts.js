@@ -0,0 +1,27 @@
+const express = require('express');
+const { loadLayout, listLayouts } = require('../utils/layouts');
+const router = express.Router();
+
+// Saved overlay layout templates
+router.get('/layouts', async (req, res) => {
+  try {
+    res.json(await listLayouts());
+  } catch (error) {
+    console.error('Error listing layouts:', error);
+    res.status(500).json({ error: 'Failed to list layouts' });
+  }
+});
+
+router.get('/layouts/:name', async (req, res) => {
+  try {
+    res.json(await loadLayout(req.params.name));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Layout not found' });
+    }
+    console.error('Error loading layout:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
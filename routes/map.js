@@ -0,0 +1,101 @@
+const express = require('express');
+const { loadRoutePoints, parseSessionOptions } = require('../utils/session');
+const { renderDetailMap, renderRouteMap } = require('../utils/map-renderer');
+const { getProvider } = require('../utils/tile-fetcher');
+const router = express.Router();
+
+const MAX_MAP_SIZE = 2048;
+
+function parseSize(value, defaultValue) {
+  const size = parseInt(value);
+  if (isNaN(size)) return defaultValue;
+  return Math.max(1, Math.min(size, MAX_MAP_SIZE));
+}
+
+// ?facing=east|west from a client that tracks the bike icon across frames, otherwise null
+function parseFacing(value) {
+  return value === 'east' || value === 'west' ? value : null;
+}
+
+function sendPng(res, canvas) {
+  res.set({
+    'Content-Type': 'image/png',
+    'Cache-Control': 'no-cache, no-store, must-revalidate, max-age=0'
+  });
+  res.send(canvas.toBuffer('image/png'));
+}
+
+// Street-level map centred on a position, composited from cached tiles of ?provider (default style without it)
+router.get('/map/detail', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const zoom = req.query.zoom !== undefined ? parseInt(req.query.zoom) : 17;
+
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 85 || Math.abs(lon) > 180) {
+      return res.status(400).json({ error: 'Invalid lat/lon' });
+    }
+    if (isNaN(zoom) || zoom < 0 || zoom > 18) {
+      return res.status(400).json({ error: 'Invalid zoom level' });
+    }
+    if (req.query.provider && !getProvider(req.query.provider)) {
+      return res.status(400).json({ error: 'Unknown tile provider' });
+    }
+
+    const canvas = await renderDetailMap({
+      lat,
+      lon,
+      zoom,
+      bearing: req.query.bearing !== undefined ? parseFloat(req.query.bearing) : null,
+      facing: parseFacing(req.query.facing),
+      width: parseSize(req.query.w, 600),
+      height: parseSize(req.query.h, 400),
+      provider: req.query.provider
+    });
+
+    sendPng(res, canvas);
+  } catch (error) {
+    console.error('Detail map error:', error);
+    res.status(500).json({ error: 'Failed to render detail map' });
+  }
+});
+
+// Whole-route overview map with the bike marker at ?timestamp (defaults to the first GPS point)
+router.get('/map/route/:session', async (req, res) => {
+  try {
+    if (req.query.provider && !getProvider(req.query.provider)) {
+      return res.status(400).json({ error: 'Unknown tile provider' });
+    }
+
+    const gpsImages = await loadRoutePoints(req.params.session, parseSessionOptions(req.query));
+
+    if (gpsImages.length === 0) {
+      return res.status(404).json({ error: 'No GPS data found in session' });
+    }
+
+    let current = gpsImages[0];
+    if (req.query.timestamp !== undefined) {
+      const timestamp = parseInt(req.query.timestamp);
+      current = gpsImages.reduce((closest, img) =>
+        Math.abs(img.timestamp - timestamp) < Math.abs(closest.timestamp - timestamp) ? img : closest
+      , current);
+    }
+
+    const canvas = await renderRouteMap({
+      points: gpsImages,
+      current,
+      bearing: req.query.bearing !== undefined ? parseFloat(req.query.bearing) : null,
+      facing: parseFacing(req.query.facing),
+      width: parseSize(req.query.w, 600),
+      height: parseSize(req.query.h, 400),
+      provider: req.query.provider
+    });
+
+    sendPng(res, canvas);
+  } catch (error) {
+    console.error('Route map error:', error);
+    res.status(500).json({ error: 'Failed to render route map' });
+  }
+});
+
+module.exports = router;
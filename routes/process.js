@@ -2,134 +2,33 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
-const { extractMetadata, getTimestampFromFilename } = require('../utils/xmp');
-const https = require('https');
-const http = require('http');
+const { loadSession, listSessions, rescanSession, parseSessionOptions } = require('../utils/session');
 const TileCache = require('../utils/tile-cache');
+const { getTile, getProvider, listProviders } = require('../utils/tile-fetcher');
+const { getManifest, setSettings, recordRendered, recordFailure } = require('../utils/progress-manifest');
+const { toGpx, toGeoJson } = require('../utils/export');
+const { calculateRideStats } = require('../utils/stats');
+const { parseStopOptions, detectStops } = require('../utils/stops');
+const {
+  loadPreloadJobs,
+  estimatePreload,
+  startPreloadJob,
+  getPreloadJob,
+  listPreloadJobs,
+  pausePreloadJob,
+  resumePreloadJob,
+  cancelPreloadJob
+} = require('../utils/preload-jobs');
 const router = express.Router();
 const tileCache = new TileCache();
+tileCache.startEviction();
+loadPreloadJobs(); // Unfinished preloads carry on after a restart
 
-// Rate limiting for OSM requests
-const tileRequestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 200; // 200ms between requests (max 5/sec)
-
-// Process tile request queue with rate limiting
-async function processQueuedRequest(requestInfo) {
-  return new Promise((resolve, reject) => {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    const delay = Math.max(0, MIN_REQUEST_INTERVAL - timeSinceLastRequest);
-    
-    setTimeout(() => {
-      lastRequestTime = Date.now();
-      fetchTileFromOSM(requestInfo).then(resolve).catch(reject);
-    }, delay);
-  });
-}
-
-async function fetchTileFromOSM({ z, x, y, tileUrl, cacheDir, cachePath }) {
-  return new Promise((resolve, reject) => {
-    console.log(`Fetching tile: ${tileUrl} (after rate limiting)`);
-    
-    // More compliant headers with timeout
-    const request = https.get(tileUrl, {
-      timeout: 15000, // 15 second timeout
-      headers: {
-        'User-Agent': 'BikeTrailImageProcessor/1.0.0 Contact: biketrails@localhost (Educational/Personal Project)',
-        'Accept': 'image/png,image/*,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'DNT': '1',
-        'Pragma': 'no-cache',
-        'Referer': 'https://localhost:3000/'
-      }
-    }, (osmResponse) => {
-      console.log(`OSM Response: ${osmResponse.statusCode} for ${z}/${x}/${y}`);
-      
-      // Log important headers for debugging
-      const headers = osmResponse.headers;
-      if (headers['x-ratelimit-remaining'] || headers['retry-after'] || osmResponse.statusCode === 429) {
-        console.log('Rate limit info:', {
-          'x-ratelimit-remaining': headers['x-ratelimit-remaining'],
-          'x-ratelimit-limit': headers['x-ratelimit-limit'], 
-          'retry-after': headers['retry-after'],
-          'server': headers['server']
-        });
-      }
-      
-      if (osmResponse.statusCode === 200) {
-        const chunks = [];
-        let totalSize = 0;
-        const MAX_TILE_SIZE = 2 * 1024 * 1024; // 2MB max per tile
-        
-        osmResponse.on('data', (chunk) => {
-          totalSize += chunk.length;
-          if (totalSize > MAX_TILE_SIZE) {
-            console.error(`Tile too large: ${totalSize} bytes, aborting`);
-            request.destroy();
-            reject(new Error('Tile response too large'));
-            return;
-          }
-          chunks.push(chunk);
-        });
-        
-        osmResponse.on('end', async () => {
-          try {
-            const tileBuffer = Buffer.concat(chunks);
-            
-            // Save to cache
-            await fs.mkdir(cacheDir, { recursive: true });
-            await fs.writeFile(cachePath, tileBuffer);
-            console.log(`Cached tile: ${cachePath}`);
-            
-            resolve(tileBuffer);
-          } catch (cacheError) {
-            console.error('Cache write error:', cacheError);
-            resolve(Buffer.concat(chunks));
-          }
-        });
-        
-      } else if (osmResponse.statusCode === 429) {
-        const retryAfter = headers['retry-after'] || 60;
-        console.warn(`RATE LIMITED for tile ${z}/${x}/${y}. Retry after: ${retryAfter} seconds`);
-        reject(new Error(`Rate limited. Retry after ${retryAfter} seconds`));
-      } else if (osmResponse.statusCode === 403) {
-        console.error(`ACCESS BLOCKED for tile ${z}/${x}/${y}. Check usage policy compliance.`);
-        reject(new Error('Access blocked by OSM tile server'));
-      } else if (osmResponse.statusCode === 404) {
-        reject(new Error('Tile not found'));
-      } else {
-        console.warn(`Unexpected status ${osmResponse.statusCode} for tile ${z}/${x}/${y}`);
-        reject(new Error(`HTTP ${osmResponse.statusCode}`));
-      }
-    });
-    
-    request.on('error', (error) => {
-      console.error('Tile request error:', error);
-      request.destroy(); // Ensure cleanup
-      reject(error);
-    });
-    
-    request.on('timeout', () => {
-      console.error(`Tile request timeout: ${tileUrl}`);
-      request.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
-}
+const SCAN_PROGRESS_INTERVAL = 250; // ms between session scan progress events
 
 router.get('/sessions', async (req, res) => {
   try {
-    const sessionDir = config.ROOT_DIR;
-    const sessions = await fs.readdir(sessionDir);
-    const validSessions = sessions.filter(session => {
-      return session !== '.DS_Store';
-    });
-    res.json(validSessions);
+    res.json(await listSessions());
   } catch (error) {
     console.error('Error reading sessions:', error);
     res.status(500).json({ error: 'Failed to read sessions' });
@@ -138,73 +37,110 @@ router.get('/sessions', async (req, res) => {
 
 router.get('/session/:name', async (req, res) => {
   try {
-    const sessionName = req.params.name;
-    const sessionPath = path.join(config.ROOT_DIR, sessionName);
-    const cacheFile = path.join(sessionPath, 'xmp.json');
-    
-    // Check if cache file exists
-    try {
-      const cacheData = await fs.readFile(cacheFile, 'utf-8');
-      const cached = JSON.parse(cacheData);
-      console.log(`Using cached XMP data for session ${sessionName} (${cached.images.length} images)`);
-      return res.json(cached);
-    } catch (cacheError) {
-      console.log(`No cache found for session ${sessionName}, processing XMP data...`);
-    }
-    
-    const files = await fs.readdir(sessionPath);
-    const imageFiles = files.filter(file => 
-      file.toLowerCase().endsWith('.jpg') || file.toLowerCase().endsWith('.jpeg')
-    );
+    const result = await loadSession(req.params.name, parseSessionOptions(req.query));
+    console.log(`Returning ${result.images.length} images with metadata`);
+    res.json(result);
+  } catch (error) {
+    console.error('Error processing session:', error);
+    res.status(500).json({ error: 'Failed to process session' });
+  }
+});
 
-    console.log(`Processing XMP data for ${imageFiles.length} image files in session ${sessionName}`);
+// Scan a session's photos for metadata, streaming "progress" ({ scanned, total, session })
+// as server-sent events, then "done" with the rescan counts or "failed"
+router.get('/session/:name/scan', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
 
-    const images = [];
-    let processedCount = 0;
-    
-    for (const file of imageFiles) {
-      const imagePath = path.join(sessionPath, file);
-      const timestamp = getTimestampFromFilename(file) || Date.now() + processedCount;
-      const metadata = await extractMetadata(imagePath);
-      
-      processedCount++;
-      
-      // Include image even if no GPS metadata, but log the issue
-      if (!metadata || (!metadata.lat && !metadata.lon)) {
-        console.log(`No GPS data for ${file}`);
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let lastProgress = 0;
+
+  try {
+    const result = await rescanSession(req.params.name, {
+      fps: parseSessionOptions(req.query).fps,
+      onProgress: (scanned, total, session) => {
+        // Throttled, but the first and last update always go out
+        const now = Date.now();
+        if (scanned === 0 || scanned === total || now - lastProgress >= SCAN_PROGRESS_INTERVAL) {
+          lastProgress = now;
+          send('progress', { scanned, total, session });
+        }
       }
-      
-      images.push({
-        timestamp,
-        filename: file,
-        lat: metadata?.lat || null,
-        lon: metadata?.lon || null,
-        alt: metadata?.alt || null,
-        speed: metadata?.speed || null,
-        compass: metadata?.compass || null
-      });
-    }
+    });
+    send('done', result);
+  } catch (error) {
+    console.error('Error scanning session:', error);
+    send('failed', { error: 'Failed to scan session' });
+  }
+  res.end();
+});
 
-    images.sort((a, b) => a.timestamp - b.timestamp);
+// Pick up photos added, changed or removed since xmp.json was written (full=true re-reads every photo)
+router.post('/session/:name/rescan', async (req, res) => {
+  try {
+    res.json(await rescanSession(req.params.name, {
+      full: req.query.full === 'true',
+      fps: parseSessionOptions(req.query).fps
+    }));
+  } catch (error) {
+    console.error('Error rescanning session:', error);
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: 'Failed to rescan session' });
+  }
+});
 
-    const result = {
-      count: images.length,
-      images
-    };
+// Ride summary: distance, moving/stopped time, speeds, ascent/descent, max grade, start/end
+router.get('/session/:name/stats', async (req, res) => {
+  try {
+    const { images } = await loadSession(req.params.name, parseSessionOptions(req.query));
+    res.json(calculateRideStats(images));
+  } catch (error) {
+    console.error('Error calculating stats:', error);
+    res.status(500).json({ error: 'Failed to calculate stats' });
+  }
+});
 
-    // Save cache file
-    try {
-      await fs.writeFile(cacheFile, JSON.stringify(result, null, 2));
-      console.log(`Cached XMP data for session ${sessionName}`);
-    } catch (writeError) {
-      console.warn('Failed to write XMP cache:', writeError);
-    }
+// Stationary segments longer than minDuration seconds (coffee stops, breaks)
+router.get('/session/:name/stops', async (req, res) => {
+  try {
+    const { images } = await loadSession(req.params.name, parseSessionOptions(req.query));
+    const options = parseStopOptions(req.query);
+    res.json({ ...options, stops: detectStops(images, options) });
+  } catch (error) {
+    console.error('Error detecting stops:', error);
+    res.status(500).json({ error: 'Failed to detect stops' });
+  }
+});
 
-    console.log(`Returning ${images.length} images with metadata`);
-    res.json(result);
+// Track export for Strava, QGIS and other GIS tools
+router.get('/session/:name/export.gpx', async (req, res) => {
+  try {
+    const { images } = await loadSession(req.params.name, parseSessionOptions(req.query));
+    res.set({
+      'Content-Type': 'application/gpx+xml',
+      'Content-Disposition': `attachment; filename="${req.params.name}.gpx"`
+    });
+    res.send(toGpx(req.params.name, images));
   } catch (error) {
-    console.error('Error processing session:', error);
-    res.status(500).json({ error: 'Failed to process session' });
+    console.error('Error exporting GPX:', error);
+    res.status(500).json({ error: 'Failed to export GPX' });
+  }
+});
+
+router.get('/session/:name/export.geojson', async (req, res) => {
+  try {
+    const { images } = await loadSession(req.params.name, parseSessionOptions(req.query));
+    res.set({
+      'Content-Type': 'application/geo+json',
+      'Content-Disposition': `attachment; filename="${req.params.name}.geojson"`
+    });
+    res.send(JSON.stringify(toGeoJson(req.params.name, images), null, 2));
+  } catch (error) {
+    console.error('Error exporting GeoJSON:', error);
+    res.status(500).json({ error: 'Failed to export GeoJSON' });
   }
 });
 
@@ -236,6 +172,7 @@ router.post('/upload/:session/:timestamp', async (req, res) => {
       try {
         const buffer = Buffer.concat(chunks);
         await fs.writeFile(outputPath, buffer);
+        await recordRendered(session, parseInt(timestamp));
         res.json({ success: true, path: outputPath });
       } catch (error) {
         console.error('Error saving file:', error);
@@ -248,25 +185,70 @@ router.post('/upload/:session/:timestamp', async (req, res) => {
   }
 });
 
+// Progress manifest for an output session (rendered timestamps, settings, failures)
+router.get('/manifest/:session', async (req, res) => {
+  try {
+    res.json(await getManifest(req.params.session));
+  } catch (error) {
+    console.error('Error reading manifest:', error);
+    res.status(500).json({ error: 'Failed to read manifest' });
+  }
+});
 
-// Local Tile Generation Route with Caching
-router.get('/tiles/:z/:x/:y.png', async (req, res) => {
+router.put('/manifest/:session', async (req, res) => {
   try {
-    const { z, x, y } = req.params;
-    
+    const { settings, reset } = req.body;
+    if (!settings || typeof settings !== 'object') {
+      return res.status(400).json({ error: 'Settings object required' });
+    }
+
+    res.json(await setSettings(req.params.session, settings, reset === true));
+  } catch (error) {
+    console.error('Error updating manifest:', error);
+    res.status(500).json({ error: 'Failed to update manifest' });
+  }
+});
+
+router.post('/manifest/:session/failures', async (req, res) => {
+  try {
+    const timestamp = parseInt(req.body.timestamp);
+    if (isNaN(timestamp)) {
+      return res.status(400).json({ error: 'Invalid timestamp' });
+    }
+
+    await recordFailure(req.params.session, timestamp, req.body.error);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error recording failure:', error);
+    res.status(500).json({ error: 'Failed to record failure' });
+  }
+});
+
+
+// Tile providers from config for the map style selector
+router.get('/tiles/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// Serve a tile from a provider's cache, fetching it from the provider on a miss
+async function sendTile(req, res, providerId) {
+  try {
+    const provider = getProvider(providerId);
+    if (!provider) {
+      return res.status(404).send('Unknown tile provider');
+    }
+
     // Validate tile coordinates
-    const zNum = parseInt(z);
-    const xNum = parseInt(x);
-    const yNum = parseInt(y);
-    
-    if (zNum < 0 || zNum > 18 || xNum < 0 || yNum < 0) {
+    const zNum = parseInt(req.params.z);
+    const xNum = parseInt(req.params.x);
+    const yNum = parseInt(req.params.y);
+    const tileCount = Math.pow(2, zNum);
+
+    if (isNaN(zNum) || isNaN(xNum) || isNaN(yNum) || zNum < 0 || zNum > provider.maxZoom ||
+        xNum < 0 || yNum < 0 || xNum >= tileCount || yNum >= tileCount) {
       return res.status(400).send('Invalid tile coordinates');
     }
     
-    // Create cache path
-    const cacheDir = path.join(__dirname, '..', 'tile-cache', z, x);
-    const cachePath = path.join(cacheDir, `${y}.png`);
-    
     // Set headers - prevent all browser caching
     res.set({
       'Access-Control-Allow-Origin': '*',
@@ -279,187 +261,24 @@ router.get('/tiles/:z/:x/:y.png', async (req, res) => {
       'ETag': `"${Date.now()}-${Math.random()}"`
     });
     
-    // Check cache first
-    try {
-      const cachedTile = await fs.readFile(cachePath);
-      console.log(`Local tile cache HIT: ${z}/${x}/${y}`);
-      return res.send(cachedTile);
-    } catch (error) {
-      console.log(`Local tile cache MISS: ${z}/${x}/${y} - generating...`);
-    }
+    const tile = await getTile(zNum, xNum, yNum, provider.id);
     
-    // Try CyclOSM (bike-focused) as primary source
-    try {
-      const tileBuffer = await fetchFromCyclOSM(zNum, xNum, yNum);
-      
-      if (tileBuffer) {
-        // Cache the tile
-        await fs.mkdir(cacheDir, { recursive: true });
-        await fs.writeFile(cachePath, tileBuffer);
-        console.log(`Fetched and cached tile from CyclOSM: ${z}/${x}/${y}`);
-        
-        res.send(tileBuffer);
-        return;
-      }
-    } catch (error) {
-      console.log(`CyclOSM failed for ${z}/${x}/${y}, trying alternatives`);
-    }
-
-    // Fallback to other alternative tile sources
-    try {
-      const tileBuffer = await fetchFromAlternativeSource(zNum, xNum, yNum);
-      
-      if (tileBuffer) {
-        // Cache the tile
-        await fs.mkdir(cacheDir, { recursive: true });
-        await fs.writeFile(cachePath, tileBuffer);
-        console.log(`Fetched and cached tile from alternative source: ${z}/${x}/${y}`);
-        
-        res.send(tileBuffer);
-        return;
-      }
-    } catch (error) {
-      console.log(`Alternative sources failed for ${z}/${x}/${y}, generating locally`);
+    if (tile) {
+      return res.send(tile.buffer);
     }
 
-    // All external tile sources failed - return error
-    console.error(`All external tile sources failed for ${z}/${x}/${y}`);
-    res.status(503).send('All tile sources unavailable');
+    res.status(503).send(`${provider.name} tiles unavailable`);
     
   } catch (error) {
     console.error('Tile route error:', error);
     res.status(500).send('Tile route error');
   }
-});
-
-// Fetch from CyclOSM (bike-focused tiles)
-async function fetchFromCyclOSM(z, x, y) {
-  const subdomains = ['a', 'b', 'c'];
-  const subdomain = subdomains[Math.floor(Math.random() * subdomains.length)];
-  const url = `https://${subdomain}.tile-cyclosm.openstreetmap.fr/cyclosm/${z}/${x}/${y}.png`;
-  
-  try {
-    const response = await new Promise((resolve, reject) => {
-      const request = https.get(url, {
-        headers: {
-          'User-Agent': 'BikeTrailProcessor/1.0 (Educational use)',
-          'Accept': 'image/png,image/*,*/*'
-        },
-        timeout: 8000
-      }, resolve);
-      
-      request.on('error', reject);
-      request.on('timeout', () => {
-        request.destroy();
-        reject(new Error('Request timeout'));
-      });
-    });
-
-    if (response.statusCode === 200) {
-      const chunks = [];
-      
-      response.on('data', chunk => chunks.push(chunk));
-      
-      return new Promise((resolve) => {
-        response.on('end', () => {
-          resolve(Buffer.concat(chunks));
-        });
-      });
-    }
-    
-    return null;
-  } catch (error) {
-    console.log(`CyclOSM error: ${error.message}`);
-    return null;
-  }
 }
 
-// Fetch from local Docker tile server
-async function fetchFromLocalTileServer(z, x, y) {
-  const url = `http://localhost:8080/tile/${z}/${x}/${y}.png`;
-  
-  try {
-    const response = await new Promise((resolve, reject) => {
-      const request = http.get(url, {
-        timeout: 10000
-      }, resolve);
-      
-      request.on('error', reject);
-      request.on('timeout', () => {
-        request.destroy();
-        reject(new Error('Request timeout'));
-      });
-    });
-
-    if (response.statusCode === 200) {
-      const chunks = [];
-      
-      response.on('data', chunk => chunks.push(chunk));
-      
-      return new Promise((resolve) => {
-        response.on('end', () => {
-          resolve(Buffer.concat(chunks));
-        });
-      });
-    }
-    
-    return null;
-  } catch (error) {
-    console.log(`Local tile server error: ${error.message}`);
-    return null;
-  }
-}
+router.get('/tiles/:provider/:z/:x/:y.png', (req, res) => sendTile(req, res, req.params.provider));
 
-// Alternative tile sources that don't block access
-async function fetchFromAlternativeSource(z, x, y) {
-  const sources = [
-    // OpenTopoMap (colorful, hiking focused)
-    `https://tile.opentopomap.org/${z}/${x}/${y}.png`,
-    // WikiMedia tiles (full color OSM)
-    `https://maps.wikimedia.org/osm-intl/${z}/${x}/${y}.png`,
-    // CartoDB Positron as fallback
-    `https://cartodb-basemaps-a.global.ssl.fastly.net/light_all/${z}/${x}/${y}.png`
-  ];
-
-  for (const url of sources) {
-    try {
-      console.log(`Trying: ${url}`);
-      
-      const response = await new Promise((resolve, reject) => {
-        const request = https.get(url, {
-          headers: {
-            'User-Agent': 'BikeTrailProcessor/1.0 (Educational use)',
-            'Accept': 'image/png,image/*,*/*'
-          },
-          timeout: 5000
-        }, resolve);
-        
-        request.on('error', reject);
-        request.on('timeout', () => {
-          request.destroy();
-          reject(new Error('Request timeout'));
-        });
-      });
-
-      if (response.statusCode === 200) {
-        const chunks = [];
-        
-        response.on('data', chunk => chunks.push(chunk));
-        
-        return new Promise((resolve) => {
-          response.on('end', () => {
-            resolve(Buffer.concat(chunks));
-          });
-        });
-      }
-    } catch (error) {
-      console.log(`Failed to fetch from ${url}: ${error.message}`);
-      continue;
-    }
-  }
-  
-  return null;
-}
+// Older clients without a provider get the default style
+router.get('/tiles/:z/:x/:y.png', (req, res) => sendTile(req, res, config.DEFAULT_TILE_PROVIDER));
 
 // Cache management routes
 router.get('/cache/stats', async (req, res) => {
@@ -472,9 +291,15 @@ router.get('/cache/stats', async (req, res) => {
   }
 });
 
+// ?provider=<id> clears only that provider's tiles
 router.delete('/cache', async (req, res) => {
   try {
-    const result = await tileCache.clearCache();
+    const { provider } = req.query;
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ error: 'Unknown tile provider' });
+    }
+
+    const result = await tileCache.clearCache(provider || null);
     res.json(result);
   } catch (error) {
     console.error('Cache clear error:', error);
@@ -485,11 +310,15 @@ router.delete('/cache', async (req, res) => {
 router.delete('/cache/zoom/:level', async (req, res) => {
   try {
     const zoom = parseInt(req.params.level);
-    if (isNaN(zoom) || zoom < 0 || zoom > 18) {
+    if (isNaN(zoom) || zoom < 0 || zoom > 20) {
       return res.status(400).json({ error: 'Invalid zoom level' });
     }
+    const { provider } = req.query;
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ error: 'Unknown tile provider' });
+    }
     
-    const result = await tileCache.clearZoomLevel(zoom);
+    const result = await tileCache.clearZoomLevel(zoom, provider || null);
     res.json(result);
   } catch (error) {
     console.error('Cache zoom clear error:', error);
@@ -497,24 +326,98 @@ router.delete('/cache/zoom/:level', async (req, res) => {
   }
 });
 
-router.post('/cache/preload', async (req, res) => {
+// Run an eviction pass now instead of waiting for the background one
+router.post('/cache/evict', async (req, res) => {
   try {
-    const { bounds, minZoom = 10, maxZoom = 15 } = req.body;
-    
-    if (!bounds || !bounds.north || !bounds.south || !bounds.east || !bounds.west) {
-      return res.status(400).json({ error: 'Invalid bounds. Required: north, south, east, west' });
+    res.json(await tileCache.evict());
+  } catch (error) {
+    console.error('Cache eviction error:', error);
+    res.status(500).json({ error: 'Failed to evict tiles' });
+  }
+});
+
+// Tile count a preload would fetch, to show before starting it. Same body as /cache/preload
+router.post('/cache/preload/estimate', (req, res) => {
+  try {
+    res.json(estimatePreload(req.body || {}));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    // Start preload in background
-    tileCache.preloadBounds(bounds, minZoom, maxZoom)
-      .then(result => console.log('Preload completed:', result))
-      .catch(error => console.error('Preload failed:', error));
-    
-    res.json({ message: 'Preload started in background' });
+    console.error('Preload estimate error:', error);
+    res.status(500).json({ error: 'Failed to estimate preload' });
+  }
+});
+
+// Queue a tile preload job for the bounds; poll GET /cache/jobs/:id for progress
+// Body: { bounds: { north, south, east, west }, minZoom, maxZoom, provider }, plus
+// { mode: 'corridor', route: [[lat, lon], ...], radius, detailZoom } to fetch the detail zoom
+// only along the route
+router.post('/cache/preload', async (req, res) => {
+  try {
+    const job = await startPreloadJob(req.body || {});
+    res.status(202).json(job);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Preload error:', error);
     res.status(500).json({ error: 'Failed to start preload' });
   }
 });
 
+router.get('/cache/jobs', async (req, res) => {
+  try {
+    res.json(await listPreloadJobs());
+  } catch (error) {
+    console.error('Preload jobs error:', error);
+    res.status(500).json({ error: 'Failed to list preload jobs' });
+  }
+});
+
+router.get('/cache/jobs/:id', async (req, res) => {
+  try {
+    const job = await getPreloadJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Preload job error:', error);
+    res.status(500).json({ error: 'Failed to get preload job' });
+  }
+});
+
+// Pause a preload job after its current tile, or queue a paused/failed one again
+const preloadJobActions = {
+  pause: pausePreloadJob,
+  resume: resumePreloadJob
+};
+
+router.post('/cache/jobs/:id/:action(pause|resume)', async (req, res) => {
+  try {
+    const job = await preloadJobActions[req.params.action](req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error(`Preload job ${req.params.action} error:`, error);
+    res.status(500).json({ error: `Failed to ${req.params.action} preload job` });
+  }
+});
+
+router.delete('/cache/jobs/:id', async (req, res) => {
+  try {
+    const job = await cancelPreloadJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Preload job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel preload job' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
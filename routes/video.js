@@ -0,0 +1,177 @@
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { startVideoJob, getVideoJob, listVideoJobs, cancelVideoJob } = require('../utils/video-jobs');
+const router = express.Router();
+
+const VIDEO_FORMATS = ['mp4', 'webm'];
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024; // 16MB per upload request
+
+// Session names become file names, so anything that could leave the directory is refused
+function isValidSessionName(session) {
+  return /^[\w.-]+$/.test(session) && !session.includes('..');
+}
+
+function getUploadPaths(session, format) {
+  const fileName = `${session}_browser.${format}`;
+  return {
+    fileName,
+    partPath: path.join(config.VIDEO_DIR, `${fileName}.part`),
+    videoPath: path.join(config.VIDEO_DIR, fileName)
+  };
+}
+
+function readBody(req, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let totalSize = 0;
+
+    req.on('data', chunk => {
+      totalSize += chunk.length;
+      if (totalSize > maxSize) {
+        req.destroy();
+        reject(Object.assign(new Error('Upload too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// One chunk of a browser-encoded video, written at ?offset while the browser encodes it.
+// ?start=1 starts a new upload. The muxer doesn't write strictly in order (it patches headers
+// and may skip bytes), so any offset is accepted and /complete checks the final size.
+router.post('/video/:session/upload', async (req, res) => {
+  try {
+    const { session } = req.params;
+    const format = req.query.format;
+    const offset = parseInt(req.query.offset);
+    const start = req.query.start === '1';
+
+    if (!isValidSessionName(session)) {
+      return res.status(400).json({ error: 'Invalid session name' });
+    }
+    if (!VIDEO_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of ${VIDEO_FORMATS.join(', ')}` });
+    }
+    if (isNaN(offset) || offset < 0 || (start && offset !== 0)) {
+      return res.status(400).json({ error: 'Invalid offset' });
+    }
+
+    const { partPath } = getUploadPaths(session, format);
+    await fs.mkdir(config.VIDEO_DIR, { recursive: true });
+
+    const received = start ? 0 : await fs.stat(partPath).then(stats => stats.size).catch(() => null);
+    if (received === null) {
+      return res.status(404).json({ error: 'No upload in progress' });
+    }
+
+    const buffer = await readBody(req, MAX_CHUNK_SIZE);
+    const handle = await fs.open(partPath, start ? 'w' : 'r+');
+    try {
+      await handle.write(buffer, 0, buffer.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    res.json({ success: true, size: Math.max(received, offset + buffer.length) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error in video upload:', error);
+    res.status(500).json({ error: 'Video upload failed' });
+  }
+});
+
+// Check the received size and move the finished upload into place
+router.post('/video/:session/upload/complete', async (req, res) => {
+  try {
+    const { session } = req.params;
+    const format = req.query.format;
+    const size = parseInt(req.query.size);
+
+    if (!isValidSessionName(session)) {
+      return res.status(400).json({ error: 'Invalid session name' });
+    }
+    if (!VIDEO_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of ${VIDEO_FORMATS.join(', ')}` });
+    }
+
+    const { fileName, partPath, videoPath } = getUploadPaths(session, format);
+    const stats = await fs.stat(partPath).catch(() => null);
+    if (!stats) {
+      return res.status(404).json({ error: 'No upload in progress' });
+    }
+    if (!isNaN(size) && stats.size !== size) {
+      return res.status(400).json({ error: `Received ${stats.size} of ${size} bytes` });
+    }
+
+    await fs.rename(partPath, videoPath);
+    console.log(`Browser-encoded video saved: ${videoPath} (${stats.size} bytes)`);
+    res.json({ success: true, file: fileName, path: videoPath, size: stats.size });
+  } catch (error) {
+    console.error('Error completing video upload:', error);
+    res.status(500).json({ error: 'Failed to complete video upload' });
+  }
+});
+
+// Make a video from output/<session>/*.jpg with ffmpeg in the background
+// Body: { framerate, crf, size, codec }, defaults from VIDEO_DEFAULTS
+router.post('/video/:session', async (req, res) => {
+  try {
+    const job = await startVideoJob(req.params.session, req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error starting video job:', error);
+    res.status(500).json({ error: 'Failed to start video job' });
+  }
+});
+
+router.get('/video/jobs', (req, res) => {
+  res.json(listVideoJobs());
+});
+
+router.get('/video/jobs/:id', (req, res) => {
+  const job = getVideoJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+router.delete('/video/jobs/:id', (req, res) => {
+  const job = cancelVideoJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Download a finished video from videos/
+router.get('/videos/:file', async (req, res) => {
+  try {
+    const { file } = req.params;
+    if (!/^[\w.-]+\.(mp4|webm)$/.test(file)) {
+      return res.status(400).json({ error: 'Invalid video file name' });
+    }
+
+    const videoPath = path.resolve(config.VIDEO_DIR, file);
+    const exists = await fs.stat(videoPath).then(stats => stats.isFile()).catch(() => false);
+    if (!exists) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.download(videoPath);
+  } catch (error) {
+    console.error('Error downloading video:', error);
+    res.status(500).json({ error: 'Failed to download video' });
+  }
+});
+
+module.exports = router;
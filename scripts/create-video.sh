@@ -3,29 +3,35 @@
 # Bike Trail Video Creator
 # Converts processed images from a session folder into an MP4 video using ffmpeg
 
-# Usage: ./create-video.sh <session_name> [framerate] [quality] [size]
+# Usage: ./create-video.sh <session_name> [framerate|realtime] [quality] [size] [speed]
 # Example: ./create-video.sh h1 30 23 1080p
+#          ./create-video.sh h1 realtime 23 1080p 10
 
 # Default values
 DEFAULT_FRAMERATE=30
 DEFAULT_QUALITY=23  # Lower is better quality (18-28 range)
 DEFAULT_SIZE="original"  # original, 1080p, 720p, 4k
+DEFAULT_SPEED=1  # Speed-up of real-time videos
 
 # Check if session name is provided
 if [ -z "$1" ]; then
-    echo "Usage: $0 <session_name> [framerate] [quality] [size]"
+    echo "Usage: $0 <session_name> [framerate|realtime] [quality] [size] [speed]"
     echo ""
     echo "Arguments:"
     echo "  session_name  - Name of the session folder in output/ directory"
-    echo "  framerate     - Video framerate (default: $DEFAULT_FRAMERATE fps)"
+    echo "  framerate     - Video framerate (default: $DEFAULT_FRAMERATE fps), or 'realtime' to show"
+    echo "                  each frame until the next one was taken (trimmed stops are not"
+    echo "                  left out; use the web app for those)"
     echo "  quality       - Video quality 18-28, lower=better (default: $DEFAULT_QUALITY)"
     echo "  size          - Video size: original, 1080p, 720p, 4k (default: $DEFAULT_SIZE)"
+    echo "  speed         - Speed-up of a realtime video (default: ${DEFAULT_SPEED}x)"
     echo ""
     echo "Examples:"
     echo "  $0 h1                    # Create video with default settings (2560x1440)"
     echo "  $0 h1 24                 # Create video at 24fps"
     echo "  $0 h1 30 20              # Create video at 30fps with quality 20"
     echo "  $0 h1 30 23 1080p        # Create 1080p video (1920x1080)"
+    echo "  $0 h1 realtime 23 1080p 10  # Play the ride back at 10x its real pace"
     echo ""
     exit 1
 fi
@@ -34,13 +40,22 @@ SESSION_NAME="$1"
 FRAMERATE="${2:-$DEFAULT_FRAMERATE}"
 QUALITY="${3:-$DEFAULT_QUALITY}"
 SIZE="${4:-$DEFAULT_SIZE}"
+SPEED="${5:-$DEFAULT_SPEED}"
 
 # Paths
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
 INPUT_DIR="$PROJECT_DIR/output/$SESSION_NAME"
 OUTPUT_DIR="$PROJECT_DIR/videos"
-OUTPUT_FILE="$OUTPUT_DIR/${SESSION_NAME}_${FRAMERATE}fps_q${QUALITY}_${SIZE}.mp4"
+
+# Same names as the video jobs of the web app (utils/video-jobs.js)
+if [ "$FRAMERATE" = "realtime" ]; then
+    RATE_PART="realtime"
+    [ "$SPEED" != "1" ] && RATE_PART="realtime_x${SPEED}"
+else
+    RATE_PART="${FRAMERATE}fps"
+fi
+OUTPUT_FILE="$OUTPUT_DIR/${SESSION_NAME}_${RATE_PART}_q${QUALITY}_${SIZE}.mp4"
 
 # Set video dimensions based on size parameter
 case "$SIZE" in
@@ -67,7 +82,11 @@ echo "================================"
 echo "Session:     $SESSION_NAME"
 echo "Input Dir:   $INPUT_DIR"
 echo "Output File: $OUTPUT_FILE"
-echo "Framerate:   ${FRAMERATE}fps"
+if [ "$FRAMERATE" = "realtime" ]; then
+    echo "Timing:      real time at ${SPEED}x"
+else
+    echo "Framerate:   ${FRAMERATE}fps"
+fi
 echo "Quality:     $QUALITY (lower=better)"
 echo "Size:        ${SIZE}${VIDEO_SIZE:+ ($VIDEO_SIZE)}"
 echo ""
@@ -104,14 +123,37 @@ fi
 
 echo "🎬 Starting video creation..."
 
-# Calculate estimated duration
-DURATION=$(echo "scale=1; $IMAGE_COUNT / $FRAMERATE" | bc -l)
+# Real-time videos read the frames through an ffconcat list: frames are named <timestamp>.jpg
+# and each one is shown until the next one was taken, divided by the speed-up. The end card
+# frames are 1 ms apart and play at the default frame rate instead. Unlike buildConcatList in
+# utils/video-jobs.js, this doesn't know about trimmed stops, so the time of a skipped or
+# compressed stop stays in the video; use the web app's video jobs for those sessions.
+if [ "$FRAMERATE" = "realtime" ]; then
+    CONCAT_FILE="$OUTPUT_DIR/$(basename "$OUTPUT_FILE").ffconcat"
+    find "$INPUT_DIR" -maxdepth 1 -name "*.jpg" -printf "%f\n" | sort -n | awk \
+        -v dir="$INPUT_DIR" -v speed="$SPEED" -v framerate="$DEFAULT_FRAMERATE" '
+        { files[NR] = $0; timestamps[NR] = $0 + 0 }
+        END {
+            print "ffconcat version 1.0"
+            for (i = 1; i <= NR; i++) {
+                delta = i < NR ? timestamps[i + 1] - timestamps[i] : 0
+                duration = delta > 1 ? delta / 1000 / speed : 1 / framerate
+                printf "file '\''%s/%s'\''\nduration %.6f\n", dir, files[i], duration
+            }
+            # ffmpeg ignores the duration of the last entry, so it is listed twice
+            printf "file '\''%s/%s'\''\n", dir, files[NR]
+        }' > "$CONCAT_FILE"
+    DURATION=$(awk '/^duration/ { total += $2 } END { printf "%.1f", total }' "$CONCAT_FILE")
+    INPUT_ARGS=(-f concat -safe 0 -i "$CONCAT_FILE" -vsync vfr)
+else
+    DURATION=$(echo "scale=1; $IMAGE_COUNT / $FRAMERATE" | bc -l)
+    INPUT_ARGS=(-pattern_type glob -framerate "$FRAMERATE" -i "$INPUT_DIR/*.jpg")
+fi
 echo "📊 Estimated video duration: ${DURATION}s"
 
 # Create the video using ffmpeg
-# -pattern_type glob: Use glob pattern for input
-# -framerate: Input framerate
-# -i: Input pattern (sorted by filename)
+# -f concat / -vsync vfr: Per-frame durations from the concat list (realtime)
+# -pattern_type glob / -framerate: Frames sorted by filename at a fixed rate
 # -vf scale: Scale video to specified size (if not original)
 # -c:v libx264: Use H.264 codec
 # -crf: Constant Rate Factor (quality)
@@ -119,35 +161,25 @@ echo "📊 Estimated video duration: ${DURATION}s"
 # -movflags +faststart: Optimize for web streaming
 # -y: Overwrite output file if exists
 
+SCALE_ARGS=()
 if [ -n "$VIDEO_SIZE" ]; then
-    # Scale video to specified size
-    ffmpeg \
-        -pattern_type glob \
-        -framerate "$FRAMERATE" \
-        -i "$INPUT_DIR/*.jpg" \
-        -vf "scale=$VIDEO_SIZE" \
-        -c:v libx264 \
-        -crf "$QUALITY" \
-        -pix_fmt yuv420p \
-        -movflags +faststart \
-        -y \
-        "$OUTPUT_FILE"
-else
-    # Use original image dimensions
-    ffmpeg \
-        -pattern_type glob \
-        -framerate "$FRAMERATE" \
-        -i "$INPUT_DIR/*.jpg" \
-        -c:v libx264 \
-        -crf "$QUALITY" \
-        -pix_fmt yuv420p \
-        -movflags +faststart \
-        -y \
-        "$OUTPUT_FILE"
+    SCALE_ARGS=(-vf "scale=$VIDEO_SIZE")
 fi
 
+ffmpeg \
+    "${INPUT_ARGS[@]}" \
+    "${SCALE_ARGS[@]}" \
+    -c:v libx264 \
+    -crf "$QUALITY" \
+    -pix_fmt yuv420p \
+    -movflags +faststart \
+    -y \
+    "$OUTPUT_FILE"
+FFMPEG_STATUS=$?
+[ -n "$CONCAT_FILE" ] && rm -f "$CONCAT_FILE"
+
 # Check if ffmpeg succeeded
-if [ $? -eq 0 ]; then
+if [ $FFMPEG_STATUS -eq 0 ]; then
     # Get output file size
     FILE_SIZE=$(ls -lh "$OUTPUT_FILE" | awk '{print $5}')
     
@@ -155,7 +187,7 @@ if [ $? -eq 0 ]; then
     echo "✅ Video created successfully!"
     echo "📁 Output: $OUTPUT_FILE"
     echo "📏 Size: $FILE_SIZE"
-    echo "🎯 Settings: ${FRAMERATE}fps, quality $QUALITY"
+    echo "🎯 Settings: ${RATE_PART}, quality $QUALITY"
     echo ""
     echo "🎬 You can now play your bike trail video:"
     echo "   open '$OUTPUT_FILE'"
@@ -0,0 +1,193 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { loadSession } = require('../utils/session');
+const { getProvider, readCachedTile } = require('../utils/tile-fetcher');
+const TileCache = require('../utils/tile-cache');
+const MBTiles = require('../utils/mbtiles');
+const { writePMTiles } = require('../utils/pmtiles');
+
+const MBTILES_BATCH = 500; // Tiles per SQLite transaction
+
+// Packs the tiles already cached for a region (tile-cache/ and any archive for the provider)
+// into one .mbtiles or .pmtiles file. Copy it to TILE_ARCHIVE_DIR as <provider>.<format> on
+// another machine to render fully offline. Tiles that were never cached are left out.
+
+// Route bounds of a session with 10% padding, same as "Preload Current Routes"
+async function getSessionBounds(sessionName) {
+  const { images } = await loadSession(sessionName);
+  const gpsImages = images.filter(img => img.lat && img.lon);
+  if (gpsImages.length === 0) {
+    throw new Error(`No GPS data found in session ${sessionName}`);
+  }
+
+  const lats = gpsImages.map(img => img.lat);
+  const lons = gpsImages.map(img => img.lon);
+  const bounds = {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lons),
+    west: Math.min(...lons)
+  };
+
+  const latPadding = (bounds.north - bounds.south) * 0.1;
+  const lonPadding = (bounds.east - bounds.west) * 0.1;
+  bounds.north += latPadding;
+  bounds.south -= latPadding;
+  bounds.east += lonPadding;
+  bounds.west -= lonPadding;
+  return bounds;
+}
+
+function parseBounds(value) {
+  const [north, south, east, west] = value.split(',').map(parseFloat);
+  if ([north, south, east, west].some(isNaN) || north <= south || east <= west) {
+    throw new Error('Bounds must be north,south,east,west');
+  }
+  return { north, south, east, west };
+}
+
+async function writeMBTiles(filePath, tiles, readTile, { bounds, attribution, name, minZoom, maxZoom }) {
+  const archive = new MBTiles(filePath, { create: true });
+  let written = 0;
+
+  try {
+    archive.setMetadata({
+      name,
+      format: 'png',
+      type: 'baselayer',
+      attribution,
+      bounds: [bounds.west, bounds.south, bounds.east, bounds.north].join(','),
+      minzoom: minZoom,
+      maxzoom: maxZoom
+    });
+
+    let batch = [];
+    for (const tile of tiles) {
+      const buffer = await readTile(tile);
+      if (!buffer) continue;
+
+      batch.push({ ...tile, buffer });
+      if (batch.length === MBTILES_BATCH) {
+        archive.putTiles(batch);
+        written += batch.length;
+        batch = [];
+      }
+    }
+    archive.putTiles(batch);
+    written += batch.length;
+  } finally {
+    await archive.close();
+  }
+  return written;
+}
+
+async function exportTiles(providerId, { bounds, minZoom, maxZoom, format, out }) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown tile provider ${providerId} (see TILE_PROVIDERS in config.js)`);
+  }
+
+  // Tiles are worked out one at a time rather than listed, so a large region doesn't sit in memory
+  const tileCache = new TileCache();
+  const deepestZoom = Math.min(maxZoom, provider.maxZoom);
+  const total = tileCache.countTilesInBounds(bounds, minZoom, deepestZoom);
+  const tiles = tileCache.iterateTilesInBounds(bounds, minZoom, deepestZoom);
+  console.log(`Packing up to ${total} cached ${provider.name} tiles (zoom ${minZoom}-${maxZoom}) into ${out}`);
+
+  let checked = 0;
+  const progressInterval = Math.max(1000, Math.ceil(total / 10));
+  const readTile = async tile => {
+    checked++;
+    if (checked % progressInterval === 0) {
+      console.log(`Progress: ${checked}/${total}`);
+    }
+    // An export isn't a use of the tiles, so it leaves their eviction order alone
+    return readCachedTile(provider.id, tile.z, tile.x, tile.y, { recordAccess: false });
+  };
+
+  // Written next to the target and renamed, so an archive being exported from can be replaced
+  const tempPath = `${out}.tmp`;
+  const metadata = { bounds, attribution: provider.attribution, name: provider.name, minZoom, maxZoom };
+  await fs.mkdir(path.dirname(path.resolve(out)), { recursive: true });
+  await fs.rm(tempPath, { force: true });
+
+  try {
+    const written = format === 'pmtiles'
+      ? await writePMTiles(tempPath, tiles, readTile, metadata)
+      : await writeMBTiles(tempPath, tiles, readTile, metadata);
+
+    if (written === 0) {
+      throw new Error('No cached tiles in that region. Preload the route first.');
+    }
+
+    await fs.rename(tempPath, out);
+    const { size } = await fs.stat(out);
+    console.log(`Exported ${written} tiles (${total - written} not cached) to ${out} (${tileCache.humanFileSize(size)})`);
+    return { written, missing: total - written, total };
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return {
+    providerId: positional[0],
+    options: {
+      session: options.session,
+      bounds: options.bounds,
+      minZoom: options['min-zoom'] !== undefined ? parseInt(options['min-zoom']) : 10,
+      maxZoom: options['max-zoom'] !== undefined ? parseInt(options['max-zoom']) : 16,
+      format: options.format,
+      out: options.out
+    }
+  };
+}
+
+async function main() {
+  const { providerId, options } = parseArgs(process.argv.slice(2));
+
+  if (!providerId || (!options.session && !options.bounds)) {
+    console.log('Usage: node scripts/export-tiles.js <provider> (--session <name> | --bounds north,south,east,west) [--min-zoom 10] [--max-zoom 16] [--format mbtiles|pmtiles] [--out file]');
+    process.exit(1);
+  }
+
+  try {
+    // The format follows the output file's extension unless given
+    const extension = options.out ? path.extname(options.out).slice(1).toLowerCase() : '';
+    const format = options.format || (extension === 'pmtiles' ? 'pmtiles' : 'mbtiles');
+    if (format !== 'mbtiles' && format !== 'pmtiles') {
+      throw new Error(`Unknown format ${format} (mbtiles or pmtiles)`);
+    }
+    if (isNaN(options.minZoom) || isNaN(options.maxZoom) || options.minZoom < 0 || options.minZoom > options.maxZoom) {
+      throw new Error('Invalid zoom range');
+    }
+
+    const bounds = options.bounds ? parseBounds(options.bounds) : await getSessionBounds(options.session);
+    const out = options.out || `${providerId}.${format}`;
+
+    await exportTiles(providerId, { ...options, bounds, format, out });
+    process.exit(0);
+  } catch (error) {
+    console.error('Export failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { exportTiles };
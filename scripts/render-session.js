@@ -0,0 +1,359 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createCanvas, loadImage, Path2D } = require('@napi-rs/canvas');
+const config = require('../config');
+const { loadSession, rescanSession } = require('../utils/session');
+const { renderDetailMap, renderRouteMap } = require('../utils/map-renderer');
+const { getProvider } = require('../utils/tile-fetcher');
+const { flushIndex, flushIndexOnExit } = require('../utils/tile-index');
+const { getImagePath } = require('../utils/video-session');
+const { loadLayout } = require('../utils/layouts');
+const { calculateRideStats } = require('../utils/stats');
+const { detectStops } = require('../utils/stops');
+const { getManifest, setSettings, recordRendered, recordFailure, flushManifest } = require('../utils/progress-manifest');
+
+// The shared overlay code draws with the browser's global Path2D
+globalThis.Path2D = Path2D;
+
+// Renders a whole session to output/<session>/ without a browser, using the
+// same overlay layout templates as the web UI. Privacy blurring needs MediaPipe in the
+// browser worker, so frames rendered here are not blurred.
+class SessionRenderer {
+  constructor(sessionName, options = {}) {
+    this.sessionName = sessionName;
+    this.width = options.width || 2560;
+    this.height = options.height || 1440;
+    this.altitudeUnit = options.unit || 'ft';
+    this.detailZoom = options.zoom || 17;
+    this.tileProvider = options.tiles || config.DEFAULT_TILE_PROVIDER;
+    this.frameInterval = options.interval || 1;
+    this.frameSelection = options.select || 'interval';
+    this.distanceStep = options.step || 5;
+    this.minSpeed = options.minSpeed || 0;
+    this.targetLength = options.targetLength || 0;
+    this.stopMode = options.stops || config.STOP_MODE;
+    this.minStopDuration = options.minStop || config.STOP_DETECTION.minDuration;
+    this.quality = options.quality || 90;
+    this.resume = options.resume || false;
+    this.trackMode = options.trackMode || config.TRACK_MODE;
+    this.trackOffset = options.trackOffset ?? config.TRACK_CLOCK_OFFSET;
+    this.videoFps = options.fps || config.VIDEO_SESSION_FPS;
+    this.statsDisplay = options.stats || 'off';
+    this.gpsFilters = options.filters || config.GPS_FILTERS;
+    this.demMode = options.dem || config.DEM_MODE;
+    this.profileResolution = options.profileResolution || 100;
+    this.profileSmoothing = options.profileSmoothing ?? 100;
+    this.layoutName = options.layout || config.DEFAULT_LAYOUT;
+    this.outputDir = path.join(config.OUTPUT_DIR, sessionName);
+    this.lastValidBearing = 90;
+    this.bikeFacing = 'east';
+  }
+
+  async loadModules() {
+    // Browser utils are ES modules, so they are imported dynamically
+    this.overlayUtils = await import('../public/src/overlayUtils.js');
+    this.gpsUtils = await import('../public/src/gpsUtils.js');
+    this.altitudeUtils = await import('../public/src/altitudeUtils.js');
+    this.timeUtils = await import('../public/src/timeUtils.js');
+    this.layoutUtils = await import('../public/src/layoutUtils.js');
+  }
+
+  // Image indices to render: every Nth image, or equal distance steps for a hyperlapse
+  // with the frames of detected stops skipped or compressed to a short time-lapse
+  selectFrames(images) {
+    let frames = [];
+    if (this.frameSelection === 'distance') {
+      frames = this.gpsUtils.selectFramesByDistance(images, {
+        step: this.distanceStep,
+        minSpeed: this.minSpeed,
+        maxFrames: this.targetLength * config.VIDEO_DEFAULTS.framerate
+      });
+    } else {
+      for (let i = 0; i < images.length; i += this.frameInterval) {
+        frames.push(i);
+      }
+    }
+
+    if (this.stopMode !== 'off') {
+      const stops = detectStops(images, { ...config.STOP_DETECTION, minDuration: this.minStopDuration });
+      console.log(`${stops.length} stops of ${this.minStopDuration}s or longer (${this.stopMode})`);
+      frames = this.gpsUtils.trimStops(images, frames, stops, {
+        mode: this.stopMode,
+        compressFrames: config.STOP_COMPRESS_FRAMES
+      });
+    }
+
+    return frames;
+  }
+
+  // Pixel size a map widget takes on the frame
+  getWidgetSize(widget) {
+    const rect = this.layoutUtils.getWidgetRect(this.layout, widget, this.width, this.height);
+    return { width: rect.width, height: rect.height };
+  }
+
+  async renderDetailMap(images, index) {
+    const widget = this.layoutUtils.findWidget(this.layout, 'detailMap');
+    const image = images[index];
+    if (!widget || !image.lat || !image.lon) return null;
+
+    const bearing = this.gpsUtils.calculateDetailBearing(images, index, this.lastValidBearing);
+    this.lastValidBearing = bearing;
+    this.bikeFacing = this.gpsUtils.getBikeFacing(bearing, this.bikeFacing);
+
+    const detailMap = await renderDetailMap({
+      lat: image.lat,
+      lon: image.lon,
+      zoom: this.detailZoom,
+      bearing,
+      facing: this.bikeFacing,
+      provider: this.tileProvider,
+      ...this.getWidgetSize(widget)
+    });
+
+    this.overlayUtils.applyFadeToCanvas(detailMap.getContext('2d'), detailMap.width, detailMap.height);
+    return detailMap;
+  }
+
+  async renderRouteMap(images, index) {
+    const widget = this.layoutUtils.findWidget(this.layout, 'routeMap');
+    if (!widget || !this.gpsImages.length) return null;
+
+    const image = images[index];
+    return renderRouteMap({
+      points: this.gpsImages,
+      current: image.lat && image.lon ? image : null,
+      bearing: this.lastValidBearing,
+      facing: this.bikeFacing,
+      provider: this.tileProvider,
+      ...this.getWidgetSize(widget)
+    });
+  }
+
+  // Images of a composite session live in their source folders, video frames in the frame cache
+  getPhotoPath(image) {
+    return getImagePath(image.source || this.sessionName, image.filename);
+  }
+
+  async renderFrame(overlay, images, index) {
+    const image = images[index];
+    const { ctx } = overlay;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    const photo = await loadImage(this.getPhotoPath(image));
+    ctx.drawImage(photo, 0, 0, this.width, this.height);
+
+    const showPanel = this.statsDisplay === 'panel' || this.statsDisplay === 'both';
+    this.overlayUtils.drawLayout(overlay, this.layout, {
+      index,
+      detailMap: await this.renderDetailMap(images, index),
+      routeMap: await this.renderRouteMap(images, index),
+      stats: showPanel ? this.rideStats : null
+    });
+
+    const jpeg = await overlay.canvas.encode('jpeg', this.quality);
+    await fs.writeFile(path.join(this.outputDir, `${image.timestamp}.jpg`), jpeg);
+  }
+
+  // Ride stats over the dimmed last photo, written as extra frames after it
+  async renderEndCard(overlay, images) {
+    const last = images[images.length - 1];
+    const photo = await loadImage(this.getPhotoPath(last));
+    overlay.ctx.drawImage(photo, 0, 0, this.width, this.height);
+    this.overlayUtils.drawEndCard(overlay, this.rideStats, this.sessionName);
+
+    const jpeg = await overlay.canvas.encode('jpeg', this.quality);
+    for (let i = 1; i <= this.overlayUtils.END_CARD_FRAMES; i++) {
+      await fs.writeFile(path.join(this.outputDir, `${last.timestamp + i}.jpg`), jpeg);
+    }
+    console.log(`End card written (${this.overlayUtils.END_CARD_FRAMES} frames)`);
+  }
+
+  async render() {
+    if (!getProvider(this.tileProvider)) {
+      throw new Error(`Unknown tile provider ${this.tileProvider} (see TILE_PROVIDERS in config.js)`);
+    }
+
+    await this.loadModules();
+    this.layout = await loadLayout(this.layoutName);
+
+    // Pick up photos changed since xmp.json was written; loadSession itself only reads the cache
+    await rescanSession(this.sessionName, { fps: this.videoFps });
+    const { images } = await loadSession(this.sessionName, {
+      trackMode: this.trackMode,
+      trackOffset: this.trackOffset,
+      fps: this.videoFps,
+      filters: this.gpsFilters,
+      dem: this.demMode
+    });
+    if (images.length === 0) {
+      throw new Error(`No images found in session ${this.sessionName}`);
+    }
+
+    this.gpsImages = images.filter(image => image.lat && image.lon);
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    // Same settings the web UI records, so either can resume the other's run
+    const settings = {
+      altitudeUnit: this.altitudeUnit,
+      frameInterval: this.frameInterval,
+      frameSelection: this.frameSelection,
+      distanceStep: this.distanceStep,
+      minSpeed: this.minSpeed,
+      targetLength: this.targetLength,
+      stopMode: this.stopMode,
+      minStopDuration: this.minStopDuration,
+      keptStops: [],
+      detailZoom: this.detailZoom,
+      tileProvider: this.tileProvider,
+      trackMode: this.trackMode,
+      trackOffset: this.trackOffset,
+      videoFps: this.videoFps,
+      gpsFilters: this.gpsFilters.join(','),
+      demMode: this.demMode,
+      profileResolution: this.profileResolution,
+      profileSmoothing: this.profileSmoothing,
+      statsDisplay: this.statsDisplay,
+      layout: this.layoutName
+    };
+    const previous = await getManifest(this.sessionName);
+    const settingsChanged = previous.settings && JSON.stringify(previous.settings) !== JSON.stringify(settings);
+    if (this.resume && settingsChanged) {
+      console.warn('Resuming frames that were rendered with different settings');
+    }
+    const skip = this.resume ? new Set(previous.rendered) : new Set();
+    await setSettings(this.sessionName, settings, !this.resume);
+
+    this.rideStats = calculateRideStats(images);
+
+    const canvas = createCanvas(this.width, this.height);
+    const bikeIcon = await loadImage(path.join(__dirname, '..', 'public', 'images', 'luis_bike_100_east.png'));
+    const overlay = {
+      canvas,
+      ctx: canvas.getContext('2d'),
+      width: this.width,
+      height: this.height,
+      images,
+      elevationProfile: this.altitudeUtils.buildElevationProfile(images, {
+        resolution: this.profileResolution,
+        smoothing: this.profileSmoothing
+      }),
+      altitudeUnit: this.altitudeUnit,
+      bikeIcon
+    };
+
+    const selected = this.selectFrames(images);
+    const frames = selected.filter(i => !skip.has(images[i].timestamp));
+
+    const totalFrames = frames.length;
+    const skipped = selected.length - totalFrames;
+    console.log(`Rendering ${totalFrames} frames for session ${this.sessionName} to ${this.outputDir}${skipped ? ` (${skipped} already rendered)` : ''}`);
+
+    const startTime = Date.now();
+    let rendered = 0;
+    let failed = 0;
+
+    for (const i of frames) {
+      try {
+        await this.renderFrame(overlay, images, i);
+        await recordRendered(this.sessionName, images[i].timestamp);
+        rendered++;
+      } catch (error) {
+        failed++;
+        await recordFailure(this.sessionName, images[i].timestamp, error.message);
+        console.error(`Failed to render ${images[i].filename}: ${error.message}`);
+      }
+
+      const done = rendered + failed;
+      if (done % 50 === 0 || done === totalFrames) {
+        const elapsed = Date.now() - startTime;
+        const remaining = (elapsed / done) * (totalFrames - done);
+        console.log(`Progress: ${done}/${totalFrames} (${failed} failed) - Est. time remaining: ${this.timeUtils.formatTimeEstimate(remaining)}`);
+      }
+    }
+
+    if (this.statsDisplay === 'endcard' || this.statsDisplay === 'both') {
+      await this.renderEndCard(overlay, images);
+    }
+
+    await flushManifest(this.sessionName);
+    console.log(`Render complete: ${rendered} rendered, ${failed} failed in ${this.timeUtils.formatTimeEstimate(Date.now() - startTime)}`);
+    return { rendered, failed, total: totalFrames };
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--resume') {
+      options.resume = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return {
+    sessionName: positional[0],
+    options: {
+      unit: options.unit,
+      zoom: options.zoom && parseInt(options.zoom),
+      tiles: options.tiles,
+      interval: options.interval && parseInt(options.interval),
+      select: options.select,
+      step: options.step && parseFloat(options.step),
+      minSpeed: options['min-speed'] && parseFloat(options['min-speed']),
+      targetLength: options['target-length'] && parseInt(options['target-length']),
+      stops: options.stops,
+      minStop: options['min-stop'] && parseInt(options['min-stop']),
+      width: options.width && parseInt(options.width),
+      height: options.height && parseInt(options.height),
+      quality: options.quality && parseInt(options.quality),
+      resume: options.resume,
+      trackMode: options['track-mode'],
+      trackOffset: options['track-offset'] !== undefined ? parseFloat(options['track-offset']) : undefined,
+      fps: options.fps && parseFloat(options.fps),
+      stats: options.stats,
+      layout: options.layout,
+      dem: options.dem,
+      profileResolution: options['profile-resolution'] && parseInt(options['profile-resolution']),
+      profileSmoothing: options['profile-smoothing'] !== undefined ? parseInt(options['profile-smoothing']) : undefined,
+      filters: options.filters !== undefined ? options.filters.split(',').filter(Boolean) : undefined
+    }
+  };
+}
+
+async function main() {
+  const { sessionName, options } = parseArgs(process.argv.slice(2));
+
+  if (!sessionName) {
+    console.log('Usage: node scripts/render-session.js <session> [--unit ft|m] [--zoom 17] [--tiles cyclosm] [--interval 1] [--select interval|distance] [--step 5] [--min-speed 0] [--target-length 0] [--stops off|skip|compress] [--min-stop 120] [--width 2560] [--height 1440] [--quality 90] [--resume] [--track-mode fill|override] [--track-offset 0] [--fps 2] [--stats off|panel|endcard|both] [--filters outliers,kalman,average] [--profile-resolution 100] [--profile-smoothing 100] [--dem off|replace|blend] [--layout default]');
+    process.exit(1);
+  }
+
+  flushIndexOnExit();
+  try {
+    const renderer = new SessionRenderer(sessionName, options);
+    const result = await renderer.render();
+    await flushIndex();
+    process.exit(result.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Render failed:', error);
+    await flushIndex();
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = SessionRenderer;
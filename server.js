@@ -1,9 +1,13 @@
 const express = require('express');
 const path = require('path');
 const config = require('./config');
+const { flushIndexOnExit } = require('./utils/tile-index');
 
 const app = express();
 
+// Tile access times are saved in batches; don't lose the last ones on Ctrl-C
+flushIndexOnExit();
+
 // Add request timeout and size limits to prevent memory leaks
 app.use((req, res, next) => {
   // Set request timeout to 5 minutes
@@ -22,7 +26,22 @@ app.use(express.json({
 app.use(express.static('public'));
 app.use('/sessions', express.static('sessions'));
 
+// Frames extracted from video sessions are named frames/<key>/<file> but kept outside the session
+app.get('/sessions/:session/frames/:key/:file', (req, res, next) => {
+  const { session, key, file } = req.params;
+  res.sendFile(path.join(session, key, file), { root: path.resolve(config.FRAME_CACHE_DIR) }, error => {
+    if (error) next();
+  });
+});
+
+// Muxers for in-browser video encoding, served from node_modules so rendering works offline
+app.use('/vendor/mp4-muxer', express.static(path.join(__dirname, 'node_modules/mp4-muxer/build')));
+app.use('/vendor/webm-muxer', express.static(path.join(__dirname, 'node_modules/webm-muxer/build')));
+
 app.use('/api', require('./routes/process'));
+app.use('/api', require('./routes/map'));
+app.use('/api', require('./routes/layouts'));
+app.use('/api', require('./routes/video'));
 
 // Global error handler to prevent crashes
 app.use((err, req, res, next) => {
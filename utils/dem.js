@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+const HGT_VOID = -32768;
+const MAX_WINDOW_PIXELS = 16 * 1024 * 1024; // Read GeoTIFFs point by point above this
+const MAX_CACHED_HGT = 4; // .hgt files are up to 25MB each
+
+// geotiff is an ES module, loaded on first use
+let geotiff = null;
+async function getGeoTiff() {
+  if (!geotiff) geotiff = await import('geotiff');
+  return geotiff;
+}
+
+const hgtCache = new Map();
+
+// SRTM tile name for the 1x1 degree cell containing a point, e.g. N33W112
+function getHgtName(lat, lon) {
+  const latCell = Math.floor(lat);
+  const lonCell = Math.floor(lon);
+  const ns = latCell >= 0 ? 'N' : 'S';
+  const ew = lonCell >= 0 ? 'E' : 'W';
+  return `${ns}${String(Math.abs(latCell)).padStart(2, '0')}${ew}${String(Math.abs(lonCell)).padStart(3, '0')}`;
+}
+
+async function loadHgt(hgtPath) {
+  if (hgtCache.has(hgtPath)) return hgtCache.get(hgtPath);
+
+  const buffer = await fs.readFile(hgtPath);
+  // 1201x1201 (3 arc-second) or 3601x3601 (1 arc-second) big-endian int16 samples
+  const size = Math.round(Math.sqrt(buffer.length / 2));
+  const tile = { buffer, size };
+
+  hgtCache.set(hgtPath, tile);
+  if (hgtCache.size > MAX_CACHED_HGT) {
+    hgtCache.delete(hgtCache.keys().next().value);
+  }
+  return tile;
+}
+
+// Bilinear interpolation of a 2x2 neighbourhood, skipping void samples
+function bilinear(values, fx, fy) {
+  const weights = [(1 - fx) * (1 - fy), fx * (1 - fy), (1 - fx) * fy, fx * fy];
+  let sum = 0;
+  let weightSum = 0;
+
+  values.forEach((value, i) => {
+    if (value === null) return;
+    sum += value * weights[i];
+    weightSum += weights[i];
+  });
+
+  return weightSum > 0 ? sum / weightSum : null;
+}
+
+function sampleHgt(tile, lat, lon) {
+  const { buffer, size } = tile;
+  // Row 0 is the northern edge of the cell
+  const x = (lon - Math.floor(lon)) * (size - 1);
+  const y = (Math.floor(lat) + 1 - lat) * (size - 1);
+  const x0 = Math.min(Math.floor(x), size - 2);
+  const y0 = Math.min(Math.floor(y), size - 2);
+
+  const read = (col, row) => {
+    const value = buffer.readInt16BE((row * size + col) * 2);
+    return value === HGT_VOID ? null : value;
+  };
+
+  return bilinear(
+    [read(x0, y0), read(x0 + 1, y0), read(x0, y0 + 1), read(x0 + 1, y0 + 1)],
+    x - x0,
+    y - y0
+  );
+}
+
+// Open every GeoTIFF in the DEM directory (expected in lat/lon, e.g. EPSG:4326)
+async function loadGeoTiffs(demDir, files) {
+  const { fromFile } = await getGeoTiff();
+  const tiffs = [];
+
+  for (const file of files.filter(name => /\.tiff?$/i.test(name))) {
+    try {
+      const tiff = await fromFile(path.join(demDir, file));
+      const image = await tiff.getImage();
+      const [west, south, east, north] = image.getBoundingBox();
+      const noData = image.getGDALNoData();
+      tiffs.push({ file, image, west, south, east, north, noData, width: image.getWidth(), height: image.getHeight() });
+    } catch (error) {
+      console.warn(`Skipping DEM file ${file}:`, error.message);
+    }
+  }
+
+  return tiffs;
+}
+
+// Sample all points that fall inside one GeoTIFF, reading a single window when it is small enough
+async function sampleGeoTiff(tiff, points, results) {
+  const toPixel = point => ({
+    x: (point.lon - tiff.west) / (tiff.east - tiff.west) * tiff.width - 0.5,
+    y: (tiff.north - point.lat) / (tiff.north - tiff.south) * tiff.height - 0.5
+  });
+  const clampX = x => Math.max(0, Math.min(tiff.width - 1, x));
+  const clampY = y => Math.max(0, Math.min(tiff.height - 1, y));
+
+  const pixels = points.map(({ point }) => toPixel(point));
+  const minX = clampX(Math.floor(Math.min(...pixels.map(pixel => pixel.x))));
+  const minY = clampY(Math.floor(Math.min(...pixels.map(pixel => pixel.y))));
+  const maxX = clampX(Math.ceil(Math.max(...pixels.map(pixel => pixel.x))) + 1);
+  const maxY = clampY(Math.ceil(Math.max(...pixels.map(pixel => pixel.y))) + 1);
+
+  const readWindow = async (x0, y0, x1, y1) => {
+    const [raster] = await tiff.image.readRasters({ window: [x0, y0, x1 + 1, y1 + 1] });
+    const rowWidth = x1 - x0 + 1;
+    return (col, row) => {
+      const value = raster[(clampY(row) - y0) * rowWidth + (clampX(col) - x0)];
+      return value === tiff.noData || isNaN(value) ? null : value;
+    };
+  };
+
+  const windowPixels = (maxX - minX + 1) * (maxY - minY + 1);
+  const sharedRead = windowPixels <= MAX_WINDOW_PIXELS ? await readWindow(minX, minY, maxX, maxY) : null;
+
+  for (let i = 0; i < points.length; i++) {
+    const { x, y } = pixels[i];
+    const x0 = clampX(Math.floor(x));
+    const y0 = clampY(Math.floor(y));
+    const read = sharedRead || await readWindow(x0, y0, clampX(x0 + 1), clampY(y0 + 1));
+
+    results[points[i].index] = bilinear(
+      [read(x0, y0), read(x0 + 1, y0), read(x0, y0 + 1), read(x0 + 1, y0 + 1)],
+      Math.max(0, x - x0),
+      Math.max(0, y - y0)
+    );
+  }
+}
+
+// Elevation in meters for each { lat, lon } from the DEM files in demDir (null where not covered)
+async function sampleElevations(points, demDir = config.DEM_DIR) {
+  const results = new Array(points.length).fill(null);
+  const files = await fs.readdir(demDir).catch(() => []);
+  if (files.length === 0) return results;
+
+  // SRTM .hgt tiles are found by name
+  const hgtFiles = new Map(files
+    .filter(name => name.toLowerCase().endsWith('.hgt'))
+    .map(name => [path.basename(name, path.extname(name)).toUpperCase(), path.join(demDir, name)]));
+
+  const remaining = [];
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (!point.lat || !point.lon) continue;
+
+    const hgtPath = hgtFiles.get(getHgtName(point.lat, point.lon));
+    if (hgtPath) {
+      results[i] = sampleHgt(await loadHgt(hgtPath), point.lat, point.lon);
+    }
+    if (results[i] === null) remaining.push({ index: i, point });
+  }
+
+  // Anything not covered by .hgt tiles is looked up in the GeoTIFFs
+  if (remaining.length > 0) {
+    const tiffs = await loadGeoTiffs(demDir, files);
+    for (const tiff of tiffs) {
+      const inside = remaining.filter(({ index, point }) => results[index] === null &&
+        point.lat <= tiff.north && point.lat >= tiff.south &&
+        point.lon >= tiff.west && point.lon <= tiff.east);
+      if (inside.length > 0) await sampleGeoTiff(tiff, inside, results);
+    }
+  }
+
+  return results;
+}
+
+// Correct image altitudes from the DEM. 'replace' uses the DEM wherever it has data; 'blend'
+// mixes DEM and recorded altitude by DEM_BLEND, using the DEM alone when alt is missing or 0.
+// Corrected images keep the recorded value in rawAlt.
+async function applyDem(images, mode, blend = config.DEM_BLEND) {
+  if (mode !== 'replace' && mode !== 'blend') return { images, corrected: 0 };
+
+  const elevations = await sampleElevations(images);
+  let corrected = 0;
+
+  const result = images.map((image, i) => {
+    const demAlt = elevations[i];
+    if (demAlt === null) return image;
+
+    corrected++;
+    const alt = mode === 'blend' && image.alt
+      ? demAlt * blend + image.alt * (1 - blend)
+      : demAlt;
+    return { ...image, alt, rawAlt: image.alt };
+  });
+
+  return { images: result, corrected };
+}
+
+module.exports = {
+  getHgtName,
+  sampleElevations,
+  applyDem
+};
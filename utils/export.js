@@ -0,0 +1,117 @@
+// GPX and GeoJSON export of a session's images array
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined && !isNaN(value);
+}
+
+function getGpsImages(images) {
+  return images.filter(image => image.lat && image.lon);
+}
+
+// GPX 1.1 track; speed (m/s) and course go in the Garmin TrackPointExtension that Strava reads
+function toGpx(sessionName, images) {
+  const points = getGpsImages(images).map(image => {
+    const lines = [`      <trkpt lat="${image.lat}" lon="${image.lon}">`];
+    if (hasValue(image.alt)) lines.push(`        <ele>${image.alt}</ele>`);
+    lines.push(`        <time>${new Date(image.timestamp).toISOString()}</time>`);
+
+    if (hasValue(image.speed) || hasValue(image.compass)) {
+      lines.push('        <extensions>');
+      lines.push('          <gpxtpx:TrackPointExtension>');
+      if (hasValue(image.speed)) lines.push(`            <gpxtpx:speed>${image.speed}</gpxtpx:speed>`);
+      if (hasValue(image.compass)) lines.push(`            <gpxtpx:course>${image.compass}</gpxtpx:course>`);
+      lines.push('          </gpxtpx:TrackPointExtension>');
+      lines.push('        </extensions>');
+    }
+
+    lines.push('      </trkpt>');
+    return lines.join('\n');
+  });
+
+  const startTime = images.length > 0 ? new Date(images[0].timestamp).toISOString() : new Date().toISOString();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ttvideo"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${escapeXml(sessionName)}</name>
+    <time>${startTime}</time>
+  </metadata>
+  <trk>
+    <name>${escapeXml(sessionName)}</name>
+    <type>cycling</type>
+    <trkseg>
+${points.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+// GeoJSON FeatureCollection: the track as a LineString plus one Point per photo
+function toGeoJson(sessionName, images) {
+  const gpsImages = getGpsImages(images);
+  const toCoordinate = image => hasValue(image.alt) ? [image.lon, image.lat, image.alt] : [image.lon, image.lat];
+
+  const features = [];
+
+  if (gpsImages.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: gpsImages.map(toCoordinate)
+      },
+      properties: {
+        name: sessionName,
+        startTime: new Date(gpsImages[0].timestamp).toISOString(),
+        endTime: new Date(gpsImages[gpsImages.length - 1].timestamp).toISOString(),
+        // Per-vertex values, same order as the coordinates
+        coordinateProperties: {
+          times: gpsImages.map(image => new Date(image.timestamp).toISOString()),
+          speeds: gpsImages.map(image => image.speed ?? null),
+          compass: gpsImages.map(image => image.compass ?? null)
+        }
+      }
+    });
+  }
+
+  for (const image of gpsImages) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: toCoordinate(image)
+      },
+      properties: {
+        filename: image.filename,
+        timestamp: image.timestamp,
+        time: new Date(image.timestamp).toISOString(),
+        alt: image.alt ?? null,
+        speed: image.speed ?? null,
+        compass: image.compass ?? null
+      }
+    });
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+module.exports = {
+  toGpx,
+  toGeoJson
+};
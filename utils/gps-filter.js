@@ -0,0 +1,186 @@
+const config = require('../config');
+const { EARTH_RADIUS, haversineDistance } = require('./geo');
+
+const FILTERS = ['outliers', 'kalman', 'average'];
+const DEFAULT_ACCURACY = 10; // meters, assumed when a photo has no accuracy value
+const INITIAL_SPEED = 10; // m/s, uncertainty of the rider's speed before the second fix
+
+function hasGps(image) {
+  return Boolean(image.lat && image.lon);
+}
+
+function getAccuracy(image) {
+  return image.accuracy > 0 ? image.accuracy : DEFAULT_ACCURACY;
+}
+
+// Speed-gated outlier rejection: drop fixes with poor accuracy or an impossible jump from
+// the last good fix, then fill them in by time interpolation between the good neighbours
+function removeOutliers(images, { maxSpeed, maxAccuracy }) {
+  const result = images.map(image => ({ ...image }));
+  let lastGood = null;
+
+  for (const image of result) {
+    if (!hasGps(image)) continue;
+
+    if (image.accuracy && image.accuracy > maxAccuracy) {
+      image.outlier = true;
+      continue;
+    }
+
+    if (lastGood) {
+      const seconds = (image.timestamp - lastGood.timestamp) / 1000;
+      const distance = haversineDistance(lastGood.lat, lastGood.lon, image.lat, image.lon);
+      // Allow for the accuracy radius of both fixes before calling it a jump
+      const slack = getAccuracy(lastGood) + getAccuracy(image);
+      if (seconds > 0 && (distance - slack) / seconds > maxSpeed) {
+        image.outlier = true;
+        continue;
+      }
+    }
+    lastGood = image;
+  }
+
+  // Interpolate rejected fixes from the nearest good ones
+  const good = result.filter(image => hasGps(image) && !image.outlier);
+  let next = 0;
+  for (const image of result) {
+    if (!image.outlier) continue;
+
+    while (next < good.length && good[next].timestamp < image.timestamp) next++;
+    const before = good[next - 1];
+    const after = good[next];
+
+    if (before && after) {
+      const ratio = (image.timestamp - before.timestamp) / (after.timestamp - before.timestamp);
+      image.lat = before.lat + (after.lat - before.lat) * ratio;
+      image.lon = before.lon + (after.lon - before.lon) * ratio;
+    } else {
+      const nearest = before || after;
+      if (nearest) {
+        image.lat = nearest.lat;
+        image.lon = nearest.lon;
+      }
+    }
+  }
+
+  return result;
+}
+
+// One axis of a constant-velocity Kalman filter: position and speed in meters along the axis,
+// covariance [[pp, pv], [pv, vv]]
+function predictAxis(axis, seconds, processNoise) {
+  const q = processNoise * processNoise;
+  axis.position += axis.velocity * seconds;
+  axis.pp += seconds * (2 * axis.pv + seconds * axis.vv) + q * seconds * seconds * seconds / 3;
+  axis.pv += seconds * axis.vv + q * seconds * seconds / 2;
+  axis.vv += q * seconds;
+}
+
+function updateAxis(axis, measured, variance) {
+  const positionGain = axis.pp / (axis.pp + variance);
+  const velocityGain = axis.pv / (axis.pp + variance);
+  const error = measured - axis.position;
+
+  axis.position += positionGain * error;
+  axis.velocity += velocityGain * error;
+  axis.vv -= velocityGain * axis.pv;
+  axis.pv *= (1 - positionGain);
+  axis.pp *= (1 - positionGain);
+}
+
+// Kalman filter with a constant-velocity model, so a moving rider isn't pulled back towards
+// where they were. Works in meters east/north of the first fix; measurement noise comes from
+// each fix's accuracy and processNoise is how fast the speed is expected to change (m/s²).
+function kalmanFilter(images, { processNoise }) {
+  const result = images.map(image => ({ ...image }));
+  const origin = result.find(hasGps);
+  if (!origin) return result;
+
+  const metersPerDegree = EARTH_RADIUS * Math.PI / 180;
+  const metersPerLonDegree = metersPerDegree * Math.cos(origin.lat * Math.PI / 180);
+  const initialSpeedVariance = INITIAL_SPEED * INITIAL_SPEED;
+  let state = null;
+
+  for (const image of result) {
+    if (!hasGps(image)) continue;
+
+    const variance = getAccuracy(image) * getAccuracy(image);
+    const east = (image.lon - origin.lon) * metersPerLonDegree;
+    const north = (image.lat - origin.lat) * metersPerDegree;
+
+    if (!state) {
+      state = {
+        east: { position: east, velocity: 0, pp: variance, pv: 0, vv: initialSpeedVariance },
+        north: { position: north, velocity: 0, pp: variance, pv: 0, vv: initialSpeedVariance },
+        timestamp: image.timestamp
+      };
+      continue;
+    }
+
+    const seconds = Math.max(0, (image.timestamp - state.timestamp) / 1000);
+    predictAxis(state.east, seconds, processNoise);
+    predictAxis(state.north, seconds, processNoise);
+    updateAxis(state.east, east, variance);
+    updateAxis(state.north, north, variance);
+    state.timestamp = image.timestamp;
+
+    image.lat = origin.lat + state.north.position / metersPerDegree;
+    image.lon = origin.lon + state.east.position / metersPerLonDegree;
+  }
+
+  return result;
+}
+
+// Centered moving average over GPS fixes, weighted by 1/accuracy²
+function movingAverage(images, { window }) {
+  const gpsIndices = [];
+  images.forEach((image, i) => {
+    if (hasGps(image)) gpsIndices.push(i);
+  });
+
+  const result = images.map(image => ({ ...image }));
+  const half = Math.floor(window / 2);
+
+  gpsIndices.forEach((imageIndex, i) => {
+    let latSum = 0;
+    let lonSum = 0;
+    let weightSum = 0;
+
+    for (let j = Math.max(0, i - half); j <= Math.min(gpsIndices.length - 1, i + half); j++) {
+      const image = images[gpsIndices[j]];
+      const weight = 1 / (getAccuracy(image) * getAccuracy(image));
+      latSum += image.lat * weight;
+      lonSum += image.lon * weight;
+      weightSum += weight;
+    }
+
+    result[imageIndex].lat = latSum / weightSum;
+    result[imageIndex].lon = lonSum / weightSum;
+  });
+
+  return result;
+}
+
+// Run the selected filters (always in outliers, kalman, average order). Filtered images keep
+// their original coordinates in rawLat/rawLon; lat/lon hold the cleaned values.
+function applyFilters(images, filters = [], options = {}) {
+  const selected = FILTERS.filter(filter => filters.includes(filter));
+  if (selected.length === 0) return images;
+
+  const settings = { ...config.GPS_FILTER, ...options };
+  let result = images.map(image => ({ ...image, rawLat: image.lat, rawLon: image.lon }));
+
+  if (selected.includes('outliers')) result = removeOutliers(result, settings);
+  if (selected.includes('kalman')) result = kalmanFilter(result, settings);
+  if (selected.includes('average')) result = movingAverage(result, settings);
+
+  return result;
+}
+
+module.exports = {
+  FILTERS,
+  removeOutliers,
+  kalmanFilter,
+  movingAverage,
+  applyFilters
+};
@@ -0,0 +1,45 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+// Layout names map straight to file names, so keep them to safe characters
+function isValidLayoutName(name) {
+  return /^[\w-]+$/.test(name);
+}
+
+async function loadLayout(name = config.DEFAULT_LAYOUT) {
+  if (!isValidLayoutName(name)) {
+    throw new Error(`Invalid layout name: ${name}`);
+  }
+
+  const layout = JSON.parse(await fs.readFile(path.join(config.LAYOUT_DIR, `${name}.json`), 'utf8'));
+  if (!Array.isArray(layout.widgets)) {
+    throw new Error(`Layout ${name} has no widgets array`);
+  }
+  return { ...layout, id: name };
+}
+
+// Summary of every template in LAYOUT_DIR, skipping files that don't parse
+async function listLayouts() {
+  const files = await fs.readdir(config.LAYOUT_DIR).catch(() => []);
+  const layouts = [];
+
+  for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+    const id = path.basename(file, '.json');
+    if (!isValidLayoutName(id)) continue;
+
+    try {
+      const layout = await loadLayout(id);
+      layouts.push({ id, name: layout.name || id, description: layout.description || '' });
+    } catch (error) {
+      console.warn(`Skipping layout ${file}:`, error.message);
+    }
+  }
+
+  return layouts;
+}
+
+module.exports = {
+  loadLayout,
+  listLayouts
+};
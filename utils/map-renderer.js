@@ -0,0 +1,265 @@
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const config = require('../config');
+const { getTile, getProvider } = require('./tile-fetcher');
+
+const TILE_SIZE = 256;
+const MAX_ZOOM = 18;
+const BACKGROUND_COLOR = '#e5e3df'; // OSM-like background for missing tiles
+const ROUTE_COLOR = '#e74c3c'; // Part of the route already ridden
+const REMAINING_COLOR = 'rgba(44, 62, 80, 0.55)'; // Part still ahead
+const MAX_CACHED_BASES = 8;
+const ICON_DIR = path.join(__dirname, '..', 'public', 'images');
+
+// Bike icons are loaded once and reused for every frame
+const bikeIcons = {};
+
+// Route map backgrounds (tiles only) by viewport, since they don't change between frames
+const routeBases = new Map();
+
+async function getBikeIcon(facing) {
+  if (!bikeIcons[facing]) {
+    bikeIcons[facing] = loadImage(path.join(ICON_DIR, `luis_bike_100_${facing}.png`)).catch(error => {
+      console.warn(`Failed to load ${facing} bike icon:`, error.message);
+      return null;
+    });
+  }
+  return bikeIcons[facing];
+}
+
+// East/west icon choice for requests that don't say which way the bike faces. Clients track
+// the facing across frames (getBikeFacing in public/src/gpsUtils.js) and pass it instead, so
+// the north and south deadbands keep the previous facing; without it they default to east.
+function getFacing(bearing) {
+  if (bearing === null || bearing === undefined || isNaN(bearing)) return 'east';
+  const normalized = ((bearing % 360) + 360) % 360;
+  return normalized > 185 && normalized < 355 ? 'west' : 'east';
+}
+
+// Web Mercator projection to global pixel coordinates at the given zoom
+function latLonToPixel(lat, lon, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const latRad = lat * Math.PI / 180;
+  const x = (lon + 180) / 360 * scale;
+  const y = (1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * scale;
+  return { x, y };
+}
+
+// Highest integer zoom where the bounds fit inside width x height (like Leaflet's fitBounds)
+function getFitZoom(bounds, width, height, padding = 10, maxZoom = MAX_ZOOM) {
+  const availableWidth = Math.max(1, width - padding * 2);
+  const availableHeight = Math.max(1, height - padding * 2);
+
+  for (let zoom = maxZoom; zoom > 0; zoom--) {
+    const nw = latLonToPixel(bounds.north, bounds.west, zoom);
+    const se = latLonToPixel(bounds.south, bounds.east, zoom);
+    if (se.x - nw.x <= availableWidth && se.y - nw.y <= availableHeight) {
+      return zoom;
+    }
+  }
+  return 0;
+}
+
+function getRouteBounds(points) {
+  const lats = points.map(point => point.lat);
+  const lons = points.map(point => point.lon);
+  return {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lons),
+    west: Math.min(...lons)
+  };
+}
+
+// Draw the provider's tiles covering the viewport whose top-left corner is (originX, originY) in global pixels.
+// Returns the number of tiles that could not be drawn.
+async function drawTiles(ctx, provider, zoom, originX, originY, width, height) {
+  const tileCount = Math.pow(2, zoom);
+  const minTileX = Math.floor(originX / TILE_SIZE);
+  const maxTileX = Math.floor((originX + width - 1) / TILE_SIZE);
+  const minTileY = Math.max(0, Math.floor(originY / TILE_SIZE));
+  const maxTileY = Math.min(tileCount - 1, Math.floor((originY + height - 1) / TILE_SIZE));
+
+  let missing = 0;
+  const draws = [];
+  for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+    for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+      // Wrap around the antimeridian
+      const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+      const destX = Math.round(tileX * TILE_SIZE - originX);
+      const destY = Math.round(tileY * TILE_SIZE - originY);
+
+      draws.push(getTile(zoom, wrappedX, tileY, provider.id)
+        .then(tile => tile ? loadImage(tile.buffer) : null)
+        .then(image => {
+          if (image) ctx.drawImage(image, destX, destY, TILE_SIZE, TILE_SIZE);
+          else missing++;
+        })
+        .catch(error => {
+          missing++;
+          console.warn(`Failed to draw tile ${zoom}/${wrappedX}/${tileY}:`, error.message);
+        }));
+    }
+  }
+
+  await Promise.all(draws);
+  return missing;
+}
+
+// Tile background for a route map viewport, cached once every tile has loaded
+async function getRouteBase(provider, zoom, originX, originY, width, height) {
+  const key = `${provider.id}/${zoom}/${originX}/${originY}/${width}x${height}`;
+  if (routeBases.has(key)) return routeBases.get(key);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = BACKGROUND_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  const missing = await drawTiles(ctx, provider, zoom, originX, originY, width, height);
+  if (missing === 0) {
+    routeBases.set(key, canvas);
+    if (routeBases.size > MAX_CACHED_BASES) {
+      routeBases.delete(routeBases.keys().next().value);
+    }
+  }
+  return canvas;
+}
+
+function strokeRoute(ctx, pixels, color) {
+  if (pixels.length < 2) return;
+
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  pixels.forEach((pixel, i) => {
+    if (i === 0) ctx.moveTo(pixel.x, pixel.y);
+    else ctx.lineTo(pixel.x, pixel.y);
+  });
+  ctx.stroke();
+}
+
+function drawAttribution(ctx, provider, width, height) {
+  const text = provider.attribution;
+  ctx.font = '10px Arial';
+  const textWidth = ctx.measureText(text).width;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.fillRect(width - textWidth - 10, height - 16, textWidth + 10, 16);
+  ctx.fillStyle = '#333';
+  ctx.fillText(text, width - textWidth - 5, height - 4);
+}
+
+async function drawBikeMarker(ctx, x, y, size, bearing, facing) {
+  const icon = await getBikeIcon(facing || getFacing(bearing));
+  if (!icon) return;
+
+  // Anchor at bottom center, same as the Leaflet marker
+  ctx.drawImage(icon, x - size / 2, y - size, size, size);
+}
+
+// Provider for a map request, or the default one when none is given
+function resolveProvider(providerId) {
+  const provider = getProvider(providerId || config.DEFAULT_TILE_PROVIDER);
+  if (!provider) throw new Error(`Unknown tile provider: ${providerId}`);
+  return provider;
+}
+
+// Render a street-level map centred on the current position. The zoom is capped at the
+// provider's maxZoom, since it has no tiles past that.
+async function renderDetailMap({ lat, lon, zoom = 17, bearing = null, facing = null, width = 600, height = 400, provider: providerId = null }) {
+  const provider = resolveProvider(providerId);
+  zoom = Math.min(zoom, provider.maxZoom);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = BACKGROUND_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  const center = latLonToPixel(lat, lon, zoom);
+  const originX = center.x - width / 2;
+  const originY = center.y - height / 2;
+
+  await drawTiles(ctx, provider, zoom, originX, originY, width, height);
+  await drawBikeMarker(ctx, width / 2, height / 2, 50, bearing, facing);
+  drawAttribution(ctx, provider, width, height);
+
+  return canvas;
+}
+
+// Render the whole route fitted to the canvas, with the part ridden up to the current
+// position in ROUTE_COLOR, the rest in REMAINING_COLOR and a marker at the current position
+async function renderRouteMap({ points, current = null, bearing = null, facing = null, width = 600, height = 400, padding = 10, provider: providerId = null }) {
+  const provider = resolveProvider(providerId);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  const gpsPoints = points.filter(point => point.lat && point.lon);
+  if (gpsPoints.length === 0) {
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, width, height);
+    return canvas;
+  }
+
+  const bounds = getRouteBounds(gpsPoints);
+  const zoom = getFitZoom(bounds, width, height, padding, Math.min(MAX_ZOOM, provider.maxZoom));
+
+  // Center the route bounds in the viewport
+  const nw = latLonToPixel(bounds.north, bounds.west, zoom);
+  const se = latLonToPixel(bounds.south, bounds.east, zoom);
+  const originX = (nw.x + se.x) / 2 - width / 2;
+  const originY = (nw.y + se.y) / 2 - height / 2;
+
+  ctx.drawImage(await getRouteBase(provider, zoom, originX, originY, width, height), 0, 0);
+
+  const toCanvas = point => {
+    const pixel = latLonToPixel(point.lat, point.lon, zoom);
+    return { x: pixel.x - originX, y: pixel.y - originY };
+  };
+  const hasCurrent = current && current.lat && current.lon;
+
+  // Split at the current position; without one the whole route counts as ridden
+  let ridden = gpsPoints.map(toCanvas);
+  let remaining = [];
+  if (hasCurrent) {
+    const position = toCanvas(current);
+    const split = gpsPoints.findIndex(point => point.timestamp > current.timestamp);
+    if (split !== -1) {
+      ridden = [...gpsPoints.slice(0, split).map(toCanvas), position];
+      remaining = [position, ...gpsPoints.slice(split).map(toCanvas)];
+    }
+  }
+
+  ctx.lineWidth = 3;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  strokeRoute(ctx, remaining, REMAINING_COLOR);
+  strokeRoute(ctx, ridden, ROUTE_COLOR);
+
+  if (hasCurrent) {
+    const pixel = toCanvas(current);
+
+    // Exact position under the bike icon
+    ctx.fillStyle = ROUTE_COLOR;
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(pixel.x, pixel.y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    await drawBikeMarker(ctx, pixel.x, pixel.y, 35, bearing, facing);
+  }
+
+  drawAttribution(ctx, provider, width, height);
+
+  return canvas;
+}
+
+module.exports = {
+  renderDetailMap,
+  renderRouteMap,
+  latLonToPixel,
+  getFitZoom,
+  getFacing
+};
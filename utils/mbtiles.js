@@ -0,0 +1,107 @@
+const Database = require('better-sqlite3');
+
+// Metadata rows with the tile count and total tile size, so stats don't read every tile
+const TILE_COUNT = 'tile_count';
+const TILE_SIZE = 'tile_size';
+
+// MBTiles 1.3 (https://github.com/mapbox/mbtiles-spec): an SQLite file with a tiles table
+// and a name/value metadata table. Rows are TMS, so y counts up from the bottom.
+class MBTiles {
+  constructor(filePath, { create = false } = {}) {
+    this.filePath = filePath;
+    this.format = 'mbtiles';
+    this.db = new Database(filePath, { fileMustExist: !create });
+
+    if (create) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS metadata (name TEXT, value TEXT);
+        CREATE UNIQUE INDEX IF NOT EXISTS metadata_name ON metadata (name);
+        CREATE TABLE IF NOT EXISTS tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+        CREATE UNIQUE INDEX IF NOT EXISTS tile_index ON tiles (zoom_level, tile_column, tile_row);
+      `);
+    }
+
+    // Archives built by other tools often make tiles a view over deduplicated tables
+    const tilesTable = this.db.prepare("SELECT type FROM sqlite_master WHERE name = 'tiles'").get();
+    this.writable = Boolean(tilesTable && tilesTable.type === 'table');
+
+    this.selectTile = this.db.prepare(
+      'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+    );
+    this.selectMetadata = this.db.prepare('SELECT value FROM metadata WHERE name = ?');
+    if (this.writable) {
+      this.selectTileSize = this.db.prepare(
+        'SELECT LENGTH(tile_data) AS size FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+      );
+      this.insertTile = this.db.prepare(
+        'INSERT OR REPLACE INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)'
+      );
+      this.addToMetadata = this.db.prepare(
+        'UPDATE metadata SET value = CAST(value AS INTEGER) + ? WHERE name = ?'
+      );
+      this.countTiles();
+    }
+  }
+
+  // Archives from other tools or older versions don't have the count and size rows yet, so
+  // they are counted once. Read-only archives can't store them and keep them in memory.
+  countTiles() {
+    const tiles = this.selectMetadata.get(TILE_COUNT);
+    const size = this.selectMetadata.get(TILE_SIZE);
+    if (tiles && size) return { tiles: Number(tiles.value), size: Number(size.value) };
+    if (this.counted) return this.counted;
+
+    const row = this.db.prepare('SELECT COUNT(*) AS tiles, COALESCE(SUM(LENGTH(tile_data)), 0) AS size FROM tiles').get();
+    this.counted = { tiles: row.tiles, size: row.size };
+    if (this.writable) this.setMetadata({ [TILE_COUNT]: row.tiles, [TILE_SIZE]: row.size });
+    return this.counted;
+  }
+
+  // Insert or replace one tile and keep the count and size rows in step; callers run it in a transaction
+  writeTile(z, x, y, buffer) {
+    const row = Math.pow(2, z) - 1 - y;
+    const previous = this.selectTileSize.get(z, x, row);
+    this.insertTile.run(z, x, row, buffer);
+    this.addToMetadata.run(previous ? 0 : 1, TILE_COUNT);
+    this.addToMetadata.run(buffer.length - (previous ? previous.size : 0), TILE_SIZE);
+  }
+
+  // Tile bytes, or null when the archive doesn't have it
+  async getTile(z, x, y) {
+    const row = this.selectTile.get(z, x, Math.pow(2, z) - 1 - y);
+    return row ? row.tile_data : null;
+  }
+
+  async putTile(z, x, y, buffer) {
+    if (!this.writable) throw new Error(`${this.filePath} is read-only`);
+    this.db.transaction(() => this.writeTile(z, x, y, buffer))();
+  }
+
+  // Many tiles in one transaction, much faster than putTile for exports
+  putTiles(tiles) {
+    this.db.transaction(() => {
+      for (const { z, x, y, buffer } of tiles) {
+        this.writeTile(z, x, y, buffer);
+      }
+    })();
+  }
+
+  setMetadata(metadata) {
+    const upsert = this.db.prepare('INSERT OR REPLACE INTO metadata (name, value) VALUES (?, ?)');
+    this.db.transaction(() => {
+      for (const [name, value] of Object.entries(metadata)) {
+        upsert.run(name, String(value));
+      }
+    })();
+  }
+
+  async getStats() {
+    return this.countTiles();
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = MBTiles;
@@ -0,0 +1,385 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// PMTiles v3 (https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md):
+// a 127-byte header, a root directory, JSON metadata, leaf directories and the tile data,
+// with tiles addressed by their position on a Hilbert curve across all zoom levels.
+const HEADER_SIZE = 127;
+const ROOT_SIZE_LIMIT = 16384 - HEADER_SIZE; // Header and root directory fit in the first 16 KB
+const MAX_DIRECTORY_DEPTH = 3;
+const MAX_CACHED_LEAVES = 64;
+
+const COMPRESSION = { unknown: 0, none: 1, gzip: 2, brotli: 3, zstd: 4 };
+const TILE_TYPE = { unknown: 0, mvt: 1, png: 2, jpeg: 3, webp: 4, avif: 5 };
+
+function rotate(n, xy, rx, ry) {
+  if (ry === 0) {
+    if (rx === 1) {
+      xy[0] = n - 1 - xy[0];
+      xy[1] = n - 1 - xy[1];
+    }
+    [xy[0], xy[1]] = [xy[1], xy[0]];
+  }
+}
+
+// Tiles of every lower zoom come first, then the Hilbert curve index within zoom z
+function zxyToTileId(z, x, y) {
+  const n = Math.pow(2, z);
+  if (z > 26 || x < 0 || y < 0 || x >= n || y >= n) {
+    throw new Error(`Tile ${z}/${x}/${y} is outside the PMTiles range`);
+  }
+
+  let tileId = (n * n - 1) / 3;
+  const xy = [x, y];
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (xy[0] & s) > 0 ? 1 : 0;
+    const ry = (xy[1] & s) > 0 ? 1 : 0;
+    tileId += s * s * ((3 * rx) ^ ry);
+    rotate(s, xy, rx, ry);
+  }
+  return tileId;
+}
+
+// Varints can exceed 32 bits, so they are built with arithmetic instead of bit shifts
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+function readVarint(buffer, position) {
+  let value = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    byte = buffer[position.offset++];
+    value += (byte & 0x7f) * multiplier;
+    multiplier *= 0x80;
+  } while (byte & 0x80);
+  return value;
+}
+
+function decompress(buffer, compression) {
+  if (compression === COMPRESSION.none || compression === COMPRESSION.unknown) return buffer;
+  if (compression === COMPRESSION.gzip) return zlib.gunzipSync(buffer);
+  if (compression === COMPRESSION.brotli) return zlib.brotliDecompressSync(buffer);
+  throw new Error(`Unsupported PMTiles compression ${compression}`);
+}
+
+// Directory entries are stored column by column: tile ID deltas, run lengths, lengths, offsets.
+// An offset of 0 means "right after the previous entry's data".
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  }
+  for (const entry of entries) writeVarint(bytes, entry.runLength);
+  for (const entry of entries) writeVarint(bytes, entry.length);
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    if (previous && entry.offset === previous.offset + previous.length) {
+      writeVarint(bytes, 0);
+    } else {
+      writeVarint(bytes, entry.offset + 1);
+    }
+  });
+
+  return zlib.gzipSync(Buffer.from(bytes));
+}
+
+function deserializeDirectory(buffer) {
+  const position = { offset: 0 };
+  const count = readVarint(buffer, position);
+  const entries = [];
+
+  let lastId = 0;
+  for (let i = 0; i < count; i++) {
+    lastId += readVarint(buffer, position);
+    entries.push({ tileId: lastId, runLength: 0, length: 0, offset: 0 });
+  }
+  for (const entry of entries) entry.runLength = readVarint(buffer, position);
+  for (const entry of entries) entry.length = readVarint(buffer, position);
+  entries.forEach((entry, i) => {
+    const value = readVarint(buffer, position);
+    entry.offset = value === 0 && i > 0
+      ? entries[i - 1].offset + entries[i - 1].length
+      : value - 1;
+  });
+
+  return entries;
+}
+
+// Entry covering tileId: an exact match, a run that includes it, or a leaf directory
+// (runLength 0) whose range may contain it
+function findEntry(entries, tileId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const difference = tileId - entries[middle].tileId;
+    if (difference > 0) low = middle + 1;
+    else if (difference < 0) high = middle - 1;
+    else return entries[middle];
+  }
+
+  if (high >= 0) {
+    const entry = entries[high];
+    if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) return entry;
+  }
+  return null;
+}
+
+function writeUint64(buffer, value, offset) {
+  buffer.writeBigUInt64LE(BigInt(value), offset);
+}
+
+function readUint64(buffer, offset) {
+  return Number(buffer.readBigUInt64LE(offset));
+}
+
+function serializeHeader(header) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  buffer.write('PMTiles', 0, 'ascii');
+  buffer.writeUInt8(3, 7);
+  writeUint64(buffer, header.rootOffset, 8);
+  writeUint64(buffer, header.rootLength, 16);
+  writeUint64(buffer, header.metadataOffset, 24);
+  writeUint64(buffer, header.metadataLength, 32);
+  writeUint64(buffer, header.leafOffset, 40);
+  writeUint64(buffer, header.leafLength, 48);
+  writeUint64(buffer, header.tileDataOffset, 56);
+  writeUint64(buffer, header.tileDataLength, 64);
+  writeUint64(buffer, header.addressedTiles, 72);
+  writeUint64(buffer, header.tileEntries, 80);
+  writeUint64(buffer, header.tileContents, 88);
+  buffer.writeUInt8(0, 96); // Not clustered: tile data is in the order it was read, not tile ID order
+  buffer.writeUInt8(COMPRESSION.gzip, 97);
+  buffer.writeUInt8(COMPRESSION.none, 98);
+  buffer.writeUInt8(header.tileType, 99);
+  buffer.writeUInt8(header.minZoom, 100);
+  buffer.writeUInt8(header.maxZoom, 101);
+  buffer.writeInt32LE(Math.round(header.bounds.west * 1e7), 102);
+  buffer.writeInt32LE(Math.round(header.bounds.south * 1e7), 106);
+  buffer.writeInt32LE(Math.round(header.bounds.east * 1e7), 110);
+  buffer.writeInt32LE(Math.round(header.bounds.north * 1e7), 114);
+  buffer.writeUInt8(header.minZoom, 118);
+  buffer.writeInt32LE(Math.round((header.bounds.west + header.bounds.east) / 2 * 1e7), 119);
+  buffer.writeInt32LE(Math.round((header.bounds.south + header.bounds.north) / 2 * 1e7), 123);
+  return buffer;
+}
+
+function deserializeHeader(buffer) {
+  if (buffer.toString('ascii', 0, 7) !== 'PMTiles' || buffer.readUInt8(7) !== 3) {
+    throw new Error('Not a PMTiles v3 archive');
+  }
+
+  return {
+    rootOffset: readUint64(buffer, 8),
+    rootLength: readUint64(buffer, 16),
+    metadataOffset: readUint64(buffer, 24),
+    metadataLength: readUint64(buffer, 32),
+    leafOffset: readUint64(buffer, 40),
+    leafLength: readUint64(buffer, 48),
+    tileDataOffset: readUint64(buffer, 56),
+    tileDataLength: readUint64(buffer, 64),
+    addressedTiles: readUint64(buffer, 72),
+    internalCompression: buffer.readUInt8(97),
+    tileCompression: buffer.readUInt8(98),
+    tileType: buffer.readUInt8(99),
+    minZoom: buffer.readUInt8(100),
+    maxZoom: buffer.readUInt8(101)
+  };
+}
+
+// Read-only access to a .pmtiles file. PMTiles is written once (see writePMTiles), so
+// tiles can't be added to an existing archive.
+class PMTiles {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.format = 'pmtiles';
+    this.writable = false;
+    this.handle = null;
+    this.header = null;
+    this.rootDirectory = null;
+    this.leafDirectories = new Map();
+  }
+
+  async open() {
+    this.handle = await fs.open(this.filePath, 'r');
+    this.header = deserializeHeader(await this.read(0, HEADER_SIZE));
+    this.rootDirectory = await this.readDirectory(this.header.rootOffset, this.header.rootLength);
+    return this;
+  }
+
+  async read(offset, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await this.handle.read(buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  async readDirectory(offset, length) {
+    const data = await this.read(offset, length);
+    return deserializeDirectory(decompress(data, this.header.internalCompression));
+  }
+
+  async getLeafDirectory(offset, length) {
+    const key = `${offset}:${length}`;
+    if (!this.leafDirectories.has(key)) {
+      this.leafDirectories.set(key, await this.readDirectory(this.header.leafOffset + offset, length));
+      if (this.leafDirectories.size > MAX_CACHED_LEAVES) {
+        this.leafDirectories.delete(this.leafDirectories.keys().next().value);
+      }
+    }
+    return this.leafDirectories.get(key);
+  }
+
+  // Tile bytes, or null when the archive doesn't have it
+  async getTile(z, x, y) {
+    if (z < this.header.minZoom || z > this.header.maxZoom) return null;
+
+    const tileId = zxyToTileId(z, x, y);
+    let directory = this.rootDirectory;
+
+    for (let depth = 0; depth <= MAX_DIRECTORY_DEPTH; depth++) {
+      const entry = findEntry(directory, tileId);
+      if (!entry) return null;
+
+      if (entry.runLength > 0) {
+        const data = await this.read(this.header.tileDataOffset + entry.offset, entry.length);
+        return decompress(data, this.header.tileCompression);
+      }
+      directory = await this.getLeafDirectory(entry.offset, entry.length);
+    }
+    return null;
+  }
+
+  async getStats() {
+    return { tiles: this.header.addressedTiles, size: this.header.tileDataLength };
+  }
+
+  async close() {
+    if (this.handle) await this.handle.close();
+    this.handle = null;
+  }
+}
+
+// Root directory, plus leaf directories when the entries don't fit in the first 16 KB
+function buildDirectories(entries) {
+  const root = serializeDirectory(entries);
+  if (root.length <= ROOT_SIZE_LIMIT) return { root, leaves: Buffer.alloc(0) };
+
+  for (let leafSize = 4096; ; leafSize *= 2) {
+    const rootEntries = [];
+    const leaves = [];
+    let leafOffset = 0;
+
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = serializeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({ tileId: entries[i].tileId, runLength: 0, offset: leafOffset, length: leaf.length });
+      leaves.push(leaf);
+      leafOffset += leaf.length;
+    }
+
+    const leafRoot = serializeDirectory(rootEntries);
+    if (leafRoot.length <= ROOT_SIZE_LIMIT) return { root: leafRoot, leaves: Buffer.concat(leaves) };
+  }
+}
+
+// Write tiles to a new .pmtiles file. tiles is any iterable of { z, x, y }, consumed once, and
+// readTile(tile) returns the tile bytes or null to leave it out. Tile data is written in the
+// order it comes (so the archive is not clustered) and only the directory is sorted, so the
+// tiles never have to be listed up front. Identical tiles (sea, empty land) are stored once.
+// Returns the number of tiles written.
+async function writePMTiles(filePath, tiles, readTile, { bounds, attribution = '', name = '', tileType = 'png' }) {
+
+  const dataPath = `${filePath}.data`;
+  const dataStream = createWriteStream(dataPath);
+  const contentOffsets = new Map();
+  const tileEntries = [];
+  let dataLength = 0;
+  let written = 0;
+  let minZoom = Infinity;
+  let maxZoom = 0;
+
+  try {
+    for (const tile of tiles) {
+      const buffer = await readTile(tile);
+      if (!buffer) continue;
+
+      written++;
+      minZoom = Math.min(minZoom, tile.z);
+      maxZoom = Math.max(maxZoom, tile.z);
+
+      const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+      let offset = contentOffsets.get(hash);
+      if (offset === undefined) {
+        offset = dataLength;
+        contentOffsets.set(hash, offset);
+        if (!dataStream.write(buffer)) {
+          await new Promise(resolve => dataStream.once('drain', resolve));
+        }
+        dataLength += buffer.length;
+      }
+
+      tileEntries.push({ tileId: zxyToTileId(tile.z, tile.x, tile.y), offset, length: buffer.length });
+    }
+    await new Promise((resolve, reject) => dataStream.end(error => error ? reject(error) : resolve()));
+
+    if (written === 0) return 0;
+
+    // Consecutive tile IDs with the same content share one run-length entry
+    tileEntries.sort((a, b) => a.tileId - b.tileId);
+    const entries = [];
+    for (const { tileId, offset, length } of tileEntries) {
+      const last = entries[entries.length - 1];
+      if (last && last.offset === offset && last.tileId + last.runLength === tileId) {
+        last.runLength++;
+      } else {
+        entries.push({ tileId, runLength: 1, offset, length });
+      }
+    }
+
+    const { root, leaves } = buildDirectories(entries);
+    const metadata = zlib.gzipSync(Buffer.from(JSON.stringify({ name, attribution, format: tileType })));
+
+    const header = serializeHeader({
+      rootOffset: HEADER_SIZE,
+      rootLength: root.length,
+      metadataOffset: HEADER_SIZE + root.length,
+      metadataLength: metadata.length,
+      leafOffset: HEADER_SIZE + root.length + metadata.length,
+      leafLength: leaves.length,
+      tileDataOffset: HEADER_SIZE + root.length + metadata.length + leaves.length,
+      tileDataLength: dataLength,
+      addressedTiles: written,
+      tileEntries: entries.length,
+      tileContents: contentOffsets.size,
+      tileType: TILE_TYPE[tileType] || TILE_TYPE.unknown,
+      minZoom,
+      maxZoom,
+      bounds
+    });
+
+    await fs.writeFile(filePath, Buffer.concat([header, root, metadata, leaves]));
+    await pipeline(createReadStream(dataPath), createWriteStream(filePath, { flags: 'a' }));
+    return written;
+  } finally {
+    dataStream.destroy();
+    await fs.rm(dataPath, { force: true });
+  }
+}
+
+module.exports = {
+  PMTiles,
+  writePMTiles,
+  zxyToTileId
+};
@@ -0,0 +1,395 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const TileCache = require('./tile-cache');
+const { getTile, getProvider } = require('./tile-fetcher');
+const { haversineDistance } = require('./geo');
+
+const SAVE_DELAY = 1000; // Batch job file writes, progress changes several times per second
+const FETCH_DELAY = 300; // ms after each tile fetched from the provider, to be respectful to tile servers
+const MAX_CONSECUTIVE_FAILURES = 20; // Provider unreachable or blocking us, stop instead of hammering it
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+const ROUTE_SPACING = 10; // meters, closer route points are dropped before a corridor job is saved
+const MAX_CORRIDOR_RADIUS = 2000; // meters, wider corridors are better served by a bounds preload
+const MAX_DETAIL_ZOOM = 20; // Deepest zoom any provider serves
+
+const tileCache = new TileCache();
+
+// Jobs by id, loaded from PRELOAD_JOB_FILE on first use. Only one job fetches at a time,
+// the rest wait as 'queued'.
+let jobs = null;
+let loading = null;
+let saveTimer = null;
+let runningJob = null;
+
+// Errors carrying the HTTP status the API should answer with
+function jobError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Route points as [[lat, lon], ...] with 6 decimals, leaving out points within ROUTE_SPACING
+// of the last one kept (stops and photos taken every second add nothing to the corridor)
+function parseRoute(route) {
+  if (!Array.isArray(route) || route.length === 0 ||
+    !route.every(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))) {
+    throw jobError('Corridor preload needs a route of [lat, lon] points', 400);
+  }
+
+  const points = [route[0]];
+  for (const point of route.slice(1)) {
+    const last = points[points.length - 1];
+    if (haversineDistance(last[0], last[1], point[0], point[1]) >= ROUTE_SPACING) {
+      points.push(point);
+    }
+  }
+  if (points[points.length - 1] !== route[route.length - 1]) {
+    points.push(route[route.length - 1]);
+  }
+
+  return points.map(([lat, lon]) => [+lat.toFixed(6), +lon.toFixed(6)]);
+}
+
+// Check bounds, zoom range and provider; returns the settings a job is created with.
+// mode 'corridor' fetches the bounds at minZoom-maxZoom for the overview map, and at
+// detailZoom only the tiles within `radius` meters of `route` for the detail map.
+function parsePreloadOptions({
+  bounds,
+  minZoom = 10,
+  maxZoom = 15,
+  provider = config.DEFAULT_TILE_PROVIDER,
+  mode = 'bounds',
+  route,
+  radius = config.PRELOAD_CORRIDOR,
+  detailZoom = 17
+} = {}) {
+  if (!bounds || !['north', 'south', 'east', 'west'].every(side => Number.isFinite(bounds[side]))) {
+    throw jobError('Invalid bounds. Required: north, south, east, west', 400);
+  }
+  if (bounds.north <= bounds.south || bounds.east <= bounds.west) {
+    throw jobError('Bounds must have north above south and east of west', 400);
+  }
+
+  const tileProvider = getProvider(provider);
+  if (!tileProvider) {
+    throw jobError('Unknown tile provider', 400);
+  }
+
+  minZoom = parseInt(minZoom);
+  maxZoom = parseInt(maxZoom);
+  if (isNaN(minZoom) || isNaN(maxZoom) || minZoom < 0 || minZoom > maxZoom) {
+    throw jobError('Invalid zoom range', 400);
+  }
+
+  const settings = {
+    mode,
+    provider: tileProvider.id,
+    bounds: { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west },
+    minZoom,
+    maxZoom: Math.min(maxZoom, tileProvider.maxZoom)
+  };
+
+  if (mode === 'bounds') return settings;
+  if (mode !== 'corridor') {
+    throw jobError('Unknown preload mode (bounds or corridor)', 400);
+  }
+
+  radius = parseFloat(radius);
+  detailZoom = parseInt(detailZoom);
+  if (!(radius > 0 && radius <= MAX_CORRIDOR_RADIUS)) {
+    throw jobError(`Corridor radius must be between 0 and ${MAX_CORRIDOR_RADIUS} meters`, 400);
+  }
+  if (isNaN(detailZoom) || detailZoom < 0 || detailZoom > MAX_DETAIL_ZOOM) {
+    throw jobError(`Detail zoom must be between 0 and ${MAX_DETAIL_ZOOM}`, 400);
+  }
+
+  return {
+    ...settings,
+    route: parseRoute(route),
+    radius,
+    detailZoom: Math.min(detailZoom, tileProvider.maxZoom)
+  };
+}
+
+// Whether a tile is one of the bounds part of a job (ranges from TileCache.getBoundsRanges)
+function isInRanges(ranges, { z, x, y }) {
+  const range = ranges.find(candidate => candidate.z === z);
+  return Boolean(range) && x >= range.minX && x <= range.maxX && y >= range.minY && y <= range.maxY;
+}
+
+// Corridor tiles at the detail zoom that the bounds part of the job doesn't fetch already.
+// Listing stops past `limit` tiles, enough to tell the job is too big.
+function getCorridorTiles(job, limit = Infinity) {
+  if (job.mode !== 'corridor') return [];
+
+  const ranges = tileCache.getBoundsRanges(job.bounds, job.minZoom, job.maxZoom);
+  const inBounds = tile => isInRanges(ranges, tile);
+  return tileCache.getTilesInCorridor(job.route, job.radius, job.detailZoom, { skip: inBounds, limit });
+}
+
+// Tiles a job fetches in all; counting stops a little past PRELOAD_MAX_TILES
+function countJobTiles(job) {
+  const boundsTiles = tileCache.countTilesInBounds(job.bounds, job.minZoom, job.maxZoom);
+  if (boundsTiles > config.PRELOAD_MAX_TILES) return boundsTiles;
+  return boundsTiles + getCorridorTiles(job, config.PRELOAD_MAX_TILES - boundsTiles + 1).length;
+}
+
+// The job's tiles from index `start` on, in a fixed order so `next` can resume where it
+// stopped: the bounds zoom by zoom, column by column, then the corridor. The bounds tile at
+// an index is worked out rather than listed, so a large area doesn't sit in memory.
+function* iterateJobTiles(job, start = 0) {
+  let index = start;
+  for (const { z, minX, minY, height, count } of tileCache.getBoundsRanges(job.bounds, job.minZoom, job.maxZoom)) {
+    for (; index < count; index++) {
+      yield { z, x: minX + Math.floor(index / height), y: minY + index % height };
+    }
+    index -= count;
+  }
+
+  yield* getCorridorTiles(job).slice(index);
+}
+
+// Jobs past PRELOAD_MAX_TILES would run for days and hammer the provider
+function checkTileCount(count) {
+  if (count > config.PRELOAD_MAX_TILES) {
+    throw jobError(`This preload is more than the ${config.PRELOAD_MAX_TILES} tiles allowed (PRELOAD_MAX_TILES); pick a smaller area, zoom range or corridor`, 400);
+  }
+  return count;
+}
+
+// Job status for the API, without the corridor route (thousands of points on every poll)
+function toStatus(job) {
+  const { route, ...status } = job;
+  return status;
+}
+
+async function loadPreloadJobs() {
+  if (jobs) return jobs;
+  if (!loading) {
+    loading = (async () => {
+      let saved = [];
+      try {
+        saved = JSON.parse(await fs.readFile(config.PRELOAD_JOB_FILE, 'utf-8'));
+      } catch (error) {
+        // No jobs yet
+      }
+
+      jobs = new Map(saved.map(job => [job.id, job]));
+
+      // Jobs that were fetching when the server stopped carry on from their last tile
+      for (const job of jobs.values()) {
+        if (job.status === 'running') job.status = 'queued';
+      }
+      runQueue();
+      return jobs;
+    })();
+  }
+  return loading;
+}
+
+async function saveJobs() {
+  if (!jobs) return;
+
+  try {
+    await fs.mkdir(path.dirname(config.PRELOAD_JOB_FILE), { recursive: true });
+    await fs.writeFile(config.PRELOAD_JOB_FILE, JSON.stringify(Array.from(jobs.values())));
+  } catch (error) {
+    console.error('Failed to save preload jobs:', error);
+  }
+}
+
+function scheduleSave(job) {
+  job.updatedAt = new Date().toISOString();
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveJobs();
+  }, SAVE_DELAY);
+}
+
+// Start the oldest queued job when nothing is running
+function runQueue() {
+  if (runningJob) return;
+
+  const next = Array.from(jobs.values())
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+  if (!next) return;
+
+  runningJob = next;
+  runJob(next)
+    .catch(error => {
+      console.error(`Preload job ${next.id} failed:`, error);
+      next.status = 'failed';
+      next.error = error.message;
+    })
+    .finally(() => {
+      scheduleSave(next);
+      runningJob = null;
+      runQueue();
+    });
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.error = null;
+  job.total = countJobTiles(job);
+  job.startedAt = job.startedAt || new Date().toISOString();
+  scheduleSave(job);
+  console.log(`Preload job ${job.id}: ${job.provider} ${job.mode || 'bounds'} tiles ${job.next}/${job.total}`);
+
+  let consecutiveFailures = 0;
+  for (const { z, x, y } of iterateJobTiles(job, job.next)) {
+    // Pause and cancel take effect between tiles
+    if (job.status !== 'running') {
+      console.log(`Preload job ${job.id} ${job.status} at ${job.next}/${job.total}`);
+      return;
+    }
+
+    const tile = await getTile(z, x, y, job.provider);
+    if (tile) {
+      if (tile.cached) job.cached++;
+      else job.loaded++;
+      consecutiveFailures = 0;
+    } else {
+      job.failed++;
+      consecutiveFailures++;
+    }
+    job.next++;
+    job.progress = job.next / job.total;
+    scheduleSave(job);
+
+    if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      job.status = 'failed';
+      job.error = `${MAX_CONSECUTIVE_FAILURES} tiles in a row could not be fetched; resume the job once ${job.provider} is reachable`;
+      console.warn(`Preload job ${job.id} stopped: ${job.error}`);
+      return;
+    }
+
+    // Tiles already on disk don't touch the provider, so only wait after a request
+    if (!(tile && tile.cached) && job.next < job.total) {
+      await new Promise(resolve => setTimeout(resolve, FETCH_DELAY));
+    }
+  }
+
+  // A pause or cancel during the last tile or delay must not be overwritten
+  if (job.status !== 'running') {
+    console.log(`Preload job ${job.id} ${job.status} at ${job.next}/${job.total}`);
+    return;
+  }
+
+  job.status = 'done';
+  job.progress = 1;
+  job.finishedAt = new Date().toISOString();
+  console.log(`Preload job ${job.id} done: ${job.loaded} loaded, ${job.cached} already cached, ${job.failed} failed`);
+}
+
+// How many tiles a preload would fetch at most, before starting it. boundingBoxTiles is what
+// fetching the whole bounds down to the deepest zoom would take, for comparison.
+function estimatePreload(options) {
+  const settings = parsePreloadOptions(options);
+  const tiles = checkTileCount(countJobTiles(settings));
+  const deepestZoom = settings.mode === 'corridor' ? Math.max(settings.maxZoom, settings.detailZoom) : settings.maxZoom;
+
+  return {
+    mode: settings.mode,
+    provider: settings.provider,
+    tiles,
+    boundingBoxTiles: tileCache.countTilesInBounds(settings.bounds, settings.minZoom, deepestZoom),
+    seconds: Math.ceil(tiles * FETCH_DELAY / 1000) // Waiting between requests alone, if nothing is cached yet
+  };
+}
+
+// Queue a preload of the tiles parsePreloadOptions describes; returns the job status
+async function startPreloadJob(options) {
+  const settings = parsePreloadOptions(options);
+  await loadPreloadJobs();
+
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    ...settings,
+    status: 'queued',
+    total: checkTileCount(countJobTiles(settings)),
+    next: 0,
+    loaded: 0,
+    cached: 0,
+    failed: 0,
+    progress: 0,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: null
+  };
+  jobs.set(job.id, job);
+  scheduleSave(job);
+  runQueue();
+  return toStatus(job);
+}
+
+async function findJob(id) {
+  await loadPreloadJobs();
+  return jobs.get(id) || null;
+}
+
+async function getPreloadJob(id) {
+  const job = await findJob(id);
+  return job ? toStatus(job) : null;
+}
+
+async function listPreloadJobs() {
+  await loadPreloadJobs();
+  return Array.from(jobs.values(), toStatus);
+}
+
+// Stop fetching after the current tile; resumePreloadJob continues from there
+async function pausePreloadJob(id) {
+  const job = await findJob(id);
+  if (!job) return null;
+
+  if (job.status === 'running' || job.status === 'queued') {
+    job.status = 'paused';
+    scheduleSave(job);
+  }
+  return toStatus(job);
+}
+
+// Queue a paused or failed job again
+async function resumePreloadJob(id) {
+  const job = await findJob(id);
+  if (!job) return null;
+
+  if (job.status === 'paused' || job.status === 'failed') {
+    job.status = 'queued';
+    job.error = null;
+    job.finishedAt = null;
+    scheduleSave(job);
+    runQueue();
+  }
+  return toStatus(job);
+}
+
+async function cancelPreloadJob(id) {
+  const job = await findJob(id);
+  if (!job) return null;
+
+  if (!FINISHED_STATUSES.includes(job.status)) {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    scheduleSave(job);
+  }
+  return toStatus(job);
+}
+
+module.exports = {
+  parsePreloadOptions,
+  loadPreloadJobs,
+  estimatePreload,
+  startPreloadJob,
+  getPreloadJob,
+  listPreloadJobs,
+  pausePreloadJob,
+  resumePreloadJob,
+  cancelPreloadJob
+};
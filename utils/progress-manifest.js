@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const MANIFEST_FILE = 'manifest.json';
+const SAVE_DELAY = 1000; // Batch manifest writes, uploads arrive several times per second
+
+// Loaded manifests, the file times they were read at and pending save timers, keyed by session
+const manifests = new Map();
+const manifestTimes = new Map();
+const saveTimers = new Map();
+
+function getManifestPath(sessionName) {
+  return path.join(config.OUTPUT_DIR, sessionName, MANIFEST_FILE);
+}
+
+function hashSettings(settings) {
+  return crypto.createHash('sha1').update(JSON.stringify(settings || {})).digest('hex');
+}
+
+function createEmptyManifest(sessionName) {
+  return {
+    session: sessionName,
+    settings: null,
+    settingsHash: null,
+    mixedSettings: false,
+    rendered: [],
+    failures: [],
+    resetAt: null,
+    updatedAt: null
+  };
+}
+
+async function getManifestTime(sessionName) {
+  try {
+    return (await fs.stat(getManifestPath(sessionName))).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cached until the file changes, since the server and scripts/render-session.js both write it
+async function loadManifest(sessionName) {
+  const mtime = await getManifestTime(sessionName);
+  const cached = manifests.get(sessionName);
+  if (cached && manifestTimes.get(sessionName) === mtime) {
+    return cached;
+  }
+
+  let manifest;
+  try {
+    const data = await fs.readFile(getManifestPath(sessionName), 'utf-8');
+    manifest = JSON.parse(data);
+  } catch (error) {
+    manifest = createEmptyManifest(sessionName);
+  }
+
+  // Sets make the per-frame bookkeeping cheap; they are converted back on save
+  manifest.rendered = new Set(manifest.rendered);
+
+  // Frames recorded here since the last save aren't in the file yet
+  if (cached && saveTimers.has(sessionName)) {
+    cached.rendered.forEach(timestamp => manifest.rendered.add(timestamp));
+  }
+
+  manifests.set(sessionName, manifest);
+  manifestTimes.set(sessionName, mtime);
+  return manifest;
+}
+
+function serializeManifest(manifest) {
+  return {
+    ...manifest,
+    rendered: Array.from(manifest.rendered).sort((a, b) => a - b)
+  };
+}
+
+async function saveManifest(sessionName) {
+  const manifest = manifests.get(sessionName);
+  if (!manifest) return;
+
+  try {
+    await fs.mkdir(path.dirname(getManifestPath(sessionName)), { recursive: true });
+    await fs.writeFile(getManifestPath(sessionName), JSON.stringify(serializeManifest(manifest), null, 2));
+    manifestTimes.set(sessionName, await getManifestTime(sessionName));
+  } catch (error) {
+    console.error(`Failed to save manifest for ${sessionName}:`, error);
+  }
+}
+
+function scheduleSave(sessionName) {
+  manifests.get(sessionName).updatedAt = new Date().toISOString();
+  if (saveTimers.has(sessionName)) return;
+
+  saveTimers.set(sessionName, setTimeout(() => {
+    saveTimers.delete(sessionName);
+    saveManifest(sessionName);
+  }, SAVE_DELAY));
+}
+
+// Write any pending changes immediately (used by the CLI before exiting)
+async function flushManifest(sessionName) {
+  if (saveTimers.has(sessionName)) {
+    clearTimeout(saveTimers.get(sessionName));
+    saveTimers.delete(sessionName);
+  }
+  await saveManifest(sessionName);
+}
+
+// Manifest with frames already present in output/<session>/ merged into the rendered list
+async function getManifest(sessionName) {
+  const manifest = await loadManifest(sessionName);
+  const result = serializeManifest(manifest);
+
+  const outputDir = path.join(config.OUTPUT_DIR, sessionName);
+  const files = await fs.readdir(outputDir).catch(() => []);
+  const resetTime = manifest.resetAt ? Date.parse(manifest.resetAt) : null;
+  const rendered = new Set(result.rendered);
+
+  for (const file of files) {
+    if (!file.toLowerCase().endsWith('.jpg')) continue;
+    const timestamp = parseInt(file);
+    if (isNaN(timestamp) || rendered.has(timestamp)) continue;
+
+    // Frames left over from before a reset were rendered with other settings
+    if (resetTime) {
+      const stats = await fs.stat(path.join(outputDir, file)).catch(() => null);
+      if (!stats || stats.mtimeMs < resetTime) continue;
+    }
+    rendered.add(timestamp);
+  }
+
+  result.rendered = Array.from(rendered).sort((a, b) => a - b);
+  return result;
+}
+
+// Store the render settings; reset starts a fresh run. Resuming with changed settings keeps the
+// frames already rendered and marks the manifest as mixedSettings until the next reset.
+async function setSettings(sessionName, settings, reset = false) {
+  const manifest = await loadManifest(sessionName);
+  const settingsHash = hashSettings(settings);
+
+  if (reset) {
+    manifest.rendered = new Set();
+    manifest.failures = [];
+    manifest.mixedSettings = false;
+    manifest.resetAt = new Date().toISOString();
+  } else if (manifest.settingsHash && manifest.settingsHash !== settingsHash) {
+    manifest.mixedSettings = true;
+  }
+
+  manifest.settings = settings;
+  manifest.settingsHash = settingsHash;
+  scheduleSave(sessionName);
+  return getManifest(sessionName);
+}
+
+async function recordRendered(sessionName, timestamp) {
+  const manifest = await loadManifest(sessionName);
+  manifest.rendered.add(timestamp);
+  manifest.failures = manifest.failures.filter(failure => failure.timestamp !== timestamp);
+  scheduleSave(sessionName);
+}
+
+async function recordFailure(sessionName, timestamp, error) {
+  const manifest = await loadManifest(sessionName);
+  manifest.failures = manifest.failures.filter(failure => failure.timestamp !== timestamp);
+  manifest.failures.push({ timestamp, error: error || 'Unknown error', at: new Date().toISOString() });
+  scheduleSave(sessionName);
+}
+
+module.exports = {
+  getManifest,
+  setSettings,
+  recordRendered,
+  recordFailure,
+  flushManifest,
+  hashSettings
+};
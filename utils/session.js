@@ -0,0 +1,454 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { extractMetadata, getTimestampFromFilename } = require('./xmp');
+const { findTrackFile, loadTrack, applyTrack } = require('./track-import');
+const { FILTERS, applyFilters } = require('./gps-filter');
+const { applyDem } = require('./dem');
+const { findSessionVideo, hasExtractedFrames, loadVideoSession } = require('./video-session');
+
+const COMPOSITE_MERGES = ['interleave', 'concat'];
+
+// Folder scans in progress, so concurrent requests share one extraction and its progress
+const activeScans = new Map();
+
+// GPS points of recently drawn routes by session and options, until the next scan
+const routeCache = new Map();
+const MAX_CACHED_ROUTES = 4;
+
+// Session options from request query parameters (trackOffset in seconds, trackMode fill|override,
+// filters as a comma-separated list, empty for none, dem off|replace|blend)
+function parseSessionOptions(query = {}) {
+  const options = {};
+
+  if (typeof query.filters === 'string') {
+    options.filters = query.filters.split(',').filter(filter => FILTERS.includes(filter));
+  }
+
+  if (query.trackOffset !== undefined && query.trackOffset !== '') {
+    const offset = parseFloat(query.trackOffset);
+    if (!isNaN(offset)) options.trackOffset = offset;
+  }
+  if (query.trackMode === 'fill' || query.trackMode === 'override') {
+    options.trackMode = query.trackMode;
+  }
+  if (['off', 'replace', 'blend'].includes(query.dem)) {
+    options.dem = query.dem;
+  }
+  if (query.fps !== undefined && query.fps !== '') {
+    const fps = parseFloat(query.fps);
+    if (fps > 0 && fps <= 60) options.fps = fps;
+  }
+
+  return options;
+}
+
+// Fill in GPS from a .gpx/.tcx/.fit file in the session folder, if there is one
+async function applyTrackFile(sessionName, result, options) {
+  const sessionPath = path.join(config.ROOT_DIR, sessionName);
+  const trackPath = await findTrackFile(sessionPath);
+  if (!trackPath) return result;
+
+  const clockOffset = options.trackOffset ?? config.TRACK_CLOCK_OFFSET;
+  const mode = options.trackMode || config.TRACK_MODE;
+
+  try {
+    const points = await loadTrack(trackPath);
+    const { images, matched } = applyTrack(result.images, points, { clockOffset, mode });
+    console.log(`Track ${path.basename(trackPath)}: ${points.length} points, ${matched} images matched (${mode}, offset ${clockOffset}s)`);
+
+    return {
+      ...result,
+      images,
+      track: {
+        file: path.basename(trackPath),
+        points: points.length,
+        matched,
+        clockOffset,
+        mode
+      }
+    };
+  } catch (error) {
+    console.error(`Failed to import track ${trackPath}:`, error);
+    return result;
+  }
+}
+
+// Load a session's image list with metadata, using the xmp.json cache when present.
+// A sessions/<name>.json manifest makes a composite session from several folders.
+async function loadSession(sessionName, options = {}) {
+  const manifest = await loadCompositeManifest(sessionName);
+  if (manifest) return loadCompositeSession(sessionName, manifest, options);
+  return loadFolderSession(sessionName, options);
+}
+
+async function loadFolderSession(sessionName, options) {
+  const result = await loadSessionMetadata(sessionName, { fps: options.fps, verify: false });
+
+  const filters = options.filters || config.GPS_FILTERS;
+  const filtered = filters.length > 0
+    ? { ...result, images: applyFilters(result.images, filters), filters }
+    : result;
+
+  const tracked = await applyTrackFile(sessionName, filtered, options);
+  return applyDemCorrection(tracked, options);
+}
+
+// A session's images with GPS, for the route map that is drawn on every frame. Cached per
+// session and options so a render doesn't load the whole session once per frame; any scan
+// (which "Load Session" runs, and picks up a replaced track file) drops the cache.
+async function loadRoutePoints(sessionName, options = {}) {
+  const key = `${sessionName}:${JSON.stringify(options)}`;
+  if (!routeCache.has(key)) {
+    const points = loadSession(sessionName, options)
+      .then(({ images }) => images.filter(img => img.lat && img.lon));
+    points.catch(() => routeCache.delete(key));
+    routeCache.set(key, points);
+
+    if (routeCache.size > MAX_CACHED_ROUTES) {
+      routeCache.delete(routeCache.keys().next().value);
+    }
+  }
+  return routeCache.get(key);
+}
+
+// Composite session manifest: { name, sessions: [folder, ...], merge: 'interleave'|'concat' }.
+// Returns null when sessions/<name>.json doesn't exist.
+async function loadCompositeManifest(sessionName) {
+  const manifestPath = path.join(config.ROOT_DIR, `${sessionName}.json`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid composite session ${manifestPath}: ${error.message}`);
+  }
+
+  const { sessions, merge = 'interleave' } = manifest;
+  if (!Array.isArray(sessions) || sessions.length === 0) {
+    throw new Error(`Composite session ${sessionName} must list its folders in "sessions"`);
+  }
+  // Only plain folder names, so a manifest can't reach outside sessions/ or include another composite
+  const invalid = sessions.find(name => typeof name !== 'string' || name !== path.basename(name) || name.startsWith('.'));
+  if (invalid !== undefined) {
+    throw new Error(`Composite session ${sessionName} has an invalid folder name: ${invalid}`);
+  }
+  if (!COMPOSITE_MERGES.includes(merge)) {
+    throw new Error(`Composite session ${sessionName} merge must be one of ${COMPOSITE_MERGES.join(', ')}`);
+  }
+
+  return { ...manifest, sessions, merge };
+}
+
+// Load each folder of a composite session with the same options and merge them into one
+// image list: 'interleave' sorts every image by timestamp, 'concat' keeps the folders in
+// manifest order. Each image's `source` is the folder its photo is in.
+async function loadCompositeSession(sessionName, manifest, options) {
+  const parts = [];
+  for (const folder of manifest.sessions) {
+    const part = await loadFolderSession(folder, options);
+    parts.push({ folder, ...part, images: part.images.map(image => ({ ...image, source: folder })) });
+  }
+
+  const images = parts.flatMap(part => part.images);
+  if (manifest.merge === 'interleave') {
+    images.sort((a, b) => a.timestamp - b.timestamp);
+  }
+  console.log(`Composite session ${sessionName}: ${images.length} images from ${manifest.sessions.join(', ')} (${manifest.merge})`);
+
+  const result = {
+    count: images.length,
+    images,
+    composite: {
+      name: manifest.name || sessionName,
+      merge: manifest.merge,
+      sessions: parts.map(part => ({ name: part.folder, count: part.images.length }))
+    }
+  };
+
+  const filtered = parts.find(part => part.filters);
+  if (filtered) result.filters = filtered.filters;
+
+  const tracks = parts.filter(part => part.track).map(part => part.track);
+  if (tracks.length > 0) {
+    result.track = {
+      ...tracks[0],
+      file: tracks.map(track => track.file).join(', '),
+      points: tracks.reduce((sum, track) => sum + track.points, 0),
+      matched: tracks.reduce((sum, track) => sum + track.matched, 0)
+    };
+  }
+
+  const dems = parts.filter(part => part.dem).map(part => part.dem);
+  if (dems.length > 0) {
+    result.dem = { mode: dems[0].mode, corrected: dems.reduce((sum, dem) => sum + dem.corrected, 0) };
+  }
+
+  return result;
+}
+
+// Folders and composite manifests under sessions/, as session names
+async function listSessions() {
+  const entries = await fs.readdir(config.ROOT_DIR, { withFileTypes: true });
+  const sessions = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    if (entry.isDirectory()) {
+      sessions.push(entry.name);
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      sessions.push(path.basename(entry.name, '.json'));
+    }
+  }
+
+  return sessions.sort();
+}
+
+// Replace or blend altitudes with the local DEM (after track import, so filled positions get DEM altitude too)
+async function applyDemCorrection(result, options) {
+  const mode = options.dem || config.DEM_MODE;
+  if (mode === 'off') return result;
+
+  try {
+    const { images, corrected } = await applyDem(result.images, mode);
+    console.log(`DEM ${mode}: corrected ${corrected} of ${images.length} altitudes`);
+    return { ...result, images, dem: { mode, corrected } };
+  } catch (error) {
+    console.error('DEM correction failed:', error);
+    return result;
+  }
+}
+
+// size:mtime of an image file, stored in xmp.json to spot changed photos
+function getFingerprint(stat) {
+  return `${stat.size}:${Math.round(stat.mtimeMs)}`;
+}
+
+async function readMetadataCache(cacheFile) {
+  try {
+    return JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function extractImage(sessionPath, file, fallbackTimestamp) {
+  const timestamp = getTimestampFromFilename(file) || fallbackTimestamp;
+  const metadata = await extractMetadata(path.join(sessionPath, file));
+
+  // Include image even if no GPS metadata, but log the issue
+  if (!metadata || (!metadata.lat && !metadata.lon)) {
+    console.log(`No GPS data for ${file}`);
+  }
+
+  return {
+    timestamp,
+    filename: file,
+    lat: metadata?.lat || null,
+    lon: metadata?.lon || null,
+    alt: metadata?.alt || null,
+    speed: metadata?.speed || null,
+    compass: metadata?.compass || null,
+    accuracy: metadata?.accuracy || null
+  };
+}
+
+// Run fn over items with at most `limit` calls in flight; results keep the item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+// Whether an xmp.json can be used without looking at the folder: photo caches need their
+// fingerprints (older ones lack fields added since) and video caches the same fps and clock
+// offset, with their frames still in the frame cache
+async function isCurrentCache(sessionName, cached, fps) {
+  if (!cached) return false;
+  if (!cached.video) return Boolean(cached.fingerprints);
+  return cached.video.fps === fps && cached.video.clockOffset === config.TRACK_CLOCK_OFFSET &&
+    hasExtractedFrames(sessionName, cached.video);
+}
+
+// Metadata extracted from the images themselves, cached in xmp.json with a size:mtime
+// fingerprint per file. Scanning (`verify`, the default) only extracts added or changed images
+// again and drops removed ones; `full` extracts every image. The result's `scan` counts what
+// changed. With verify off a current xmp.json is returned as is, without touching the photos;
+// rescanSession is what picks up changes. onProgress(scanned, total) is called as images are
+// extracted. A folder with a video and no photos is a video session: frames are extracted at
+// `fps` (VIDEO_SESSION_FPS by default).
+async function loadSessionMetadata(sessionName, { full = false, verify = true, onProgress, fps = config.VIDEO_SESSION_FPS } = {}) {
+  if (!verify && !full) {
+    const cached = await readMetadataCache(path.join(config.ROOT_DIR, sessionName, 'xmp.json'));
+    if (await isCurrentCache(sessionName, cached, fps)) {
+      const { fingerprints, ...result } = cached;
+      return result;
+    }
+  }
+
+  // Join a scan already running with the same settings; a different one (another fps, or
+  // full while it isn't) waits for it to finish instead of getting its results
+  let active = activeScans.get(sessionName);
+  while (active && (active.fps !== fps || (full && !active.full))) {
+    await active.promise.catch(() => {});
+    active = activeScans.get(sessionName);
+  }
+  if (active) {
+    if (onProgress) active.listeners.add(onProgress);
+    try {
+      return await active.promise;
+    } finally {
+      active.listeners.delete(onProgress);
+    }
+  }
+
+  const listeners = new Set(onProgress ? [onProgress] : []);
+  const promise = scanSessionFolder(sessionName, full, fps, (scanned, total) => {
+    listeners.forEach(listener => listener(scanned, total));
+  });
+  activeScans.set(sessionName, { promise, listeners, full, fps });
+
+  try {
+    return await promise;
+  } finally {
+    activeScans.delete(sessionName);
+    routeCache.clear();
+  }
+}
+
+async function scanSessionFolder(sessionName, full, fps, onProgress) {
+  const sessionPath = path.join(config.ROOT_DIR, sessionName);
+  const cacheFile = path.join(sessionPath, 'xmp.json');
+
+  const cached = full ? null : await readMetadataCache(cacheFile);
+  const cachedImages = new Map((cached?.images || []).map(image => [image.filename, image]));
+  // Images without a fingerprint are from a cache older than the fields extracted now
+  const fingerprints = cached?.fingerprints || {};
+
+  const files = await fs.readdir(sessionPath);
+  const imageFiles = files.filter(file =>
+    file.toLowerCase().endsWith('.jpg') || file.toLowerCase().endsWith('.jpeg')
+  );
+
+  const videoFile = imageFiles.length === 0 ? findSessionVideo(files) : null;
+  if (videoFile) {
+    return loadVideoMetadata(sessionName, sessionPath, files, videoFile, { cached, fps, onProgress });
+  }
+
+  const scan = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+  const currentFingerprints = {};
+  const images = [];
+  const toExtract = [];
+
+  const stats = await mapWithConcurrency(imageFiles, config.METADATA_CONCURRENCY, file => fs.stat(path.join(sessionPath, file)));
+
+  for (const [i, file] of imageFiles.entries()) {
+    currentFingerprints[file] = getFingerprint(stats[i]);
+
+    const previous = cachedImages.get(file);
+    if (previous && fingerprints[file] === currentFingerprints[file]) {
+      images.push(previous);
+      scan.unchanged++;
+    } else {
+      toExtract.push(file);
+      scan[previous ? 'changed' : 'added']++;
+    }
+  }
+  scan.removed = Array.from(cachedImages.keys()).filter(file => !(file in currentFingerprints)).length;
+
+  if (cached && toExtract.length === 0 && scan.removed === 0) {
+    console.log(`Using cached XMP data for session ${sessionName} (${images.length} images)`);
+    return { count: images.length, images, scan };
+  }
+
+  if (cached) {
+    console.log(`XMP cache for session ${sessionName}: ${scan.added} added, ${scan.changed} changed, ${scan.removed} removed`);
+  } else {
+    console.log(`No cache found for session ${sessionName}, processing XMP data...`);
+  }
+  console.log(`Processing XMP data for ${toExtract.length} image files in session ${sessionName}`);
+
+  let scanned = 0;
+  onProgress(scanned, toExtract.length);
+  const extracted = await mapWithConcurrency(toExtract, config.METADATA_CONCURRENCY, async (file, i) => {
+    const image = await extractImage(sessionPath, file, Date.now() + i);
+    onProgress(++scanned, toExtract.length);
+    return image;
+  });
+  images.push(...extracted);
+
+  images.sort((a, b) => a.timestamp - b.timestamp);
+
+  const result = {
+    count: images.length,
+    images
+  };
+
+  // Save cache file
+  try {
+    await fs.writeFile(cacheFile, JSON.stringify({ ...result, fingerprints: currentFingerprints }, null, 2));
+    console.log(`Cached XMP data for session ${sessionName}`);
+  } catch (writeError) {
+    console.warn('Failed to write XMP cache:', writeError);
+  }
+
+  return { ...result, scan };
+}
+
+// Video session metadata, cached in xmp.json like photo sessions; the scan counts frames
+async function loadVideoMetadata(sessionName, sessionPath, files, videoFile, { cached, fps, onProgress }) {
+  const { extracted, ...result } = await loadVideoSession(sessionPath, files, videoFile, { fps, cached, onProgress });
+  const scan = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+
+  if (!extracted) {
+    console.log(`Using cached frames for video session ${sessionName} (${result.images.length} frames)`);
+    scan.unchanged = result.images.length;
+    return { ...result, scan };
+  }
+
+  scan.added = result.images.length;
+  scan.removed = cached?.images?.length || 0;
+  try {
+    await fs.writeFile(path.join(sessionPath, 'xmp.json'), JSON.stringify(result, null, 2));
+    console.log(`Cached video metadata for session ${sessionName}`);
+  } catch (writeError) {
+    console.warn('Failed to write XMP cache:', writeError);
+  }
+  return { ...result, scan };
+}
+
+// Check a session's folders for added, changed or removed images and update their xmp.json.
+// onProgress(scanned, total, folder) reports extraction per folder.
+async function rescanSession(sessionName, { full = false, onProgress, fps } = {}) {
+  const manifest = await loadCompositeManifest(sessionName);
+  const folders = manifest ? manifest.sessions : [sessionName];
+
+  const sessions = [];
+  for (const folder of folders) {
+    const { count, scan } = await loadSessionMetadata(folder, {
+      full,
+      fps,
+      onProgress: onProgress && ((scanned, total) => onProgress(scanned, total, folder))
+    });
+    sessions.push({ name: folder, count, ...scan });
+  }
+  return { sessions };
+}
+
+module.exports = {
+  loadSession,
+  loadRoutePoints,
+  listSessions,
+  rescanSession,
+  parseSessionOptions
+};
@@ -0,0 +1,99 @@
+const { haversineDistance } = require('./geo');
+
+const MOVING_SPEED = 1.0; // m/s, slower segments count as stopped
+const ELEVATION_THRESHOLD = 2; // meters, ignore altitude noise below this when summing ascent/descent
+const GRADE_DISTANCE = 50; // meters, horizontal window for max grade so GPS jitter doesn't dominate
+
+// Summary statistics for a session's images (distance m, times s, speeds m/s, grade %)
+function calculateRideStats(images) {
+  const stats = {
+    distance: 0,
+    movingTime: 0,
+    stoppedTime: 0,
+    elapsedTime: 0,
+    averageSpeed: 0,
+    maxSpeed: 0,
+    ascent: 0,
+    descent: 0,
+    maxGrade: 0,
+    startTime: null,
+    endTime: null,
+    startTimestamp: null,
+    endTimestamp: null
+  };
+
+  if (images.length === 0) return stats;
+
+  const first = images[0];
+  const last = images[images.length - 1];
+  stats.startTimestamp = first.timestamp;
+  stats.endTimestamp = last.timestamp;
+  stats.startTime = new Date(first.timestamp).toISOString();
+  stats.endTime = new Date(last.timestamp).toISOString();
+  stats.elapsedTime = (last.timestamp - first.timestamp) / 1000;
+
+  // Distance, moving/stopped time and speed from consecutive GPS points
+  const gpsImages = images.filter(image => image.lat && image.lon);
+  const cumulativeDistance = [0];
+
+  for (let i = 1; i < gpsImages.length; i++) {
+    const prev = gpsImages[i - 1];
+    const current = gpsImages[i];
+    const distance = haversineDistance(prev.lat, prev.lon, current.lat, current.lon);
+    const seconds = (current.timestamp - prev.timestamp) / 1000;
+
+    stats.distance += distance;
+    cumulativeDistance.push(stats.distance);
+    if (seconds <= 0) continue;
+
+    // Prefer the recorded speed, fall back to the segment speed
+    const recorded = [prev.speed, current.speed].filter(speed => speed !== null && speed !== undefined);
+    const speed = recorded.length > 0
+      ? recorded.reduce((sum, value) => sum + value, 0) / recorded.length
+      : distance / seconds;
+    stats.maxSpeed = Math.max(stats.maxSpeed, speed);
+
+    if (speed >= MOVING_SPEED) {
+      stats.movingTime += seconds;
+    } else {
+      stats.stoppedTime += seconds;
+    }
+  }
+
+  stats.averageSpeed = stats.movingTime > 0 ? stats.distance / stats.movingTime : 0;
+
+  // Ascent/descent with a small deadband
+  let referenceAlt = null;
+  for (const image of images) {
+    if (!image.alt) continue;
+    if (referenceAlt === null) {
+      referenceAlt = image.alt;
+    } else if (image.alt - referenceAlt >= ELEVATION_THRESHOLD) {
+      stats.ascent += image.alt - referenceAlt;
+      referenceAlt = image.alt;
+    } else if (referenceAlt - image.alt >= ELEVATION_THRESHOLD) {
+      stats.descent += referenceAlt - image.alt;
+      referenceAlt = image.alt;
+    }
+  }
+
+  // Max uphill grade over a sliding distance window
+  let start = 0;
+  for (let end = 1; end < gpsImages.length; end++) {
+    while (start + 1 < end && cumulativeDistance[end] - cumulativeDistance[start + 1] >= GRADE_DISTANCE) {
+      start++;
+    }
+
+    const run = cumulativeDistance[end] - cumulativeDistance[start];
+    if (run < GRADE_DISTANCE || !gpsImages[start].alt || !gpsImages[end].alt) continue;
+
+    const grade = (gpsImages[end].alt - gpsImages[start].alt) / run * 100;
+    stats.maxGrade = Math.max(stats.maxGrade, grade);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  calculateRideStats
+};
@@ -0,0 +1,70 @@
+const config = require('../config');
+const { haversineDistance } = require('./geo');
+
+// Stop detection settings from a query string, falling back to STOP_DETECTION
+function parseStopOptions(query = {}) {
+  const options = { ...config.STOP_DETECTION };
+
+  for (const key of ['minDuration', 'maxSpeed', 'radius']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = parseFloat(query[key]);
+    if (!isNaN(value) && value >= 0) options[key] = value;
+  }
+
+  return options;
+}
+
+// A fix still belongs to a stop while it stays near where the stop began and,
+// when the camera recorded a speed, isn't moving faster than maxSpeed
+function isStationary(anchor, image, { maxSpeed, radius }) {
+  if (image.speed !== null && image.speed !== undefined && image.speed > maxSpeed) return false;
+  return haversineDistance(anchor.lat, anchor.lon, image.lat, image.lon) <= radius;
+}
+
+// Stationary segments of at least minDuration seconds, in ride order:
+// [{ start, end, duration, startIndex, endIndex, images, lat, lon }] with start/end timestamps
+// of the first and last stationary fix and image indices into the session
+function detectStops(images, options = config.STOP_DETECTION) {
+  const fixes = [];
+  images.forEach((image, index) => {
+    if (image.lat && image.lon && image.timestamp) fixes.push({ image, index });
+  });
+
+  const stops = [];
+  let i = 0;
+  while (i < fixes.length) {
+    const anchor = fixes[i];
+    if (!isStationary(anchor.image, anchor.image, options)) {
+      i++;
+      continue;
+    }
+
+    let j = i + 1;
+    while (j < fixes.length && isStationary(anchor.image, fixes[j].image, options)) j++;
+
+    const last = fixes[j - 1];
+    const duration = (last.image.timestamp - anchor.image.timestamp) / 1000;
+    if (duration >= options.minDuration && duration > 0) {
+      stops.push({
+        start: anchor.image.timestamp,
+        end: last.image.timestamp,
+        duration,
+        startIndex: anchor.index,
+        endIndex: last.index,
+        images: last.index - anchor.index + 1,
+        lat: anchor.image.lat,
+        lon: anchor.image.lon
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return stops;
+}
+
+module.exports = {
+  parseStopOptions,
+  detectStops
+};
@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const MBTiles = require('./mbtiles');
+const { PMTiles } = require('./pmtiles');
+
+// Checked in this order when a provider has both
+const ARCHIVE_FORMATS = ['mbtiles', 'pmtiles'];
+
+// Open archive (or null) per provider. Looked up once, so restart the server after
+// adding or replacing a file in TILE_ARCHIVE_DIR.
+const archives = new Map();
+
+function getArchivePath(providerId, format) {
+  return path.join(config.TILE_ARCHIVE_DIR, `${providerId}.${format}`);
+}
+
+async function openArchive(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase();
+  if (format === 'mbtiles') return new MBTiles(filePath);
+  if (format === 'pmtiles') return new PMTiles(filePath).open();
+  throw new Error(`Unsupported tile archive ${filePath} (expected .mbtiles or .pmtiles)`);
+}
+
+async function findArchive(providerId) {
+  for (const format of ARCHIVE_FORMATS) {
+    const filePath = getArchivePath(providerId, format);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      continue;
+    }
+
+    console.log(`Serving ${providerId} tiles from ${filePath}`);
+    return openArchive(filePath);
+  }
+  return null;
+}
+
+// Archive for a provider, or null when TILE_ARCHIVE_DIR has none
+function getArchive(providerId) {
+  if (!archives.has(providerId)) {
+    archives.set(providerId, findArchive(providerId).catch(error => {
+      console.error(`Failed to open ${providerId} tile archive:`, error.message);
+      return null;
+    }));
+  }
+  return archives.get(providerId);
+}
+
+// Archive fetched tiles should go into when TILE_ARCHIVE_WRITE is on, creating
+// <provider>.mbtiles if there is none. Null when writing is off or the archive is a
+// read-only PMTiles file, in which case tiles go to tile-cache/ as usual.
+async function getWritableArchive(providerId) {
+  if (!config.TILE_ARCHIVE_WRITE) return null;
+
+  const archive = await getArchive(providerId);
+  if (archive) return archive.writable ? archive : null;
+
+  try {
+    await fs.mkdir(config.TILE_ARCHIVE_DIR, { recursive: true });
+    const filePath = getArchivePath(providerId, 'mbtiles');
+    const created = new MBTiles(filePath, { create: true });
+    created.db.pragma('journal_mode = WAL'); // Lets tile requests read while fetched tiles are written
+    const provider = config.TILE_PROVIDERS[providerId] || {};
+    created.setMetadata({
+      name: provider.name || providerId,
+      format: 'png',
+      type: 'baselayer',
+      attribution: provider.attribution || ''
+    });
+
+    console.log(`Writing ${providerId} tiles to ${filePath}`);
+    archives.set(providerId, Promise.resolve(created));
+    return created;
+  } catch (error) {
+    console.error(`Failed to create ${providerId} tile archive:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  getArchive,
+  getWritableArchive,
+  getArchivePath,
+  openArchive
+};
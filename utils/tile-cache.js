@@ -1,55 +1,154 @@
 const fs = require('fs').promises;
 const path = require('path');
+const config = require('../config');
+const { CACHE_DIR } = require('./tile-fetcher');
+const { getArchive } = require('./tile-archive');
+const {
+  LEGACY_PROVIDER,
+  getTilePath,
+  removeIndexEntries,
+  getIndexEntries,
+  reconcileIndex,
+  flushIndex
+} = require('./tile-index');
+const { EARTH_RADIUS } = require('./geo');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Tile age buckets in the stats, by time since the tile was fetched
+const AGE_BUCKETS = [
+  { label: '< 1 day', maxAge: DAY },
+  { label: '1-7 days', maxAge: 7 * DAY },
+  { label: '7-30 days', maxAge: 30 * DAY },
+  { label: '30-90 days', maxAge: 90 * DAY },
+  { label: '> 90 days', maxAge: Infinity }
+];
+// Over the size cap, evict down to this share of it so every new tile doesn't trigger a pass
+const EVICTION_TARGET = 0.9;
+
+// Web Mercator position in tile units at the zoom; the integer parts are the tile x/y
+function tileCoordinates(lat, lon, zoom) {
+  const latRad = lat * Math.PI / 180;
+  const n = Math.pow(2, zoom);
+  return {
+    x: (lon + 180) / 360 * n,
+    y: (1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n
+  };
+}
+
+function pointSegmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function pointTileDistance(p, x, y) {
+  return Math.hypot(Math.max(x - p.x, 0, p.x - x - 1), Math.max(y - p.y, 0, p.y - y - 1));
+}
+
+// Whether segment a-b passes through tile x/y (Liang-Barsky clipping)
+function segmentCrossesTile(a, b, x, y) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+
+  for (const [p, q] of [[-dx, a.x - x], [dx, x + 1 - a.x], [-dy, a.y - y], [dy, y + 1 - a.y]]) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return false;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0) return false;
+      t1 = Math.min(t1, t);
+    }
+  }
+  return true;
+}
+
+// Shortest distance in tile units between segment a-b and tile x/y
+function segmentTileDistance(a, b, x, y) {
+  if (segmentCrossesTile(a, b, x, y)) return 0;
+
+  const corners = [{ x, y }, { x: x + 1, y }, { x, y: y + 1 }, { x: x + 1, y: y + 1 }];
+  return Math.min(
+    pointTileDistance(a, x, y),
+    pointTileDistance(b, x, y),
+    ...corners.map(corner => pointSegmentDistance(corner, a, b))
+  );
+}
 
 class TileCache {
-  constructor(cacheDir = path.join(__dirname, '..', 'tile-cache')) {
+  constructor(cacheDir = CACHE_DIR) {
     this.cacheDir = cacheDir;
+    this.evictionTimer = null;
+    this.evicting = null;
+    this.lastEviction = null;
   }
 
+  // Tile counts and sizes per provider and zoom level, from the tile index rather than a walk
+  // over tile-cache/. zoomLevels adds up every provider; tiles from before caches were split
+  // by provider are listed as LEGACY_PROVIDER. MBTiles/PMTiles archives keep their own counts
+  // and are listed under archives.
   async getCacheStats() {
     try {
       const stats = {
         totalTiles: 0,
         totalSize: 0,
-        zoomLevels: {}
+        zoomLevels: {},
+        providers: {},
+        archives: {}
       };
 
-      const zoomDirs = await fs.readdir(this.cacheDir).catch(() => []);
-      
-      for (const zoomDir of zoomDirs) {
-        if (isNaN(parseInt(zoomDir))) continue;
-        
-        const zoomPath = path.join(this.cacheDir, zoomDir);
-        const xDirs = await fs.readdir(zoomPath).catch(() => []);
-        
-        let zoomTiles = 0;
-        let zoomSize = 0;
-        
-        for (const xDir of xDirs) {
-          const xPath = path.join(zoomPath, xDir);
-          const tiles = await fs.readdir(xPath).catch(() => []);
-          
-          for (const tile of tiles) {
-            if (!tile.endsWith('.png')) continue;
-            
-            const tilePath = path.join(xPath, tile);
-            const stat = await fs.stat(tilePath);
-            zoomTiles++;
-            zoomSize += stat.size;
-          }
-        }
-        
-        stats.zoomLevels[zoomDir] = {
-          tiles: zoomTiles,
-          size: zoomSize,
-          sizeHuman: this.humanFileSize(zoomSize)
+      for (const providerId of Object.keys(config.TILE_PROVIDERS)) {
+        const archive = await getArchive(providerId);
+        if (!archive) continue;
+
+        const archiveStats = await archive.getStats();
+        stats.archives[providerId] = {
+          file: archive.filePath,
+          format: archive.format,
+          writable: archive.writable,
+          ...archiveStats,
+          sizeHuman: this.humanFileSize(archiveStats.size)
         };
-        
-        stats.totalTiles += zoomTiles;
-        stats.totalSize += zoomSize;
+        stats.totalTiles += archiveStats.tiles;
+        stats.totalSize += archiveStats.size;
       }
-      
+
+      const addTile = (group, zoom, size) => {
+        group.tiles++;
+        group.size += size;
+        const level = group.zoomLevels[zoom] || (group.zoomLevels[zoom] = { tiles: 0, size: 0 });
+        level.tiles++;
+        level.size += size;
+      };
+
+      const totals = { tiles: 0, size: 0, zoomLevels: {} };
+      for (const { key, size } of await getIndexEntries()) {
+        const [providerId, zoom] = key.split('/');
+        const provider = stats.providers[providerId] || (stats.providers[providerId] = { tiles: 0, size: 0, zoomLevels: {} });
+        addTile(provider, zoom, size);
+        addTile(totals, zoom, size);
+      }
+
+      for (const group of [...Object.values(stats.providers), totals]) {
+        group.sizeHuman = this.humanFileSize(group.size);
+        for (const level of Object.values(group.zoomLevels)) {
+          level.sizeHuman = this.humanFileSize(level.size);
+        }
+      }
+
+      stats.zoomLevels = totals.zoomLevels;
+      stats.totalTiles += totals.tiles;
+      stats.totalSize += totals.size;
       stats.totalSizeHuman = this.humanFileSize(stats.totalSize);
+      Object.assign(stats, await this.getEvictionStats());
       return stats;
     } catch (error) {
       console.error('Error getting cache stats:', error);
@@ -57,10 +156,19 @@ class TileCache {
     }
   }
 
-  async clearCache() {
+  // Clear every provider, or just one when providerId is given. Archives in
+  // TILE_ARCHIVE_DIR are offline packages and are left alone.
+  async clearCache(providerId = null) {
     try {
+      if (providerId) {
+        await fs.rm(path.join(this.cacheDir, providerId), { recursive: true, force: true });
+        await removeIndexEntries(key => key.startsWith(`${providerId}/`));
+        return { success: true, message: `${providerId} cache cleared successfully` };
+      }
+
       await fs.rm(this.cacheDir, { recursive: true, force: true });
       await fs.mkdir(this.cacheDir, { recursive: true });
+      await removeIndexEntries(() => true);
       return { success: true, message: 'Cache cleared successfully' };
     } catch (error) {
       console.error('Error clearing cache:', error);
@@ -68,10 +176,26 @@ class TileCache {
     }
   }
 
-  async clearZoomLevel(zoom) {
+  // Clear a zoom level from one provider, or from every provider (and legacy tiles)
+  async clearZoomLevel(zoom, providerId = null) {
     try {
-      const zoomPath = path.join(this.cacheDir, zoom.toString());
-      await fs.rm(zoomPath, { recursive: true, force: true });
+      let dirs = [this.cacheDir];
+      if (providerId) {
+        dirs = [path.join(this.cacheDir, providerId)];
+      } else {
+        const entries = await fs.readdir(this.cacheDir, { withFileTypes: true }).catch(() => []);
+        dirs.push(...entries
+          .filter(entry => entry.isDirectory() && isNaN(parseInt(entry.name)))
+          .map(entry => path.join(this.cacheDir, entry.name)));
+      }
+
+      for (const dir of dirs) {
+        await fs.rm(path.join(dir, zoom.toString()), { recursive: true, force: true });
+      }
+      await removeIndexEntries(key => {
+        const [provider, tileZoom] = key.split('/');
+        return tileZoom === zoom.toString() && (!providerId || provider === providerId);
+      });
       return { success: true, message: `Zoom level ${zoom} cleared successfully` };
     } catch (error) {
       console.error(`Error clearing zoom level ${zoom}:`, error);
@@ -79,6 +203,130 @@ class TileCache {
     }
   }
 
+  // Tiles the next eviction pass will delete: those older than TILE_CACHE.maxAge, then the
+  // least recently used ones until the rest fits in EVICTION_TARGET of TILE_CACHE.maxSize
+  async getEvictionPlan(now = Date.now()) {
+    const { maxSize, maxAge } = config.TILE_CACHE;
+    const entries = await getIndexEntries();
+
+    const expired = [];
+    const kept = [];
+    for (const entry of entries) {
+      if (maxAge > 0 && now - entry.created > maxAge * 1000) expired.push(entry);
+      else kept.push(entry);
+    }
+
+    const overSize = [];
+    let keptSize = kept.reduce((sum, entry) => sum + entry.size, 0);
+    if (maxSize > 0 && keptSize > maxSize) {
+      kept.sort((a, b) => a.accessed - b.accessed);
+      for (const entry of kept) {
+        if (keptSize <= maxSize * EVICTION_TARGET) break;
+        overSize.push(entry);
+        keptSize -= entry.size;
+      }
+    }
+
+    return { expired, overSize, entries };
+  }
+
+  // Age distribution of the indexed tiles, the configured limits and what eviction would remove
+  async getEvictionStats() {
+    const now = Date.now();
+    const { maxSize, maxAge } = config.TILE_CACHE;
+    const { expired, overSize, entries } = await this.getEvictionPlan(now);
+
+    const ages = {};
+    for (const bucket of AGE_BUCKETS) {
+      ages[bucket.label] = { tiles: 0, size: 0 };
+    }
+    for (const entry of entries) {
+      const bucket = AGE_BUCKETS.find(candidate => now - entry.created < candidate.maxAge);
+      ages[bucket.label].tiles++;
+      ages[bucket.label].size += entry.size;
+    }
+    for (const bucket of Object.values(ages)) {
+      bucket.sizeHuman = this.humanFileSize(bucket.size);
+    }
+
+    const pendingSize = [...expired, ...overSize].reduce((sum, entry) => sum + entry.size, 0);
+    return {
+      limits: {
+        maxSize,
+        maxSizeHuman: maxSize > 0 ? this.humanFileSize(maxSize) : null,
+        maxAgeDays: maxAge > 0 ? maxAge / 86400 : null
+      },
+      ages,
+      pendingEvictions: {
+        expired: expired.length,
+        overSize: overSize.length,
+        tiles: expired.length + overSize.length,
+        size: pendingSize,
+        sizeHuman: this.humanFileSize(pendingSize)
+      },
+      lastEviction: this.lastEviction
+    };
+  }
+
+  // Delete the tiles in the eviction plan, after reconciling the index with what is on disk so
+  // tiles it never recorded count towards maxSize too. Only one pass runs at a time.
+  async evict() {
+    if (this.evicting) return this.evicting;
+
+    this.evicting = (async () => {
+      const { added, dropped } = await reconcileIndex();
+      if (added > 0 || dropped > 0) {
+        console.log(`Tile cache index: ${added} unindexed tiles added, ${dropped} missing tiles dropped`);
+      }
+
+      const { expired, overSize } = await this.getEvictionPlan();
+      const evicted = [...expired, ...overSize];
+      let freed = 0;
+
+      for (const entry of evicted) {
+        try {
+          const tilePath = getTilePath(entry.key);
+          await fs.rm(tilePath, { force: true });
+          freed += entry.size;
+          // Drop the x folder once its last tile is gone
+          await fs.rmdir(path.dirname(tilePath)).catch(() => {});
+        } catch (error) {
+          console.error(`Failed to evict tile ${entry.key}:`, error.message);
+        }
+      }
+
+      const keys = new Set(evicted.map(entry => entry.key));
+      await removeIndexEntries(key => keys.has(key));
+      await flushIndex();
+
+      this.lastEviction = {
+        at: new Date().toISOString(),
+        expired: expired.length,
+        overSize: overSize.length,
+        freed,
+        freedHuman: this.humanFileSize(freed)
+      };
+      if (evicted.length > 0) {
+        console.log(`Tile cache eviction: ${expired.length} expired, ${overSize.length} least recently used, ${this.humanFileSize(freed)} freed`);
+      }
+      return this.lastEviction;
+    })().finally(() => {
+      this.evicting = null;
+    });
+
+    return this.evicting;
+  }
+
+  // Run evict() every TILE_CACHE.evictionInterval seconds, starting shortly after launch
+  startEviction() {
+    if (this.evictionTimer) return;
+
+    const run = () => this.evict().catch(error => console.error('Tile cache eviction failed:', error));
+    setTimeout(run, 5000).unref();
+    this.evictionTimer = setInterval(run, config.TILE_CACHE.evictionInterval * 1000);
+    this.evictionTimer.unref();
+  }
+
   humanFileSize(bytes) {
     if (bytes === 0) return '0 B';
     
@@ -89,70 +337,76 @@ class TileCache {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
-  async preloadBounds(bounds, minZoom = 10, maxZoom = 15) {
-    const tiles = this.getTilesInBounds(bounds, minZoom, maxZoom);
-    console.log(`Preloading ${tiles.length} tiles for bounds`, bounds);
-    
-    let loaded = 0;
-    let failed = 0;
-    
-    // Add delay between preload requests to be respectful to OSM
-    const PRELOAD_DELAY = 300; // 300ms between preload requests
-    
-    for (const tile of tiles) {
-      try {
-        const response = await fetch(`http://localhost:3000/api/tiles/${tile.z}/${tile.x}/${tile.y}.png`);
-        if (response.ok) {
-          loaded++;
-        } else {
-          failed++;
-          if (response.status === 403) {
-            console.warn(`Access blocked during preload. Stopping preload operation.`);
-            break;
-          }
+  // Tile range of the bounds at each zoom from minZoom to maxZoom
+  getBoundsRanges(bounds, minZoom, maxZoom) {
+    const ranges = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const nw = this.deg2tile(bounds.north, bounds.west, z);
+      const se = this.deg2tile(bounds.south, bounds.east, z);
+      const minX = Math.min(nw.x, se.x);
+      const maxX = Math.max(nw.x, se.x);
+      const minY = Math.min(nw.y, se.y);
+      const maxY = Math.max(nw.y, se.y);
+      const height = maxY - minY + 1;
+      ranges.push({ z, minX, maxX, minY, maxY, height, count: (maxX - minX + 1) * height });
+    }
+    return ranges;
+  }
+
+  // Tiles in the bounds at minZoom-maxZoom, counted without listing them
+  countTilesInBounds(bounds, minZoom, maxZoom) {
+    return this.getBoundsRanges(bounds, minZoom, maxZoom).reduce((sum, range) => sum + range.count, 0);
+  }
+
+  // The tiles in the bounds zoom by zoom, column by column, worked out one at a time so a
+  // large area doesn't sit in memory
+  *iterateTilesInBounds(bounds, minZoom, maxZoom) {
+    for (const { z, minX, maxX, minY, maxY } of this.getBoundsRanges(bounds, minZoom, maxZoom)) {
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          yield { z, x, y };
         }
-      } catch (error) {
-        failed++;
-        console.error(`Failed to preload tile ${tile.z}/${tile.x}/${tile.y}:`, error.message);
-      }
-      
-      if ((loaded + failed) % 5 === 0) {
-        console.log(`Preload progress: ${loaded + failed}/${tiles.length} (${loaded} loaded, ${failed} failed)`);
-      }
-      
-      // Add delay between requests during preload
-      if (loaded + failed < tiles.length) {
-        await new Promise(resolve => setTimeout(resolve, PRELOAD_DELAY));
       }
     }
-    
-    console.log(`Preload completed: ${loaded} loaded, ${failed} failed, ${tiles.length} total`);
-    return { loaded, failed, total: tiles.length };
   }
 
-  getTilesInBounds(bounds, minZoom, maxZoom) {
-    const tiles = [];
-    
-    for (let z = minZoom; z <= maxZoom; z++) {
-      const nwTile = this.deg2tile(bounds.north, bounds.west, z);
-      const seTile = this.deg2tile(bounds.south, bounds.east, z);
-      
-      for (let x = Math.min(nwTile.x, seTile.x); x <= Math.max(nwTile.x, seTile.x); x++) {
-        for (let y = Math.min(nwTile.y, seTile.y); y <= Math.max(nwTile.y, seTile.y); y++) {
-          tiles.push({ x, y, z });
+  // Tiles at one zoom within `radius` meters of a route given as [[lat, lon], ...], in route order.
+  // A lot fewer than the route's bounding box once the ride isn't a small loop. Tiles skip(tile)
+  // picks are left out, and the listing stops once it has more than `limit` tiles.
+  getTilesInCorridor(route, radius, zoom, { skip = () => false, limit = Infinity } = {}) {
+    const n = Math.pow(2, zoom);
+    const metersPerTile = 2 * Math.PI * EARTH_RADIUS / n; // At the equator, shrinking with cos(lat)
+    const points = route.map(([lat, lon]) => tileCoordinates(lat, lon, zoom));
+    const tiles = new Map();
+
+    for (let i = 0; i < Math.max(1, points.length - 1); i++) {
+      const a = points[i];
+      const b = points[i + 1] || a;
+      const reach = radius / (metersPerTile * Math.cos(route[i][0] * Math.PI / 180));
+
+      const minX = Math.max(0, Math.floor(Math.min(a.x, b.x) - reach));
+      const maxX = Math.min(n - 1, Math.floor(Math.max(a.x, b.x) + reach));
+      const minY = Math.max(0, Math.floor(Math.min(a.y, b.y) - reach));
+      const maxY = Math.min(n - 1, Math.floor(Math.max(a.y, b.y) + reach));
+
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const key = `${x}/${y}`;
+          const tile = { x, y, z: zoom };
+          if (!tiles.has(key) && !skip(tile) && segmentTileDistance(a, b, x, y) <= reach) {
+            tiles.set(key, tile);
+            if (tiles.size > limit) return Array.from(tiles.values());
+          }
         }
       }
     }
-    
-    return tiles;
+
+    return Array.from(tiles.values());
   }
 
   deg2tile(lat, lon, zoom) {
-    const latRad = lat * Math.PI / 180;
-    const n = Math.pow(2, zoom);
-    const x = Math.floor((lon + 180) / 360 * n);
-    const y = Math.floor((1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n);
-    return { x, y };
+    const { x, y } = tileCoordinates(lat, lon, zoom);
+    return { x: Math.floor(x), y: Math.floor(y) };
   }
 }
 
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const config = require('../config');
+const { getArchive, getWritableArchive } = require('./tile-archive');
+const { CACHE_DIR, recordTileAccess, recordTileWrite } = require('./tile-index');
+
+// Provider settings from config, or null for an unknown provider id
+function getProvider(providerId = config.DEFAULT_TILE_PROVIDER) {
+  if (!Object.prototype.hasOwnProperty.call(config.TILE_PROVIDERS, providerId)) return null;
+  return { id: providerId, ...config.TILE_PROVIDERS[providerId] };
+}
+
+// Public provider list for the UI (no URLs or User-Agents)
+function listProviders() {
+  return Object.entries(config.TILE_PROVIDERS).map(([id, provider]) => ({
+    id,
+    name: provider.name,
+    maxZoom: provider.maxZoom,
+    attribution: provider.attribution,
+    default: id === config.DEFAULT_TILE_PROVIDER
+  }));
+}
+
+function getProviderCacheDir(providerId) {
+  return path.join(CACHE_DIR, providerId);
+}
+
+function getTileUrl(provider, z, x, y) {
+  const subdomains = provider.subdomains || [];
+  const subdomain = subdomains.length > 0
+    ? subdomains[Math.floor(Math.random() * subdomains.length)]
+    : '';
+
+  return provider.url
+    .replace('{s}', subdomain)
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y);
+}
+
+function getCachePath(providerId, z, x, y) {
+  return path.join(getProviderCacheDir(providerId), z.toString(), x.toString(), `${y}.png`);
+}
+
+// A tile already on this machine: from the provider's MBTiles/PMTiles archive, then tile-cache/.
+// Never fetches; returns the buffer or null. Bulk reads like exports pass recordAccess: false
+// so they don't make every tile look recently used.
+async function readCachedTile(providerId, z, x, y, { recordAccess = true } = {}) {
+  const archive = await getArchive(providerId);
+  if (archive) {
+    try {
+      const buffer = await archive.getTile(z, x, y);
+      if (buffer) return buffer;
+    } catch (error) {
+      console.error(`Tile archive read error for ${providerId}/${z}/${x}/${y}:`, error.message);
+    }
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(getCachePath(providerId, z, x, y));
+  } catch (error) {
+    return null;
+  }
+
+  // Last access drives least-recently-used eviction (see TileCache.evict)
+  if (recordAccess) {
+    await recordTileAccess(`${providerId}/${z}/${x}/${y}`, buffer.length);
+  }
+  return buffer;
+}
+
+// Get a tile from the provider's archive or local cache, falling back to the provider itself.
+// Returns { buffer, cached } or null when the provider is unknown, the zoom is past
+// its maxZoom or the fetch failed.
+async function getTile(z, x, y, providerId = config.DEFAULT_TILE_PROVIDER) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    console.error(`Unknown tile provider: ${providerId}`);
+    return null;
+  }
+  if (z > provider.maxZoom) return null;
+
+  // Check cache first
+  const cachedTile = await readCachedTile(provider.id, z, x, y);
+  if (cachedTile) {
+    console.log(`Local tile cache HIT: ${provider.id}/${z}/${x}/${y}`);
+    return { buffer: cachedTile, cached: true };
+  }
+  console.log(`Local tile cache MISS: ${provider.id}/${z}/${x}/${y} - fetching...`);
+
+  const tileBuffer = await fetchFromProvider(provider, z, x, y);
+  if (!tileBuffer) {
+    console.error(`${provider.name} failed for ${z}/${x}/${y}`);
+    return null;
+  }
+
+  await cacheTile(provider.id, z, x, y, tileBuffer);
+  console.log(`Fetched and cached tile from ${provider.name}: ${z}/${x}/${y}`);
+  return { buffer: tileBuffer, cached: false };
+}
+
+// Store a fetched tile in the provider's archive when TILE_ARCHIVE_WRITE is on, else in tile-cache/
+async function cacheTile(providerId, z, x, y, tileBuffer) {
+  try {
+    const archive = await getWritableArchive(providerId);
+    if (archive) {
+      await archive.putTile(z, x, y, tileBuffer);
+      return;
+    }
+
+    const cachePath = getCachePath(providerId, z, x, y);
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.writeFile(cachePath, tileBuffer);
+    await recordTileWrite(`${providerId}/${z}/${x}/${y}`, tileBuffer.length);
+  } catch (cacheError) {
+    console.error('Cache write error:', cacheError);
+  }
+}
+
+// Fetch one tile from a provider's URL template
+async function fetchFromProvider(provider, z, x, y) {
+  const url = getTileUrl(provider, z, x, y);
+  const client = url.startsWith('https:') ? https : http;
+
+  try {
+    const response = await new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        headers: {
+          'User-Agent': provider.userAgent,
+          'Accept': 'image/png,image/*,*/*'
+        },
+        timeout: 8000
+      }, resolve);
+
+      request.on('error', reject);
+      request.on('timeout', () => {
+        request.destroy();
+        reject(new Error('Request timeout'));
+      });
+    });
+
+    if (response.statusCode === 200) {
+      const chunks = [];
+
+      response.on('data', chunk => chunks.push(chunk));
+
+      return new Promise((resolve) => {
+        response.on('end', () => {
+          resolve(Buffer.concat(chunks));
+        });
+      });
+    }
+
+    response.resume();
+    console.log(`${provider.name} returned HTTP ${response.statusCode} for ${z}/${x}/${y}`);
+    return null;
+  } catch (error) {
+    console.log(`${provider.name} error: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  CACHE_DIR,
+  getTile,
+  readCachedTile,
+  getProvider,
+  listProviders
+};
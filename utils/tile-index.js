@@ -0,0 +1,248 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_DIR = path.join(__dirname, '..', 'tile-cache');
+const INDEX_PATH = path.join(CACHE_DIR, 'index.json');
+const SAVE_DELAY = 30000; // Maps ask for dozens of tiles a second, and a few lost access times don't matter
+
+// Key prefix of tiles cached before the cache was split by provider, which sit in tile-cache/<z>/
+const LEGACY_PROVIDER = 'unsorted';
+
+// Size, fetch time and last access of every tile in tile-cache/, keyed by "provider/z/x/y".
+// Stored as [size, created, accessed] with times in seconds to keep index.json small.
+let index = null;
+let loading = null;
+let saveTimer = null;
+// Keys dropped since the last save, so merging with index.json doesn't bring them back
+let removed = new Set();
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Where the tile an index key stands for is on disk
+function getTilePath(key) {
+  const [provider, ...tile] = key.split('/');
+  const dir = provider === LEGACY_PROVIDER ? CACHE_DIR : path.join(CACHE_DIR, provider);
+  return path.join(dir, ...tile) + '.png';
+}
+
+// Paths of every tile in tile-cache/ by index key, the legacy z/x/y tree included
+async function listCachedTiles() {
+  const tiles = new Map();
+
+  const walk = async (prefix, dir) => {
+    for (const zoomDir of await fs.readdir(dir).catch(() => [])) {
+      if (isNaN(parseInt(zoomDir))) continue;
+
+      const zoomPath = path.join(dir, zoomDir);
+      for (const xDir of await fs.readdir(zoomPath).catch(() => [])) {
+        const xPath = path.join(zoomPath, xDir);
+        for (const tile of await fs.readdir(xPath).catch(() => [])) {
+          if (!tile.endsWith('.png')) continue;
+          tiles.set(`${prefix}/${zoomDir}/${xDir}/${tile.slice(0, -4)}`, path.join(xPath, tile));
+        }
+      }
+    }
+  };
+
+  const entries = await fs.readdir(CACHE_DIR, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (entry.isDirectory() && isNaN(parseInt(entry.name))) {
+      await walk(entry.name, path.join(CACHE_DIR, entry.name));
+    }
+  }
+  if (entries.some(entry => entry.isDirectory() && !isNaN(parseInt(entry.name)))) {
+    await walk(LEGACY_PROVIDER, CACHE_DIR);
+  }
+
+  return tiles;
+}
+
+// An index entry from the file times, for tiles the index doesn't know about
+async function createEntry(tilePath) {
+  const stat = await fs.stat(tilePath);
+  const modified = Math.floor(stat.mtimeMs / 1000);
+  return [stat.size, modified, modified];
+}
+
+// Index entries for tiles cached before the index existed
+async function buildIndex() {
+  const entries = new Map();
+  for (const [key, tilePath] of await listCachedTiles()) {
+    const entry = await createEntry(tilePath).catch(() => null);
+    if (entry) entries.set(key, entry);
+  }
+
+  console.log(`Built tile cache index with ${entries.size} tiles`);
+  return entries;
+}
+
+async function readIndexFile() {
+  return new Map(Object.entries(JSON.parse(await fs.readFile(INDEX_PATH, 'utf-8'))));
+}
+
+async function loadIndex() {
+  if (index) return index;
+  if (!loading) {
+    loading = (async () => {
+      try {
+        index = await readIndexFile();
+      } catch (error) {
+        index = await buildIndex();
+        scheduleSave();
+      }
+      return index;
+    })();
+  }
+  return loading;
+}
+
+// The server and the CLI scripts each keep an index in memory, so what another process saved
+// is merged in rather than overwritten: tiles only it knows about are added and the later
+// access time of each tile is kept.
+async function saveIndex() {
+  if (!index) return;
+
+  try {
+    const saved = await readIndexFile().catch(() => new Map());
+    for (const [key, entry] of saved) {
+      if (removed.has(key)) continue;
+
+      const current = index.get(key);
+      if (!current) {
+        index.set(key, entry);
+      } else if (entry[1] > current[1]) {
+        index.set(key, [entry[0], entry[1], Math.max(entry[2], current[2])]);
+      } else {
+        current[2] = Math.max(entry[2], current[2]);
+      }
+    }
+    removed = new Set();
+
+    // Written next to the index and renamed, so a reader never sees half a file
+    const tempPath = `${INDEX_PATH}.${process.pid}`;
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(index)));
+    await fs.rename(tempPath, INDEX_PATH);
+  } catch (error) {
+    console.error('Failed to save tile cache index:', error);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveIndex();
+  }, SAVE_DELAY);
+  saveTimer.unref();
+}
+
+// Write any pending changes immediately
+async function flushIndex() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  await saveIndex();
+}
+
+// Save pending changes when the process ends: on Ctrl-C or SIGTERM (then exit), and when
+// nothing is left to do, as the save timer doesn't keep the process alive. For the server and
+// the CLI scripts; those also flush before calling process.exit themselves.
+function flushIndexOnExit() {
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      flushIndex().finally(() => process.exit(signal === 'SIGINT' ? 130 : 143));
+    });
+  }
+  process.on('beforeExit', () => {
+    if (saveTimer) flushIndex();
+  });
+}
+
+// A tile was read from tile-cache/
+async function recordTileAccess(key, size) {
+  const entries = await loadIndex();
+  const entry = entries.get(key);
+  if (entry) {
+    entry[2] = now();
+  } else {
+    entries.set(key, [size, now(), now()]);
+  }
+  scheduleSave();
+}
+
+// A tile was fetched and written to tile-cache/
+async function recordTileWrite(key, size) {
+  const entries = await loadIndex();
+  entries.set(key, [size, now(), now()]);
+  scheduleSave();
+}
+
+// Forget tiles that were deleted; matches(key) picks the entries to drop
+async function removeIndexEntries(matches) {
+  const entries = await loadIndex();
+  for (const key of entries.keys()) {
+    if (matches(key)) {
+      entries.delete(key);
+      removed.add(key);
+    }
+  }
+  scheduleSave();
+}
+
+// Bring the index in line with tile-cache/: tiles written without being recorded (by older
+// versions, or a process that stopped before saving) are added from their file times, and
+// entries of tiles deleted by hand are dropped. Returns how many of each there were.
+async function reconcileIndex() {
+  const entries = await loadIndex();
+  const tiles = await listCachedTiles();
+  let added = 0;
+  let dropped = 0;
+
+  for (const [key, tilePath] of tiles) {
+    if (entries.has(key)) continue;
+    const entry = await createEntry(tilePath).catch(() => null);
+    if (entry) {
+      entries.set(key, entry);
+      added++;
+    }
+  }
+  for (const key of entries.keys()) {
+    if (!tiles.has(key)) {
+      entries.delete(key);
+      removed.add(key);
+      dropped++;
+    }
+  }
+
+  if (added > 0 || dropped > 0) scheduleSave();
+  return { added, dropped };
+}
+
+// Every entry as { key, size, created, accessed } with times in milliseconds
+async function getIndexEntries() {
+  const entries = await loadIndex();
+  return Array.from(entries, ([key, [size, created, accessed]]) => ({
+    key,
+    size,
+    created: created * 1000,
+    accessed: accessed * 1000
+  }));
+}
+
+module.exports = {
+  CACHE_DIR,
+  LEGACY_PROVIDER,
+  getTilePath,
+  recordTileAccess,
+  recordTileWrite,
+  removeIndexEntries,
+  getIndexEntries,
+  reconcileIndex,
+  flushIndex,
+  flushIndexOnExit
+};
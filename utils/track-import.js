@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FitParser = require('fit-file-parser').default;
+const { haversineDistance } = require('./geo');
+
+const TRACK_EXTENSIONS = ['.gpx', '.tcx', '.fit'];
+const MAX_INTERPOLATION_GAP = 60 * 1000; // Don't interpolate across recording pauses longer than this
+
+// Text content of the first <tag> inside an XML fragment
+function getTagValue(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>([^<]*)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function parseGpx(xml) {
+  const points = [];
+  const pointPattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+  let match;
+
+  while ((match = pointPattern.exec(xml)) !== null) {
+    const attributes = match[1];
+    const body = match[2] || '';
+    const lat = attributes.match(/lat\s*=\s*["']([^"']+)["']/);
+    const lon = attributes.match(/lon\s*=\s*["']([^"']+)["']/);
+    const time = getTagValue(body, 'time');
+    if (!lat || !lon || !time) continue;
+
+    points.push({
+      time: Date.parse(time),
+      lat: parseFloat(lat[1]),
+      lon: parseFloat(lon[1]),
+      alt: parseNumber(getTagValue(body, 'ele')),
+      speed: parseNumber(getTagValue(body, 'speed')) // Garmin TrackPointExtension, m/s
+    });
+  }
+
+  return points;
+}
+
+function parseTcx(xml) {
+  const points = [];
+  const pointPattern = /<Trackpoint>([\s\S]*?)<\/Trackpoint>/g;
+  let match;
+
+  while ((match = pointPattern.exec(xml)) !== null) {
+    const body = match[1];
+    const time = getTagValue(body, 'Time');
+    const lat = parseNumber(getTagValue(body, 'LatitudeDegrees'));
+    const lon = parseNumber(getTagValue(body, 'LongitudeDegrees'));
+    if (!time || lat === null || lon === null) continue;
+
+    points.push({
+      time: Date.parse(time),
+      lat,
+      lon,
+      alt: parseNumber(getTagValue(body, 'AltitudeMeters')),
+      speed: parseNumber(getTagValue(body, 'Speed')) // ActivityExtension TPX, m/s
+    });
+  }
+
+  return points;
+}
+
+async function parseFit(buffer) {
+  const parser = new FitParser({ mode: 'list', speedUnit: 'm/s', lengthUnit: 'm' });
+  const data = await parser.parseAsync(buffer);
+
+  return (data.records || [])
+    .filter(record => record.timestamp && record.position_lat !== undefined && record.position_long !== undefined)
+    .map(record => ({
+      time: new Date(record.timestamp).getTime(),
+      lat: record.position_lat,
+      lon: record.position_long,
+      alt: record.enhanced_altitude ?? record.altitude ?? null,
+      speed: record.enhanced_speed ?? record.speed ?? null
+    }));
+}
+
+// Find the track file in a session folder (the first .gpx, .tcx or .fit by name)
+async function findTrackFile(sessionPath) {
+  const files = await fs.readdir(sessionPath);
+  const trackFile = files
+    .filter(file => TRACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()[0];
+  return trackFile ? path.join(sessionPath, trackFile) : null;
+}
+
+// Parse a GPX, TCX or FIT file into time-sorted points { time, lat, lon, alt, speed }
+async function loadTrack(trackPath) {
+  const extension = path.extname(trackPath).toLowerCase();
+  let points;
+
+  if (extension === '.fit') {
+    points = await parseFit(await fs.readFile(trackPath));
+  } else {
+    const xml = await fs.readFile(trackPath, 'utf-8');
+    points = extension === '.tcx' ? parseTcx(xml) : parseGpx(xml);
+  }
+
+  return points
+    .filter(point => !isNaN(point.time) && !isNaN(point.lat) && !isNaN(point.lon))
+    .sort((a, b) => a.time - b.time);
+}
+
+// Index of the last point at or before time (binary search)
+function findPointBefore(points, time) {
+  let low = 0;
+  let high = points.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (points[mid].time <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+// Interpolated position at a track time, or null outside the track or across a pause
+function interpolatePosition(points, time) {
+  if (points.length === 0 || time < points[0].time || time > points[points.length - 1].time) {
+    return null;
+  }
+
+  const index = findPointBefore(points, time);
+  const before = points[index];
+  const after = points[Math.min(index + 1, points.length - 1)];
+  if (before === after || before.time === after.time) {
+    return { ...before };
+  }
+  if (after.time - before.time > MAX_INTERPOLATION_GAP) {
+    return null;
+  }
+
+  const ratio = (time - before.time) / (after.time - before.time);
+  const lerp = (a, b) => (a === null || b === null) ? (a ?? b) : a + (b - a) * ratio;
+
+  // Devices that don't record speed get it from the segment instead
+  const segmentSpeed = haversineDistance(before.lat, before.lon, after.lat, after.lon) / ((after.time - before.time) / 1000);
+
+  return {
+    time,
+    lat: lerp(before.lat, after.lat),
+    lon: lerp(before.lon, after.lon),
+    alt: lerp(before.alt, after.alt),
+    speed: before.speed !== null && after.speed !== null ? lerp(before.speed, after.speed) : segmentSpeed
+  };
+}
+
+// Fill in or override image GPS from track points. clockOffset (seconds) is added to
+// photo timestamps to line them up with the track clock; mode 'fill' only touches
+// images without GPS, 'override' replaces every image the track covers.
+function applyTrack(images, points, { clockOffset = 0, mode = 'fill' } = {}) {
+  let matched = 0;
+
+  const result = images.map(image => {
+    if (mode === 'fill' && image.lat && image.lon) return image;
+
+    const position = interpolatePosition(points, image.timestamp + clockOffset * 1000);
+    if (!position) return image;
+
+    matched++;
+    return {
+      ...image,
+      lat: position.lat,
+      lon: position.lon,
+      alt: position.alt ?? image.alt,
+      speed: position.speed ?? image.speed,
+      gpsSource: 'track'
+    };
+  });
+
+  return { images: result, matched };
+}
+
+module.exports = {
+  findTrackFile,
+  loadTrack,
+  interpolatePosition,
+  applyTrack
+};
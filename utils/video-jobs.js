@@ -0,0 +1,251 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const config = require('../config');
+
+const VIDEO_SIZES = {
+  original: null,
+  '1080p': '1920x1080',
+  '720p': '1280x720',
+  '4k': '3840x2160'
+};
+
+const VIDEO_CODECS = {
+  h264: { extension: 'mp4', args: crf => ['-c:v', 'libx264', '-crf', crf, '-pix_fmt', 'yuv420p', '-movflags', '+faststart'] },
+  h265: { extension: 'mp4', args: crf => ['-c:v', 'libx265', '-crf', crf, '-pix_fmt', 'yuv420p', '-tag:v', 'hvc1', '-movflags', '+faststart'] },
+  vp9: { extension: 'webm', args: crf => ['-c:v', 'libvpx-vp9', '-crf', crf, '-b:v', '0', '-pix_fmt', 'yuv420p'] }
+};
+
+const VIDEO_TIMINGS = ['fixed', 'realtime'];
+const STDERR_LINES = 20; // Tail of ffmpeg output kept for error messages
+
+const jobs = new Map();
+
+// Errors carrying the HTTP status the API should answer with
+function jobError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Fill in defaults and check ranges
+function parseVideoOptions(options = {}) {
+  const settings = { ...config.VIDEO_DEFAULTS };
+  if (options.framerate !== undefined) settings.framerate = parseFloat(options.framerate);
+  if (options.crf !== undefined) settings.crf = parseInt(options.crf);
+  if (options.size !== undefined) settings.size = options.size;
+  if (options.codec !== undefined) settings.codec = options.codec;
+  if (options.timing !== undefined) settings.timing = options.timing;
+  if (options.speed !== undefined) settings.speed = parseFloat(options.speed);
+  settings.stops = options.stops ?? [];
+
+  if (isNaN(settings.framerate) || settings.framerate <= 0 || settings.framerate > 120) {
+    throw jobError('framerate must be between 0 and 120', 400);
+  }
+  if (isNaN(settings.crf) || settings.crf < 0 || settings.crf > 51) {
+    throw jobError('crf must be between 0 and 51', 400);
+  }
+  if (!(settings.size in VIDEO_SIZES)) {
+    throw jobError(`size must be one of ${Object.keys(VIDEO_SIZES).join(', ')}`, 400);
+  }
+  if (!VIDEO_CODECS[settings.codec]) {
+    throw jobError(`codec must be one of ${Object.keys(VIDEO_CODECS).join(', ')}`, 400);
+  }
+
+  if (!VIDEO_TIMINGS.includes(settings.timing)) {
+    throw jobError(`timing must be one of ${VIDEO_TIMINGS.join(', ')}`, 400);
+  }
+  if (isNaN(settings.speed) || settings.speed < 0.1 || settings.speed > 1000) {
+    throw jobError('speed must be between 0.1 and 1000', 400);
+  }
+  if (!Array.isArray(settings.stops) ||
+      !settings.stops.every(stop => Number.isFinite(stop?.start) && Number.isFinite(stop?.end) && stop.end >= stop.start)) {
+    throw jobError('stops must be a list of { start, end } timestamps', 400);
+  }
+  settings.stops = settings.stops.map(({ start, end }) => ({ start, end }));
+
+  return settings;
+}
+
+// Same naming as scripts/create-video.sh, with the codec added when it isn't H.264
+// and the speed-up instead of the frame rate for real-time videos
+function getVideoFileName(session, { framerate, crf, size, codec, timing, speed }) {
+  const codecPart = codec === 'h264' ? '' : `_${codec}`;
+  const ratePart = timing === 'realtime' ? `realtime${speed === 1 ? '' : `_x${speed}`}` : `${framerate}fps`;
+  return `${session}_${ratePart}${codecPart}_q${crf}_${size}.${VIDEO_CODECS[codec].extension}`;
+}
+
+// Milliseconds between two timestamps that fall inside trimmed stops
+function getTrimmedTime(stops, from, to) {
+  return stops.reduce((total, stop) => total + Math.max(0, Math.min(stop.end, to) - Math.max(stop.start, from)), 0);
+}
+
+// ffconcat list showing each frame until the next one was taken, divided by the speed-up.
+// Frames are named <timestamp>.jpg; the end card frames are 1 ms apart and play at the
+// normal frame rate instead, as do frames in skipped or compressed stops, whose time is left out.
+function buildConcatList(inputDir, frames, { framerate, speed, stops = [] }) {
+  const timestamps = frames.map(file => parseInt(path.basename(file, '.jpg')));
+  const quote = file => `'${path.resolve(inputDir, file).replace(/'/g, "'\\''")}'`;
+  const lines = ['ffconcat version 1.0'];
+
+  frames.forEach((file, i) => {
+    const delta = i + 1 < frames.length
+      ? timestamps[i + 1] - timestamps[i] - getTrimmedTime(stops, timestamps[i], timestamps[i + 1])
+      : 0;
+    const duration = delta > 1 ? delta / 1000 / speed : 1 / framerate;
+    lines.push(`file ${quote(file)}`, `duration ${duration.toFixed(6)}`);
+  });
+
+  // ffmpeg ignores the duration of the last entry, so it is listed twice
+  lines.push(`file ${quote(frames[frames.length - 1])}`);
+  return lines.join('\n') + '\n';
+}
+
+function buildFfmpegArgs(input, outputPath, { framerate, crf, size, codec, timing }) {
+  const args = timing === 'realtime'
+    ? ['-f', 'concat', '-safe', '0', '-i', input, '-vsync', 'vfr']
+    : ['-pattern_type', 'glob', '-framerate', String(framerate), '-i', path.join(input, '*.jpg')];
+
+  if (VIDEO_SIZES[size]) {
+    args.push('-vf', `scale=${VIDEO_SIZES[size].replace('x', ':')}`);
+  }
+  args.push(...VIDEO_CODECS[codec].args(String(crf)), '-y', outputPath);
+  return args;
+}
+
+// Job state as returned by the API
+function toStatus(job) {
+  const { process, stderr, ...status } = job;
+  return status;
+}
+
+function getActiveJob(session) {
+  return Array.from(jobs.values()).find(job => job.session === session && job.status === 'running');
+}
+
+// Start ffmpeg on output/<session>/*.jpg in the background; returns the job status
+async function startVideoJob(session, options) {
+  // The session name becomes part of the input and output paths
+  if (!/^[\w.-]+$/.test(session) || session.includes('..')) {
+    throw jobError('Invalid session name', 400);
+  }
+  const settings = parseVideoOptions(options);
+
+  if (getActiveJob(session)) {
+    throw jobError(`A video for ${session} is already being made`, 409);
+  }
+
+  const inputDir = path.join(config.OUTPUT_DIR, session);
+  const files = await fs.readdir(inputDir).catch(() => []);
+  const frames = files.filter(file => file.endsWith('.jpg')).sort((a, b) => parseInt(a) - parseInt(b));
+  const totalFrames = frames.length;
+  if (totalFrames === 0) {
+    throw jobError(`No rendered frames in ${inputDir}`, 404);
+  }
+
+  await fs.mkdir(config.VIDEO_DIR, { recursive: true });
+  const file = getVideoFileName(session, settings);
+  const outputPath = path.join(config.VIDEO_DIR, file);
+
+  // Real-time videos read the frames through a concat list with per-frame durations
+  let input = inputDir;
+  let concatPath = null;
+  if (settings.timing === 'realtime') {
+    concatPath = path.join(config.VIDEO_DIR, `${file}.ffconcat`);
+    await fs.writeFile(concatPath, buildConcatList(inputDir, frames, settings));
+    input = concatPath;
+  }
+
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    session,
+    settings,
+    status: 'running',
+    frame: 0,
+    totalFrames,
+    progress: 0,
+    file,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    process: null,
+    stderr: []
+  };
+  jobs.set(job.id, job);
+
+  const ffmpeg = spawn(config.FFMPEG_PATH, buildFfmpegArgs(input, outputPath, settings));
+  job.process = ffmpeg;
+  console.log(`Video job ${job.id}: ${session} -> ${outputPath}`);
+
+  // ffmpeg reports "frame=  123 fps=..." on stderr, separated by carriage returns
+  ffmpeg.stderr.on('data', data => {
+    const text = data.toString();
+    const frames = [...text.matchAll(/frame=\s*(\d+)/g)];
+    if (frames.length > 0) {
+      job.frame = parseInt(frames[frames.length - 1][1]);
+      job.progress = Math.min(1, job.frame / job.totalFrames);
+    }
+    job.stderr.push(...text.split(/[\r\n]+/).filter(Boolean));
+    job.stderr.splice(0, Math.max(0, job.stderr.length - STDERR_LINES));
+  });
+
+  const finish = async (status, error = null) => {
+    if (job.finishedAt) return;
+    job.status = job.status === 'cancelled' ? 'cancelled' : status;
+    job.error = job.status === 'cancelled' ? null : error;
+    job.finishedAt = new Date().toISOString();
+    job.process = null;
+    if (concatPath) await fs.unlink(concatPath).catch(() => {});
+    if (job.status === 'done') {
+      job.progress = 1;
+    } else {
+      // Don't leave a half-written video behind
+      await fs.unlink(outputPath).catch(() => {});
+    }
+    console.log(`Video job ${job.id} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+  };
+
+  ffmpeg.on('close', code => {
+    if (code === 0) {
+      finish('done');
+    } else {
+      finish('failed', `ffmpeg exited with code ${code}: ${job.stderr.slice(-3).join(' | ')}`);
+    }
+  });
+  ffmpeg.on('error', error => {
+    finish('failed', error.code === 'ENOENT' ? `ffmpeg not found at ${config.FFMPEG_PATH}` : error.message);
+  });
+
+  return toStatus(job);
+}
+
+function getVideoJob(id) {
+  const job = jobs.get(id);
+  return job ? toStatus(job) : null;
+}
+
+function listVideoJobs() {
+  return Array.from(jobs.values()).map(toStatus);
+}
+
+function cancelVideoJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.status === 'running' && job.process) {
+    job.status = 'cancelled';
+    job.process.kill('SIGTERM');
+  }
+  return toStatus(job);
+}
+
+module.exports = {
+  VIDEO_SIZES,
+  VIDEO_CODECS,
+  VIDEO_TIMINGS,
+  parseVideoOptions,
+  buildConcatList,
+  startVideoJob,
+  getVideoJob,
+  listVideoJobs,
+  cancelVideoJob
+};
@@ -0,0 +1,452 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const config = require('../config');
+const { applyTrack } = require('./track-import');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov'];
+const TELEMETRY_EXTENSIONS = ['.srt', '.nmea'];
+const FRAMES_DIR = 'frames'; // Prefix of extracted frame filenames, served from FRAME_CACHE_DIR
+const KNOTS_TO_MPS = 0.514444;
+
+// Run ffmpeg, collecting stdout; onStderr gets each chunk of its log output
+function runFfmpeg(args, onStderr = () => {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(config.FFMPEG_PATH, ['-hide_banner', ...args]);
+    const stdout = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', data => stdout.push(data));
+    ffmpeg.stderr.on('data', data => {
+      stderr += data.toString();
+      onStderr(data.toString());
+    });
+    ffmpeg.on('error', error => {
+      reject(error.code === 'ENOENT' ? new Error(`ffmpeg not found at ${config.FFMPEG_PATH}`) : error);
+    });
+    ffmpeg.on('close', code => resolve({ code, stdout: Buffer.concat(stdout), stderr }));
+  });
+}
+
+// First video file in a session folder, or null
+function findSessionVideo(files) {
+  return files
+    .filter(file => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()[0] || null;
+}
+
+// Sidecar telemetry for a video: <video>.srt/.nmea first, otherwise any .srt/.nmea in the folder
+function findTelemetryFile(files, videoFile) {
+  const base = path.basename(videoFile, path.extname(videoFile)).toLowerCase();
+  const candidates = files.filter(file => TELEMETRY_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  return candidates.find(file => path.basename(file, path.extname(file)).toLowerCase() === base) ||
+    candidates.sort()[0] || null;
+}
+
+// Duration (s), creation time (ms) and the GoPro GPMF data stream from ffmpeg's stream listing
+async function probeVideo(videoPath) {
+  // Without an output ffmpeg lists the input and exits with an error, which is expected here
+  const { stderr } = await runFfmpeg(['-i', videoPath]);
+
+  const duration = stderr.match(/Duration: (\d+):(\d+):([\d.]+)/);
+  const creationTime = stderr.match(/creation_time\s*:\s*(\S+)/);
+  const gpmdStream = stderr.match(/Stream #(\d+:\d+)[^\n]*?: Data:[^\n]*gpmd/);
+
+  if (!duration) {
+    throw new Error(`Could not read the duration of ${videoPath}`);
+  }
+
+  return {
+    duration: parseInt(duration[1]) * 3600 + parseInt(duration[2]) * 60 + parseFloat(duration[3]),
+    creationTime: creationTime ? Date.parse(creationTime[1]) || null : null,
+    gpmdStream: gpmdStream ? gpmdStream[1] : null
+  };
+}
+
+// GPMF KLV header: FourCC key, type char (0 for nested), structure size, repeat count
+function readKlv(buffer, offset) {
+  const size = buffer.readUInt8(offset + 5);
+  const repeat = buffer.readUInt16BE(offset + 6);
+  const length = size * repeat;
+  return {
+    key: buffer.toString('latin1', offset, offset + 4),
+    type: buffer.readUInt8(offset + 4),
+    size,
+    repeat,
+    start: offset + 8,
+    end: offset + 8 + length,
+    next: offset + 8 + Math.ceil(length / 4) * 4
+  };
+}
+
+const GPMF_READERS = {
+  b: [1, (buffer, offset) => buffer.readInt8(offset)],
+  B: [1, (buffer, offset) => buffer.readUInt8(offset)],
+  s: [2, (buffer, offset) => buffer.readInt16BE(offset)],
+  S: [2, (buffer, offset) => buffer.readUInt16BE(offset)],
+  l: [4, (buffer, offset) => buffer.readInt32BE(offset)],
+  L: [4, (buffer, offset) => buffer.readUInt32BE(offset)],
+  f: [4, (buffer, offset) => buffer.readFloatBE(offset)],
+  d: [8, (buffer, offset) => buffer.readDoubleBE(offset)]
+};
+
+// Numeric values of a KLV entry, one array per repeat
+function readKlvValues(buffer, klv) {
+  const reader = GPMF_READERS[String.fromCharCode(klv.type)];
+  if (!reader) return [];
+
+  const [bytes, read] = reader;
+  const count = klv.size / bytes;
+  const samples = [];
+  for (let i = 0; i < klv.repeat; i++) {
+    const sample = [];
+    for (let j = 0; j < count; j++) {
+      sample.push(read(buffer, klv.start + i * klv.size + j * bytes));
+    }
+    samples.push(sample);
+  }
+  return samples;
+}
+
+// GPSU is a UTC time string 'yymmddhhmmss.sss'
+function parseGpmfTime(value) {
+  const match = value.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})([\d.]+)/);
+  if (!match) return null;
+  const [, yy, mm, dd, hh, mi, ss] = match;
+  return Date.UTC(2000 + parseInt(yy), parseInt(mm) - 1, parseInt(dd), parseInt(hh), parseInt(mi), 0) + parseFloat(ss) * 1000;
+}
+
+// GPS5 samples (lat, lon, alt, 2D speed, 3D speed) of one STRM, spread over the ~1 second payload
+function readGpsStream(buffer, stream, points) {
+  let scale = [1];
+  let time = null;
+  let fix = 3;
+  let samples = [];
+
+  for (let offset = stream.start; offset + 8 <= stream.end;) {
+    const klv = readKlv(buffer, offset);
+    if (klv.key === 'SCAL') scale = readKlvValues(buffer, klv).map(sample => sample[0]);
+    else if (klv.key === 'GPSU') time = parseGpmfTime(buffer.toString('latin1', klv.start, klv.end));
+    else if (klv.key === 'GPSF') fix = readKlvValues(buffer, klv)[0]?.[0] ?? fix;
+    else if (klv.key === 'GPS5') samples = readKlvValues(buffer, klv);
+    offset = klv.next;
+  }
+
+  // No time or no 2D/3D fix: positions are unusable
+  if (time === null || fix < 2) return;
+
+  samples.forEach((sample, i) => {
+    const value = index => sample[index] / (scale[index] ?? scale[0]);
+    points.push({
+      time: time + i * 1000 / samples.length,
+      lat: value(0),
+      lon: value(1),
+      alt: value(2),
+      speed: value(3)
+    });
+  });
+}
+
+// Track points from GoPro GPMF telemetry (the payloads of the gpmd stream, back to back)
+function parseGpmf(buffer) {
+  const points = [];
+
+  const walk = (start, end) => {
+    for (let offset = start; offset + 8 <= end;) {
+      const klv = readKlv(buffer, offset);
+      if (klv.end > end) break;
+      if (klv.key === 'STRM') readGpsStream(buffer, klv, points);
+      else if (klv.type === 0) walk(klv.start, klv.end);
+      offset = klv.next;
+    }
+  };
+  walk(0, buffer.length);
+
+  return points;
+}
+
+// ddmm.mmmm with N/S/E/W to signed degrees
+function parseNmeaCoordinate(value, hemisphere) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return null;
+  const degrees = Math.floor(number / 100);
+  const coordinate = degrees + (number - degrees * 100) / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -coordinate : coordinate;
+}
+
+function hasValidChecksum(sentence) {
+  const match = sentence.match(/^\$([^*]*)\*([0-9A-Fa-f]{2})/);
+  if (!match) return !sentence.includes('*');
+  let checksum = 0;
+  for (const char of match[1]) checksum ^= char.charCodeAt(0);
+  return checksum === parseInt(match[2], 16);
+}
+
+// Track points from NMEA $--RMC (time, date, position, speed) and $--GGA (altitude) sentences
+function parseNmea(text) {
+  const points = new Map();
+  let date = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const sentence = line.trim();
+    if (!sentence.startsWith('$') || !hasValidChecksum(sentence)) continue;
+
+    const fields = sentence.split('*')[0].split(',');
+    const type = fields[0].slice(3);
+    const time = fields[1];
+    if (!/^\d{6}/.test(time || '')) continue;
+
+    if (type === 'RMC') {
+      if (fields[2] !== 'A' || !/^\d{6}$/.test(fields[9] || '')) continue;
+      date = Date.UTC(2000 + parseInt(fields[9].slice(4, 6)), parseInt(fields[9].slice(2, 4)) - 1, parseInt(fields[9].slice(0, 2)));
+    }
+    if (date === null) continue;
+
+    const timestamp = date + ((parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(2, 4))) * 60 + parseFloat(time.slice(4))) * 1000;
+    const point = points.get(timestamp) || { time: timestamp, lat: null, lon: null, alt: null, speed: null };
+
+    if (type === 'RMC') {
+      point.lat = parseNmeaCoordinate(fields[3], fields[4]);
+      point.lon = parseNmeaCoordinate(fields[5], fields[6]);
+      const knots = parseFloat(fields[7]);
+      point.speed = isNaN(knots) ? null : knots * KNOTS_TO_MPS;
+    } else if (type === 'GGA' && parseInt(fields[6]) > 0) {
+      point.lat = point.lat ?? parseNmeaCoordinate(fields[2], fields[3]);
+      point.lon = point.lon ?? parseNmeaCoordinate(fields[4], fields[5]);
+      const alt = parseFloat(fields[9]);
+      point.alt = isNaN(alt) ? null : alt;
+    } else {
+      continue;
+    }
+    points.set(timestamp, point);
+  }
+
+  return Array.from(points.values()).filter(point => point.lat !== null && point.lon !== null);
+}
+
+function parseSrtTime(value) {
+  const [, hh, mm, ss, ms] = value.match(/(\d+):(\d+):(\d+)[,.](\d+)/);
+  return ((parseInt(hh) * 60 + parseInt(mm)) * 60 + parseInt(ss)) * 1000 + parseInt(ms.padEnd(3, '0').slice(0, 3));
+}
+
+// Track points from a DJI-style .srt: each subtitle holds a position as [latitude: ..] [longitude: ..]
+// [abs_alt: ..] or GPS(lon,lat,alt), and usually the local date and time. Without a date the
+// subtitle's start is added to startTime.
+function parseSrt(text, startTime) {
+  const points = [];
+
+  for (const block of text.split(/\r?\n\s*\r?\n/)) {
+    const timing = block.match(/(\d+:\d+:\d+[,.]\d+)\s*-->/);
+    if (!timing) continue;
+    const body = block.replace(/<[^>]+>/g, ' ');
+
+    let lat = body.match(/latitude\s*[:=]?\s*(-?[\d.]+)/i)?.[1];
+    let lon = body.match(/longitude\s*[:=]?\s*(-?[\d.]+)/i)?.[1];
+    let alt = body.match(/abs_alt\s*[:=]?\s*(-?[\d.]+)/i)?.[1] ?? body.match(/altitude\s*[:=]?\s*(-?[\d.]+)/i)?.[1];
+    const gps = body.match(/GPS\s*\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*(?:,\s*(-?[\d.]+))?/);
+    if (gps && lat === undefined) {
+      [lon, lat] = [gps[1], gps[2]];
+      alt = alt ?? gps[3];
+    }
+    lat = parseFloat(lat);
+    lon = parseFloat(lon);
+    if (isNaN(lat) || isNaN(lon) || (lat === 0 && lon === 0)) continue;
+
+    const date = body.match(/(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2}(?:[.,]\d+)?)/);
+    const time = date ? Date.parse(`${date[1]}T${date[2].replace(',', '.')}`) : startTime + parseSrtTime(timing[1]);
+
+    points.push({
+      time,
+      offset: parseSrtTime(timing[1]), // Position in the video
+      lat,
+      lon,
+      alt: alt !== undefined ? parseFloat(alt) : null,
+      speed: null
+    });
+  }
+
+  return points;
+}
+
+// GPS for a video from its sidecar file or embedded GPMF; { points, source } sorted by time
+async function loadTelemetry(sessionPath, videoFile, telemetryFile, probe, startTime) {
+  let points = [];
+  let source = null;
+
+  if (telemetryFile) {
+    const text = await fs.readFile(path.join(sessionPath, telemetryFile), 'utf-8');
+    const isSrt = path.extname(telemetryFile).toLowerCase() === '.srt';
+    points = isSrt ? parseSrt(text, startTime) : parseNmea(text);
+    source = telemetryFile;
+  } else if (probe.gpmdStream) {
+    const { code, stdout, stderr } = await runFfmpeg([
+      '-v', 'error', '-i', path.join(sessionPath, videoFile),
+      '-map', probe.gpmdStream, '-c', 'copy', '-f', 'rawvideo', '-'
+    ]);
+    if (code !== 0) throw new Error(`Could not read GPMF telemetry: ${stderr.trim()}`);
+    points = parseGpmf(stdout);
+    source = 'gpmf';
+  }
+
+  return {
+    points: points
+      .filter(point => !isNaN(point.time) && !isNaN(point.lat) && !isNaN(point.lon))
+      .sort((a, b) => a.time - b.time),
+    source
+  };
+}
+
+// Extracted frames of a video are kept in FRAME_CACHE_DIR/<session>/<key>/, the key
+// changing with the video and fps so a replaced video or another fps extracts again
+function getFramesKey(video) {
+  return crypto.createHash('sha1')
+    .update(`${video.file}:${video.fingerprint}:${video.fps}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function getFramesPath(sessionName, framesKey) {
+  return path.join(config.FRAME_CACHE_DIR, sessionName, framesKey);
+}
+
+// Where an image of a session is on disk; frame filenames are frames/<key>/<file>
+function getImagePath(sessionName, filename) {
+  const parts = filename.split('/');
+  if (parts.length === 3 && parts[0] === FRAMES_DIR) {
+    return path.join(getFramesPath(sessionName, parts[1]), parts[2]);
+  }
+  return path.join(config.ROOT_DIR, sessionName, filename);
+}
+
+// Whether the frames an xmp.json video entry refers to are still in the frame cache
+async function hasExtractedFrames(sessionName, video) {
+  if (!video.frames) return false;
+  return fs.access(getFramesPath(sessionName, video.frames)).then(() => true, () => false);
+}
+
+async function listFrames(framesPath) {
+  return (await fs.readdir(framesPath)).filter(file => file.endsWith('.jpg')).sort();
+}
+
+// Extract frames at fps into framesPath, reporting onProgress(extracted, total). ffmpeg writes
+// to a temporary folder that is renamed when it is done, so an interrupted extraction isn't
+// mistaken for a finished one. Extractions of other videos or fps for the session are removed.
+async function extractFrames(videoPath, framesPath, fps, total, onProgress) {
+  const sessionFramesPath = path.dirname(framesPath);
+  const stale = await fs.readdir(sessionFramesPath).catch(() => []);
+  await Promise.all(stale.map(dir => fs.rm(path.join(sessionFramesPath, dir), { recursive: true, force: true })));
+
+  const partialPath = `${framesPath}.partial`;
+  await fs.mkdir(partialPath, { recursive: true });
+
+  onProgress(0, total);
+  const { code, stderr } = await runFfmpeg(
+    ['-i', videoPath, '-vf', `fps=${fps}`, '-q:v', '2', path.join(partialPath, '%06d.jpg')],
+    text => {
+      // ffmpeg reports "frame=  123 fps=..." as it goes
+      const frames = [...text.matchAll(/frame=\s*(\d+)/g)];
+      if (frames.length > 0) onProgress(Math.min(parseInt(frames[frames.length - 1][1]), total), total);
+    }
+  );
+  if (code !== 0) {
+    await fs.rm(partialPath, { recursive: true, force: true });
+    throw new Error(`ffmpeg failed to extract frames: ${stderr.trim().split('\n').slice(-3).join(' | ')}`);
+  }
+
+  await fs.rename(partialPath, framesPath);
+  const frames = await listFrames(framesPath);
+  onProgress(frames.length, frames.length);
+  return frames;
+}
+
+// Turn a video in a session folder into the same image list photo sessions have: frames are
+// extracted at `fps` and GPS is interpolated from a .srt/.nmea sidecar or the embedded GPMF.
+// `cached` is a previous xmp.json; when the video, sidecar, fps and TRACK_CLOCK_OFFSET are the
+// same and the frames are still there, it is returned as is. Frames already in the frame
+// cache are reused when only the telemetry or the clock offset changed.
+async function loadVideoSession(sessionPath, files, videoFile, { fps, cached, onProgress = () => {} }) {
+  const sessionName = path.basename(sessionPath);
+  const videoPath = path.join(sessionPath, videoFile);
+  const telemetryFile = findTelemetryFile(files, videoFile);
+
+  const fingerprint = async file => {
+    if (!file) return null;
+    const stat = await fs.stat(path.join(sessionPath, file));
+    return `${stat.size}:${Math.round(stat.mtimeMs)}`;
+  };
+  const video = {
+    file: videoFile,
+    fingerprint: await fingerprint(videoFile),
+    telemetryFile,
+    telemetryFingerprint: await fingerprint(telemetryFile),
+    fps,
+    clockOffset: config.TRACK_CLOCK_OFFSET
+  };
+  video.frames = getFramesKey(video);
+
+  const framesExist = await hasExtractedFrames(sessionName, video);
+  if (cached && framesExist && ['file', 'fingerprint', 'telemetryFile', 'telemetryFingerprint', 'fps', 'clockOffset', 'frames']
+    .every(key => cached.video?.[key] === video[key])) {
+    return { ...cached, extracted: false };
+  }
+
+  const probe = await probeVideo(videoPath);
+  const stat = await fs.stat(videoPath);
+  // Camera clock from the container, otherwise the file time minus the video length
+  const startTime = probe.creationTime ?? Math.round(stat.mtimeMs - probe.duration * 1000);
+  const { points, source } = await loadTelemetry(sessionPath, videoFile, telemetryFile, probe, startTime);
+
+  // Frame timestamps are on the camera clock and, as for photos, TRACK_CLOCK_OFFSET is added
+  // to them to match the GPS clock. GPMF and .srt positions follow the video timeline, so the
+  // camera clock is taken as their time minus the offset. NMEA logs come from a separate
+  // device and are matched by the camera clock the container reports.
+  const clockOffset = video.clockOffset * 1000;
+  const first = points[0];
+  let videoStart = startTime;
+  if (first && source === 'gpmf') videoStart = first.time - clockOffset;
+  else if (first && first.offset !== undefined) videoStart = first.time - first.offset - clockOffset;
+
+  const framesPath = getFramesPath(sessionName, video.frames);
+  let frames;
+  if (framesExist) {
+    frames = await listFrames(framesPath);
+    console.log(`Reusing ${frames.length} frames of ${videoFile} (GPS from ${source || 'nowhere'}: ${points.length} points)`);
+  } else {
+    // Earlier versions extracted into the session folder itself
+    await fs.rm(path.join(sessionPath, FRAMES_DIR), { recursive: true, force: true });
+    console.log(`Extracting frames at ${fps} fps from ${videoFile} (${probe.duration.toFixed(1)}s, GPS from ${source || 'nowhere'}: ${points.length} points)`);
+    frames = await extractFrames(videoPath, framesPath, fps, Math.ceil(probe.duration * fps), onProgress);
+  }
+
+  const blank = frames.map((file, i) => ({
+    timestamp: Math.round(videoStart + i * 1000 / fps),
+    filename: `${FRAMES_DIR}/${video.frames}/${file}`,
+    lat: null,
+    lon: null,
+    alt: null,
+    speed: null,
+    compass: null,
+    accuracy: null
+  }));
+  const { images, matched } = applyTrack(blank, points, { clockOffset: video.clockOffset, mode: 'override' });
+  console.log(`Video ${videoFile}: ${frames.length} frames, ${matched} with GPS`);
+
+  return {
+    count: images.length,
+    images: images.map(image => image.gpsSource ? { ...image, gpsSource: source } : image),
+    video: { ...video, duration: probe.duration, telemetry: source, points: points.length },
+    extracted: true
+  };
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  findSessionVideo,
+  getImagePath,
+  hasExtractedFrames,
+  loadVideoSession,
+  parseGpmf,
+  parseNmea,
+  parseSrt
+};